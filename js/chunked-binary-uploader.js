@@ -1,19 +1,212 @@
 /**
  * js/chunked-binary-uploader.js
  * ★ 修正版: finalize-chunksリクエスト時にactionをクエリパラメータに移動
+ * ★ チャンクは複数同時に送り、サイズは実測のスループットで調整する（失敗したチャンクは待ってから再送）
+ * ★ 進捗は js/upload-progress.js の共通イベントで通知する（送信は XMLHttpRequest で途中経過も取る）
  */
 
 class ChunkedBinaryUploader {
   constructor() {
-    this.CHUNK_THRESHOLD = 3 * 1024 * 1024;   // ★ 3MB以上でチャンク分割（Base64化で ~4MB）
-    this.CHUNK_SIZE = 1 * 1024 * 1024;        // ★ 1MBごとに分割
+    // ★ 関数のリクエスト上限は 6MB。バイナリの本文は Netlify が Base64 にして関数に渡すので、
+    // 1 リクエストで送れるのは Base64 後（+ ヘッダーなどの余裕）が上限に収まるバイト数まで
+    this.REQUEST_PAYLOAD_LIMIT = 6 * 1024 * 1024;
+    this.REQUEST_PAYLOAD_MARGIN = 64 * 1024;
+    this.MAX_REQUEST_BYTES = Math.floor((this.REQUEST_PAYLOAD_LIMIT - this.REQUEST_PAYLOAD_MARGIN) / 4) * 3;
+    this.CHUNK_THRESHOLD = this.MAX_REQUEST_BYTES;  // ★ これを超えるとチャンク分割
+    this.CHUNK_SIZE = 1 * 1024 * 1024;        // ★ 最初のチャンクサイズ（以降は実測のスループットで調整）
+    this.MIN_CHUNK_SIZE = 256 * 1024;
+    this.MAX_CHUNK_SIZE = this.MAX_REQUEST_BYTES;
+    this.CHUNK_SIZE_STEP = 64 * 1024;
+    this.TARGET_CHUNK_SECONDS = 3;             // ★ 1 チャンクがこの秒数で送れるサイズを目安にする
+    this.CONCURRENCY = 3;                      // ★ 同時に送るチャンク数（options.concurrency で変更）
+    this.MAX_CONCURRENCY = 6;
     this.functionUrl = '/.netlify/functions/github-upload';
+    this.RESUME_KEY_PREFIX = 'avfile_chunk_upload:';
+    this.RESUME_MAX_AGE = 24 * 60 * 60 * 1000; // ★ サーバー側のセッション保持期間と同じ
+    this.MAX_RETRIES = 4;                      // ★ 通信エラー・5xx・429・SHA-256 不一致（422）時のチャンク再送回数
+    this.RETRY_BASE_DELAY = 500;               // ★ 再送までの待ち時間（500ms, 1s, 2s, ... + ゆらぎ）
+    this.RETRY_MAX_DELAY = 15000;
+  }
+
+  /**
+   * SHA-256（16進小文字）。ワーカーで計算する（js/upload-worker-pool.js）
+   * options: { onProgress(0〜1), signal }
+   */
+  async sha256Hex(data, options = {}) {
+    return await window.uploadWorkerPool.sha256(data, options);
+  }
+
+  async isChecksumMismatch(response) {
+    if (response.status !== 422) return false;
+    try {
+      const data = await response.clone().json();
+      return data.code === 'CHECKSUM_MISMATCH';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 再送すれば成功しうるレスポンスか（5xx・408・429・SHA-256 不一致）
+   */
+  async isRetryableResponse(response) {
+    if (response.status >= 500 || response.status === 408 || response.status === 429) return true;
+    return await this.isChecksumMismatch(response);
+  }
+
+  /**
+   * 再送までの待ち時間（指数バックオフ + ゆらぎ。Retry-After があればそれに従う）
+   */
+  retryDelay(attempt, response) {
+    const retryAfter = response ? parseInt(response.headers.get('Retry-After')) : NaN;
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, this.RETRY_MAX_DELAY);
+    const base = Math.min(this.RETRY_BASE_DELAY * Math.pow(2, attempt), this.RETRY_MAX_DELAY);
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+
+  abortError() {
+    return new DOMException('Upload aborted', 'AbortError');
+  }
+
+  /**
+   * 中断できる待機（中断されたら AbortError）
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.abortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.abortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * ★ チャンクサイズの調整役（1 本の接続あたりのスループットを平滑化して次のサイズを決める）
+   */
+  createChunkSizer() {
+    const sizer = {
+      size: this.CHUNK_SIZE,
+      bytesPerSecond: 0,
+      record: (bytes, elapsedMs) => {
+        if (elapsedMs <= 0) return;
+        const measured = bytes / (elapsedMs / 1000);
+        sizer.bytesPerSecond = sizer.bytesPerSecond
+          ? sizer.bytesPerSecond * 0.7 + measured * 0.3
+          : measured;
+        const target = sizer.bytesPerSecond * this.TARGET_CHUNK_SECONDS;
+        const stepped = Math.round(target / this.CHUNK_SIZE_STEP) * this.CHUNK_SIZE_STEP;
+        sizer.size = Math.max(this.MIN_CHUNK_SIZE, Math.min(stepped, this.MAX_CHUNK_SIZE));
+      }
+    };
+    return sizer;
+  }
+
+  /**
+   * 再開用のキー（同じファイルを選び直したときに一致する）
+   */
+  getResumeKey(fileObject) {
+    return `${this.RESUME_KEY_PREFIX}${fileObject.name}:${fileObject.size}:${fileObject.lastModified || 0}`;
+  }
+
+  /**
+   * 保存済みのチャンク割り当て [[start, end], ...] が 0 から隙間なく続いているか
+   */
+  isValidChunkPlan(chunks, fileSize) {
+    if (!Array.isArray(chunks) || chunks.length === 0) return false;
+    let offset = 0;
+    for (const chunk of chunks) {
+      if (!Array.isArray(chunk) || chunk[0] !== offset || !(chunk[1] > chunk[0]) || chunk[1] > fileSize) return false;
+      offset = chunk[1];
+    }
+    return true;
+  }
+
+  loadResumeState(fileObject) {
+    try {
+      const raw = localStorage.getItem(this.getResumeKey(fileObject));
+      if (!raw) return null;
+      const state = JSON.parse(raw);
+      if (!state.uploadId || Date.now() - state.savedAt > this.RESUME_MAX_AGE) {
+        this.clearResumeState(fileObject);
+        return null;
+      }
+      return state;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  saveResumeState(fileObject, state) {
+    try {
+      localStorage.setItem(this.getResumeKey(fileObject), JSON.stringify({ ...state, savedAt: Date.now() }));
+    } catch (e) {
+      console.warn('[UPLOAD_CHUNKED] Could not save resume state:', e.message);
+    }
+  }
+
+  clearResumeState(fileObject) {
+    try {
+      localStorage.removeItem(this.getResumeKey(fileObject));
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  /**
+   * サーバーに受信済みチャンクを問い合わせる（セッションが無ければ null）
+   */
+  async fetchUploadStatus(uploadId, signal) {
+    const params = new URLSearchParams({ action: 'upload-status', uploadId });
+    const response = await fetch(`${this.functionUrl}?${params}`, { signal });
+    if (!response.ok) {
+      console.log('[UPLOAD_CHUNKED] No resumable session:', response.status);
+      return null;
+    }
+    return await response.json();
+  }
+
+  /**
+   * ★ 保存済みの割り当てとサーバーの受信状況から再開できるか調べる → { uploadId, chunks, received } | null
+   */
+  async resumeChunkSession(fileObject, signal) {
+    const state = this.loadResumeState(fileObject);
+    if (!state || !this.isValidChunkPlan(state.chunks, fileObject.size)) return null;
+
+    const status = await this.fetchUploadStatus(state.uploadId, signal).catch(() => null);
+    if (!status || !status.success) return null;
+    if (status.totalChunks && status.totalChunks !== state.chunks.length) return null;
+
+    return {
+      uploadId: state.uploadId,
+      chunks: state.chunks,
+      received: new Set(status.receivedChunks || [])
+    };
   }
 
   /**
    * ファイルサイズに応じて通常/チャンク分割を切り替え
+   * options.encryption: { key } / { password } を指定するとアップロード前に暗号化（js/file-crypto.js）
+   * options.signal: AbortSignal（中断すると AbortError。チャンク分割の場合は次回続きから再開できる）
+   * options.concurrency: 同時に送るチャンク数
+   * options.onProgress(event): 進捗イベント（フェーズ・送信済みバイト数・速度・残り時間。js/upload-progress.js）
    */
-  async uploadAssetBinary(uploadUrl, fileName, fileObject) {
+  async uploadAssetBinary(uploadUrl, fileName, fileObject, options = {}) {
+    if (!options.progress) {
+      options = { ...options, progress: new UploadProgress(fileObject.size, options.onProgress) };
+    }
+    if (options.encryption) {
+      return await this.uploadEncrypted(uploadUrl, fileName, fileObject, options);
+    }
+
     console.log('[UPLOAD_BINARY] Starting upload:', {
       fileName: fileName,
       fileSize: fileObject.size,
@@ -22,44 +215,74 @@ class ChunkedBinaryUploader {
 
     if (fileObject.size > this.CHUNK_THRESHOLD) {
       console.log('[UPLOAD_BINARY] Using chunked upload');
-      return await this.uploadAssetBinaryChunked(uploadUrl, fileName, fileObject);
+      return await this.uploadAssetBinaryChunked(uploadUrl, fileName, fileObject, options);
     } else {
       console.log('[UPLOAD_BINARY] Using regular upload');
-      return await this.uploadAssetBinaryRegular(uploadUrl, fileName, fileObject);
+      return await this.uploadAssetBinaryRegular(uploadUrl, fileName, fileObject, options);
+    }
+  }
+
+  /**
+   * ★ 暗号化してからアップロード（サーバー・GitHub には暗号文だけが届く）
+   * 返り値の sha256 / size は暗号文のもの、plainSize は元のサイズ
+   */
+  async uploadEncrypted(uploadUrl, fileName, fileObject, options) {
+    if (!window.fileCrypto) {
+      throw new Error('FileCrypto not initialized');
     }
+
+    console.log('[UPLOAD_BINARY] Encrypting before upload:', fileName);
+    const { progress } = options;
+    progress.setPhase('encrypting', 0);
+    const encrypted = await window.fileCrypto.encryptFile(fileObject, {
+      ...options.encryption,
+      onProgress: p => progress.setPhase('encrypting', p)
+    });
+    const encryptedFile = new File([encrypted.blob], fileName, { type: 'application/octet-stream' });
+    // ★ 送信するのは暗号文なので、進捗の総バイト数も暗号文のサイズにする
+    progress.setTotal(encryptedFile.size);
+
+    const { encryption, ...uploadOptions } = options;
+    const result = await this.uploadAssetBinary(uploadUrl, fileName, encryptedFile, uploadOptions);
+    return { ...result, plainSize: encrypted.size, encryption: encrypted.encryption };
   }
 
   /**
-   * 通常のアップロード（50MB以下）
+   * 通常のアップロード（1 リクエストに収まる大きさ）
+   * ★ 本文はファイルそのもの（application/octet-stream）。Base64 にしないので送信量が 33% 少ない
    */
-  async uploadAssetBinaryRegular(uploadUrl, fileName, fileObject) {
+  async uploadAssetBinaryRegular(uploadUrl, fileName, fileObject, options = {}) {
+    const { progress } = options;
     try {
-      const arrayBuffer = await fileObject.arrayBuffer();
-      const uint8Array = new Uint8Array(arrayBuffer);
-      
-      console.log('[UPLOAD_REGULAR] Converting to Base64...');
-      let base64 = '';
-      const chunkSize = 10000;
-      for (let i = 0; i < uint8Array.length; i += chunkSize) {
-        base64 += String.fromCharCode.apply(null, uint8Array.subarray(i, i + chunkSize));
-      }
-      base64 = btoa(base64);
+      console.log('[UPLOAD_REGULAR] Hashing...');
+      progress.setPhase('hashing', 0);
+      const sha256 = await this.sha256Hex(fileObject, {
+        onProgress: p => progress.setPhase('hashing', p),
+        signal: options.signal
+      });
 
       console.log('[UPLOAD_REGULAR] Sending to GitHub...');
-      const response = await fetch(this.functionUrl, {
+      progress.setPhase('uploading');
+      const request = progress.request(fileObject.size);
+      const response = await UploadProgress.send(this.functionUrl, {
         method: 'POST',
         headers: {
           'X-Upload-Url': uploadUrl,
-          'X-Is-Base64': 'true',
           'X-File-Name': fileName,
-          'Content-Type': 'text/plain'
+          'X-File-Sha256': sha256,
+          'Content-Type': 'application/octet-stream'
         },
-        body: base64
+        body: fileObject,
+        signal: options.signal
+      }, (loaded) => {
+        request.sent(loaded);
+        if (loaded >= fileObject.size) progress.setPhase('finalizing');
       });
 
       console.log('[UPLOAD_REGULAR] Response status:', response.status);
 
       if (!response.ok) {
+        request.fail();
         const text = await response.text();
         console.error('[UPLOAD_REGULAR] Error:', text.substring(0, 500));
         throw new Error(`Upload failed: ${response.status}`);
@@ -67,10 +290,13 @@ class ChunkedBinaryUploader {
 
       const data = await response.json();
       console.log('[UPLOAD_REGULAR] Success');
+      request.ack();
+      progress.setPhase('done');
       
       return {
         size: data.data.size,
-        browser_download_url: data.data.download_url
+        browser_download_url: data.data.download_url,
+        sha256: data.data.sha256 || sha256
       };
     } catch (e) {
       console.error('[UPLOAD_REGULAR] Error:', e.message);
@@ -79,67 +305,182 @@ class ChunkedBinaryUploader {
   }
 
   /**
-   * チャンク分割アップロード（50MB以上）
+   * ★ 1 チャンクを送る（再送できる失敗は指数バックオフで待ってから再送）
+   * → { data, elapsed }（elapsed は成功した 1 回分の送信時間 ms）
+   */
+  async sendChunk(params, chunk, chunkSha256, signal, progress) {
+    const label = `Chunk ${Number(params.get('chunkIndex')) + 1}`;
+    const request = progress.request(chunk.size);
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let failure;
+      const startedAt = performance.now();
+      try {
+        // ★ Blob を直接送信（再送時も同じ Blob を使える）
+        response = await UploadProgress.send(`${this.functionUrl}?${params}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Chunk-Sha256': chunkSha256
+          },
+          body: chunk,
+          signal
+        }, request.sent);
+        if (response.ok) {
+          const data = await response.json();
+          request.ack();
+          return { data, elapsed: performance.now() - startedAt };
+        }
+        failure = response.status;
+      } catch (e) {
+        if (signal.aborted) throw this.abortError();
+        failure = e.message;
+      }
+      request.fail();
+
+      const retryable = !response || await this.isRetryableResponse(response);
+      if (!retryable || attempt >= this.MAX_RETRIES) {
+        if (response) {
+          const text = await response.text().catch(() => '');
+          console.error(`[UPLOAD_CHUNKED] ${label} failed:`, text.substring(0, 500));
+        }
+        throw new Error(`${label} failed: ${failure}`);
+      }
+
+      const delay = this.retryDelay(attempt, response);
+      console.warn(`[UPLOAD_CHUNKED] ${label} failed (${failure}), retrying in ${delay}ms (${attempt + 1}/${this.MAX_RETRIES})`);
+      await this.wait(delay, signal);
+    }
+  }
+
+  /**
+   * チャンク分割アップロード
+   * ★ options.concurrency 本ずつ並列に送り、チャンクサイズは送信結果から調整する
+   * 割り当て済みのチャンク [[start, end], ...] は再開用に localStorage に保存し、
+   * チャンク数は finalize-chunks で確定する
    */
-  async uploadAssetBinaryChunked(uploadUrl, fileName, fileObject) {
+  async uploadAssetBinaryChunked(uploadUrl, fileName, fileObject, options = {}) {
+    // ★ 呼び出し元の signal と、失敗したときに残りのチャンクを止めるための中断をまとめる
+    const controller = new AbortController();
+    const externalSignal = options.signal;
+    const onExternalAbort = () => controller.abort();
+    if (externalSignal) {
+      if (externalSignal.aborted) throw this.abortError();
+      externalSignal.addEventListener('abort', onExternalAbort, { once: true });
+    }
+    const signal = controller.signal;
+
     try {
-      const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const totalChunks = Math.ceil(fileObject.size / this.CHUNK_SIZE);
+      // ★ 前回の途中までのアップロードがあれば、足りないチャンクだけ送る
+      let session = await this.resumeChunkSession(fileObject, signal);
+      if (signal.aborted) throw this.abortError();
+      if (session) {
+        console.log('[UPLOAD_CHUNKED] Resuming:', {
+          uploadId: session.uploadId,
+          planned: session.chunks.length,
+          received: session.received.size
+        });
+      } else {
+        session = {
+          uploadId: `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          chunks: [],
+          received: new Set()
+        };
+      }
+      const { uploadId, chunks, received } = session;
+
+      const concurrency = Math.max(1, Math.min(options.concurrency || this.CONCURRENCY, this.MAX_CONCURRENCY));
+      const sizer = this.createChunkSizer();
+      const pending = chunks.map((_, i) => i).filter(i => !received.has(i));
+      let nextOffset = chunks.length ? chunks[chunks.length - 1][1] : 0;
+
+      // ★ 再開時は受信済みのチャンクを送信済みとして数える
+      const { progress } = options;
+      progress.ack(chunks.reduce((sum, [start, end], i) => received.has(i) ? sum + end - start : sum, 0));
+      progress.setPhase('uploading');
 
       console.log('[UPLOAD_CHUNKED] Starting:', {
         uploadId,
         fileName,
-        totalChunks,
+        concurrency,
         fileSizeMB: (fileObject.size / 1024 / 1024).toFixed(2)
       });
 
-      // チャンクをアップロード
-      for (let i = 0; i < totalChunks; i++) {
-        const start = i * this.CHUNK_SIZE;
-        const end = Math.min(start + this.CHUNK_SIZE, fileObject.size);
-        const chunk = fileObject.slice(start, end);
+      // ★ 次に送るチャンク（再開時の不足分 → 未割り当ての残りを今のサイズで切り出す）
+      const nextChunk = () => {
+        if (pending.length) {
+          const index = pending.shift();
+          return { index, start: chunks[index][0], end: chunks[index][1] };
+        }
+        if (nextOffset >= fileObject.size) return null;
 
-        console.log(`[UPLOAD_CHUNKED] Uploading chunk ${i + 1}/${totalChunks}:`, {
-          start,
-          end,
-          chunkSize: chunk.size
-        });
+        const start = nextOffset;
+        let end = Math.min(start + sizer.size, fileObject.size);
+        // 最後に小さすぎるチャンクが残る場合は 1 つにまとめる
+        if (fileObject.size - end < this.MIN_CHUNK_SIZE && fileObject.size - start <= this.MAX_CHUNK_SIZE) {
+          end = fileObject.size;
+        }
+        chunks.push([start, end]);
+        nextOffset = end;
+        this.saveResumeState(fileObject, { uploadId, chunks });
+        return { index: chunks.length - 1, start, end };
+      };
 
-        // ★ Blob をそのまま body に使用（Buffer は不要）
-        const params = new URLSearchParams({
-          action: 'upload-chunk',
-          uploadId,
-          chunkIndex: i,
-          totalChunks,
-          fileName
-        });
+      const worker = async () => {
+        for (let item = nextChunk(); item; item = nextChunk()) {
+          const chunk = fileObject.slice(item.start, item.end);
+          const chunkSha256 = await this.sha256Hex(chunk, { signal });
+          if (signal.aborted) throw this.abortError();
 
-        const response = await fetch(`${this.functionUrl}?${params}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/octet-stream'
-          },
-          body: chunk  // ★ Blob を直接送信
-        });
+          console.log(`[UPLOAD_CHUNKED] Uploading chunk ${item.index + 1}:`, {
+            start: item.start,
+            end: item.end,
+            chunkSize: chunk.size
+          });
 
-        console.log(`[UPLOAD_CHUNKED] Chunk ${i + 1} response status:`, response.status);
+          const params = new URLSearchParams({
+            action: 'upload-chunk',
+            uploadId,
+            chunkIndex: item.index,
+            fileName
+          });
+          const { data, elapsed } = await this.sendChunk(params, chunk, chunkSha256, signal, progress);
+          sizer.record(chunk.size, elapsed);
 
-        if (!response.ok) {
-          const text = await response.text();
-          console.error(`[UPLOAD_CHUNKED] Chunk ${i + 1} failed:`, text.substring(0, 500));
-          throw new Error(`Chunk ${i + 1} failed: ${response.status}`);
+          console.log(`[UPLOAD_CHUNKED] Chunk ${item.index + 1} success:`, {
+            receivedChunks: data.receivedChunks,
+            elapsedMs: Math.round(elapsed),
+            nextChunkSize: sizer.size
+          });
         }
+      };
 
-        const data = await response.json();
-        console.log(`[UPLOAD_CHUNKED] Chunk ${i + 1} success:`, {
-          uploadId: data.uploadId,
-          receivedChunks: data.receivedChunks,
-          totalChunks: data.totalChunks
-        });
+      // ★ 1 つでも失敗したら残りも止め、最初のエラーを返す
+      let firstError = null;
+      try {
+        await Promise.all(Array.from({ length: concurrency }, () =>
+          worker().catch(e => {
+            if (!firstError) firstError = e;
+            controller.abort();
+            throw e;
+          })
+        ));
+      } catch (e) {
+        throw firstError || e;
       }
 
       // チャンクを結合
-      console.log('[UPLOAD_CHUNKED] All chunks uploaded, finalizing...');
+      console.log('[UPLOAD_CHUNKED] All chunks uploaded, finalizing...', { totalChunks: chunks.length });
+
+      // ★ ファイル全体の SHA-256（サーバー側で結合結果と照合）
+      progress.setPhase('hashing', 0);
+      const sha256 = await this.sha256Hex(fileObject, {
+        onProgress: p => progress.setPhase('hashing', p),
+        signal
+      });
+      if (signal.aborted) throw this.abortError();
+      progress.setPhase('finalizing');
 
       // ★ 修正: actionをクエリパラメータに追加
       const finalizeUrl = new URL(this.functionUrl, window.location.origin);
@@ -155,12 +496,20 @@ class ChunkedBinaryUploader {
         body: JSON.stringify({
           uploadId,
           fileName,
-          releaseUploadUrl: uploadUrl
-        })
+          releaseUploadUrl: uploadUrl,
+          sha256,
+          totalChunks: chunks.length
+        }),
+        signal
       });
 
       console.log('[UPLOAD_CHUNKED] Finalize response status:', finalizeResponse.status);
 
+      if (await this.isChecksumMismatch(finalizeResponse)) {
+        // サーバー側のセッションは破棄済みなので、次回は最初から送り直す
+        this.clearResumeState(fileObject);
+      }
+
       if (!finalizeResponse.ok) {
         const text = await finalizeResponse.text();
         console.error('[UPLOAD_CHUNKED] Finalize failed:', text.substring(0, 500));
@@ -169,14 +518,24 @@ class ChunkedBinaryUploader {
 
       const data = await finalizeResponse.json();
       console.log('[UPLOAD_CHUNKED] Finalize success:', data);
+      this.clearResumeState(fileObject);
+      progress.setPhase('done');
 
       return {
         size: data.data.size,
-        browser_download_url: data.data.download_url
+        browser_download_url: data.data.download_url,
+        sha256: data.data.sha256 || sha256
       };
     } catch (e) {
+      // ★ 中断した場合は再開用の状態を残す（同じファイルを選び直すと続きから送る）
+      if (externalSignal && externalSignal.aborted) {
+        console.log('[UPLOAD_CHUNKED] Aborted:', fileName);
+        throw this.abortError();
+      }
       console.error('[UPLOAD_CHUNKED] Error:', e.message);
       throw e;
+    } finally {
+      if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort);
     }
   }
 
@@ -201,8 +560,8 @@ console.log('[CHUNKED_UPLOADER] Initialized - Chunked upload support enabled');
 setTimeout(() => {
   if (window.GitHubUploader && !window.GitHubUploader.prototype.uploadAssetBinary_overridden) {
     window.GitHubUploader.prototype.uploadAssetBinary_original = window.GitHubUploader.prototype.uploadAssetBinary;
-    window.GitHubUploader.prototype.uploadAssetBinary = function(uploadUrl, fileName, fileObject) {
-      return window.chunkedBinaryUploader.uploadAssetBinary(uploadUrl, fileName, fileObject);
+    window.GitHubUploader.prototype.uploadAssetBinary = function(uploadUrl, fileName, fileObject, options) {
+      return window.chunkedBinaryUploader.uploadAssetBinary(uploadUrl, fileName, fileObject, options);
     };
     window.GitHubUploader.prototype.uploadAssetBinary_overridden = true;
     console.log('[CHUNKED_UPLOADER] Hooked into GitHubUploader.uploadAssetBinary');
@@ -2,44 +2,52 @@
  * js/client-upload.js
  * ローカルで圧縮したファイルを Base64 エンコード後、サーバーにアップロード
  * サーバーは単純に GitHub にアップロードするだけ
+ * ★ onProgress(percent, message, event) の event は js/upload-progress.js の共通の進捗イベント
  */
 
 class ClientVideoUploader {
   constructor() {
     this.compressionEngine = new VideoCompressionEngineLocal();
+    // ★ フェーズごとの全体に対する割合（%）とメッセージ
+    this.PHASE_STEPS = {
+      encoding: [10, 30, '📦 ファイルをBase64エンコード中...'],
+      uploading: [30, 80, '📤 サーバーにアップロード中...'],
+      finalizing: [80, 100, '✅ レスポンス処理中...'],
+      done: [100, 100, '✅ アップロード完了！']
+    };
+  }
+
+  /**
+   * 進捗イベント → onProgress(percent, message, event)
+   */
+  reportProgress(event, onProgress) {
+    const step = this.PHASE_STEPS[event.phase];
+    if (!step) return;
+    const [from, to, message] = step;
+    const fraction = event.phase === 'uploading'
+      ? (event.totalBytes ? event.bytesSent / event.totalBytes : 0)
+      : (event.phaseProgress || 0);
+    onProgress(Math.round(from + (to - from) * fraction), message, event);
   }
 
   /**
    * Blob を Base64 文字列に変換（ローカル側）
-   * これはクライアント側で高速に実行される
+   * ワーカーで変換するのでページは固まらない（js/upload-worker-pool.js）
    */
-  async blobToBase64(blob) {
+  async blobToBase64(blob, onProgress = null) {
     console.log('[BASE64] Starting blob to base64 conversion...');
     console.log('[BASE64] Blob size:', blob.size, 'bytes');
 
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      const startTime = Date.now();
-
-      reader.onload = () => {
-        const endTime = Date.now();
-        const duration = endTime - startTime;
-        console.log(`[BASE64] Conversion completed in ${duration}ms`);
-
-        // データ URL から "data:video/mp4;base64," プレフィックスを削除
-        const base64String = reader.result.split(',')[1];
-        console.log('[BASE64] Base64 string length:', base64String.length);
-
-        resolve(base64String);
-      };
-
-      reader.onerror = () => {
-        console.error('[BASE64] Conversion error:', reader.error);
-        reject(reader.error);
-      };
-
-      reader.readAsDataURL(blob);
-    });
+    const startTime = Date.now();
+    try {
+      const base64String = await window.uploadWorkerPool.base64String(blob, { onProgress });
+      console.log(`[BASE64] Conversion completed in ${Date.now() - startTime}ms`);
+      console.log('[BASE64] Base64 string length:', base64String.length);
+      return base64String;
+    } catch (e) {
+      console.error('[BASE64] Conversion error:', e);
+      throw e;
+    }
   }
 
   /**
@@ -49,6 +57,7 @@ class ClientVideoUploader {
    * @param {Function} onProgress - プログレスコールバック
    */
   async uploadCompressedVideo(compressedVideoBlob, releaseData, onProgress = () => {}) {
+    const progress = new UploadProgress(compressedVideoBlob.size, event => this.reportProgress(event, onProgress));
     try {
       console.log('[UPLOAD] Starting upload process');
       console.log('[UPLOAD] Video blob:', {
@@ -64,11 +73,11 @@ class ClientVideoUploader {
       // ========================================
       // Step 1: Base64 エンコード（ローカル側）
       // ========================================
-      onProgress(10, '📦 ファイルをBase64エンコード中...');
+      progress.setPhase('encoding', 0);
       console.log('[UPLOAD] Step 1: Base64 encoding...');
 
       const startEncode = Date.now();
-      const base64String = await this.blobToBase64(compressedVideoBlob);
+      const base64String = await this.blobToBase64(compressedVideoBlob, p => progress.setPhase('encoding', p));
       const encodeTime = Date.now() - startEncode;
 
       console.log(`[UPLOAD] Base64 encoding completed in ${encodeTime}ms`);
@@ -77,12 +86,14 @@ class ClientVideoUploader {
       // ========================================
       // Step 2: サーバーに送信（JSON で POST）
       // ========================================
-      onProgress(30, '📤 サーバーにアップロード中...');
+      progress.setPhase('uploading');
       console.log('[UPLOAD] Step 2: Sending to server...');
 
       const startUpload = Date.now();
+      const request = progress.request(compressedVideoBlob.size);
 
-      const response = await fetch('/.netlify/functions/github-upload', {
+      // ★ 本文は Base64 を含む JSON なので、送信済みの割合を元のバイト数に換算する
+      const response = await UploadProgress.send('/.netlify/functions/github-upload', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -96,6 +107,8 @@ class ClientVideoUploader {
           fileSize: compressedVideoBlob.size,
           isPreCompressed: true             // ローカルで既に圧縮済みであることを示す
         })
+      }, (loaded, total) => {
+        if (total) request.sent(Math.floor(compressedVideoBlob.size * loaded / total));
       });
 
       const uploadTime = Date.now() - startUpload;
@@ -104,7 +117,7 @@ class ClientVideoUploader {
       // ========================================
       // Step 3: レスポンス解析
       // ========================================
-      onProgress(80, '✅ レスポンス処理中...');
+      progress.setPhase('finalizing');
       console.log('[UPLOAD] Step 3: Processing response...');
 
       const result = await response.json();
@@ -113,6 +126,7 @@ class ClientVideoUploader {
       if (!response.ok || !result.success) {
         throw new Error(result.error || `HTTP ${response.status}`);
       }
+      request.ack();
 
       const assetData = result.data;
 
@@ -126,7 +140,7 @@ class ClientVideoUploader {
       // ========================================
       // Step 4: 完了
       // ========================================
-      onProgress(100, '✅ アップロード完了！');
+      progress.setPhase('done');
 
       return {
         success: true,
@@ -140,7 +154,7 @@ class ClientVideoUploader {
 
     } catch (error) {
       console.error('[UPLOAD] Upload failed:', error);
-      onProgress(100, `❌ エラー: ${error.message}`);
+      onProgress(100, `❌ エラー: ${error.message}`, progress.snapshot());
       throw error;
     }
   }
@@ -173,11 +187,13 @@ class VideoUploadWorkflow {
       console.log('[WORKFLOW] Phase 1: Compress video locally...');
       
       const startCompress = Date.now();
+      const compressProgress = new UploadProgress(videoFile.size);
       const compressedBlob = await this.compressionEngine.compress(
         videoFile,
         (progress, message) => {
           // 全体の 0-50% を圧縮フェーズに割り当て
-          onProgress(Math.floor(progress / 2), `[圧縮] ${message}`);
+          compressProgress.setPhase('compressing', progress / 100);
+          onProgress(Math.floor(progress / 2), `[圧縮] ${message}`, compressProgress.snapshot());
         }
       );
       const compressTime = Date.now() - startCompress;
@@ -198,9 +214,9 @@ class VideoUploadWorkflow {
       const uploadResult = await this.uploader.uploadCompressedVideo(
         compressedBlob,
         releaseData,
-        (progress, message) => {
+        (progress, message, event) => {
           // 全体の 50-100% をアップロードフェーズに割り当て
-          onProgress(50 + Math.floor(progress / 2), `[アップロード] ${message}`);
+          onProgress(50 + Math.floor(progress / 2), `[アップロード] ${message}`, event);
         }
       );
       const uploadTime = Date.now() - startUpload;
@@ -0,0 +1,261 @@
+/**
+ * js/file-crypto.js
+ * ★ エンドツーエンド暗号化（アップロード前に暗号化 → ビューアーで復号）
+ *
+ * GitHub Release のアセットは誰でもダウンロードできるため、暗号化モードでは
+ * ブラウザ内で AES-256-GCM により暗号化したデータだけをアップロードする。
+ * 鍵はサーバーに送らない:
+ *   - fragment: ランダムな鍵を共有 URL のフラグメント（#k=...）に載せる
+ *   - password: 暗号化パスフレーズから PBKDF2 で導出（ソルトはヘッダーに保存）
+ *     ★ パスワード保護の閲覧パスワード（平文でサーバーに送り scrypt ハッシュにする）とは別の値を使うこと。
+ *       同じ値だとサーバー側で鍵を導出できてしまう
+ *
+ * 形式（avfe-1）:
+ *   ヘッダー 48 バイト
+ *     0  "AVFE"            4  version (1)      5  keySource (0: fragment, 1: password)
+ *     8  chunkSize (u32)   12 PBKDF2 iterations (u32, fragment は 0)
+ *     16 salt (16)         32 nonce prefix (8)  40 平文サイズ (u64)
+ *   レコード × n: AES-GCM(平文 chunkSize バイトずつ) + 16 バイトのタグ
+ *     IV = nonce prefix || レコード番号 (u32)
+ *     AAD = ヘッダー || 最終レコードなら 1（切り詰め・並べ替えを検出）
+ */
+
+class FileCrypto {
+  constructor() {
+    this.SCHEME = 'avfe-1';
+    this.MAGIC = [0x41, 0x56, 0x46, 0x45]; // "AVFE"
+    this.HEADER_SIZE = 48;
+    this.TAG_SIZE = 16;
+    this.CHUNK_SIZE = 1 * 1024 * 1024;     // ★ 復号時も 1 レコードずつ Range で取得する
+    this.PBKDF2_ITERATIONS = 600000;
+    this.KEY_SOURCE = { fragment: 0, password: 1 };
+  }
+
+  // ===================== Keys =====================
+
+  toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+
+  /**
+   * ランダムな鍵を生成 → { key, keyString }（keyString を URL フラグメントに載せる）
+   */
+  async generateKey() {
+    const raw = crypto.getRandomValues(new Uint8Array(32));
+    return { key: await this.importKey(raw), keyString: this.toBase64Url(raw) };
+  }
+
+  async importKey(raw) {
+    const bytes = typeof raw === 'string' ? this.fromBase64Url(raw) : raw;
+    if (bytes.length !== 32) throw new Error('Invalid encryption key');
+    return await crypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  async deriveKey(password, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(password.normalize('NFC')), 'PBKDF2', false, ['deriveKey']
+    );
+    return await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * URL フラグメント（#k=...）から鍵文字列を取り出す（無ければ null）
+   */
+  keyFromFragment(hash = location.hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    return params.get('k');
+  }
+
+  // ===================== Format =====================
+
+  recordCount(size, chunkSize) {
+    return Math.max(1, Math.ceil(size / chunkSize));
+  }
+
+  encryptedSize(size, chunkSize = this.CHUNK_SIZE) {
+    return this.HEADER_SIZE + size + this.recordCount(size, chunkSize) * this.TAG_SIZE;
+  }
+
+  buildHeader({ keySource, chunkSize, iterations, salt, noncePrefix, size }) {
+    const header = new Uint8Array(this.HEADER_SIZE);
+    const view = new DataView(header.buffer);
+    header.set(this.MAGIC, 0);
+    header[4] = 1;
+    header[5] = keySource;
+    view.setUint32(8, chunkSize);
+    view.setUint32(12, iterations);
+    header.set(salt, 16);
+    header.set(noncePrefix, 32);
+    view.setUint32(40, Math.floor(size / 0x100000000));
+    view.setUint32(44, size >>> 0);
+    return header;
+  }
+
+  parseHeader(header) {
+    if (header.length < this.HEADER_SIZE || !this.MAGIC.every((b, i) => header[i] === b)) {
+      throw new Error('Not an encrypted Avfile asset');
+    }
+    if (header[4] !== 1) throw new Error(`Unsupported encryption version: ${header[4]}`);
+
+    const view = new DataView(header.buffer, header.byteOffset, this.HEADER_SIZE);
+    return {
+      keySource: header[5],
+      chunkSize: view.getUint32(8),
+      iterations: view.getUint32(12),
+      salt: header.slice(16, 32),
+      noncePrefix: header.slice(32, 40),
+      size: view.getUint32(40) * 0x100000000 + view.getUint32(44),
+      bytes: header.slice(0, this.HEADER_SIZE)
+    };
+  }
+
+  recordIv(noncePrefix, index) {
+    const iv = new Uint8Array(12);
+    iv.set(noncePrefix, 0);
+    new DataView(iv.buffer).setUint32(8, index);
+    return iv;
+  }
+
+  recordAad(headerBytes, isLast) {
+    const aad = new Uint8Array(headerBytes.length + 1);
+    aad.set(headerBytes, 0);
+    aad[headerBytes.length] = isLast ? 1 : 0;
+    return aad;
+  }
+
+  // ===================== Encrypt =====================
+
+  /**
+   * ファイルを CHUNK_SIZE ずつ読み込んで暗号化（平文全体をメモリに載せない）
+   * options: { key } または { password }
+   * → { blob, encryption: { scheme, keySource }, size }
+   */
+  async encryptFile(file, { key = null, password = null, onProgress = null } = {}) {
+    const keySource = password ? this.KEY_SOURCE.password : this.KEY_SOURCE.fragment;
+    const salt = password ? crypto.getRandomValues(new Uint8Array(16)) : new Uint8Array(16);
+    const iterations = password ? this.PBKDF2_ITERATIONS : 0;
+    const cryptoKey = password ? await this.deriveKey(password, salt, iterations) : key;
+    if (!cryptoKey) throw new Error('Encryption key or password is required');
+
+    const chunkSize = this.CHUNK_SIZE;
+    const header = this.buildHeader({
+      keySource,
+      chunkSize,
+      iterations,
+      salt,
+      noncePrefix: crypto.getRandomValues(new Uint8Array(8)),
+      size: file.size
+    });
+    const { noncePrefix } = this.parseHeader(header);
+
+    const parts = [header];
+    const count = this.recordCount(file.size, chunkSize);
+    for (let i = 0; i < count; i++) {
+      const plain = await file.slice(i * chunkSize, (i + 1) * chunkSize).arrayBuffer();
+      const sealed = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: this.recordIv(noncePrefix, i), additionalData: this.recordAad(header, i === count - 1) },
+        cryptoKey,
+        plain
+      );
+      parts.push(new Uint8Array(sealed));
+      if (onProgress) onProgress((i + 1) / count);
+    }
+
+    const blob = new Blob(parts, { type: 'application/octet-stream' });
+    console.log('[CRYPTO] Encrypted:', file.size, '→', blob.size, 'bytes in', count, 'records');
+
+    return {
+      blob,
+      size: file.size,
+      encryption: { scheme: this.SCHEME, keySource: password ? 'password' : 'fragment' }
+    };
+  }
+
+  // ===================== Decrypt =====================
+
+  /**
+   * Range リクエストで [start, end] を取得。
+   * サーバーが 200（全体）を返した場合は以降のレコードもそこから切り出す
+   */
+  async fetchRange(url, start, end, state, fetchOptions = {}) {
+    if (state.full) return state.full.slice(start, end + 1);
+
+    const response = await fetch(url, {
+      ...fetchOptions,
+      headers: { ...(fetchOptions.headers || {}), 'Range': `bytes=${start}-${end}` }
+    });
+    if (!response.ok) throw new Error(`Download failed: ${response.status}`);
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (response.status === 200) {
+      state.full = bytes;
+      return bytes.slice(start, end + 1);
+    }
+    return bytes;
+  }
+
+  /**
+   * 暗号化されたアセットをレコード単位で取得・復号 → Blob
+   * options: { key, keyString, password, type, onProgress, fetchOptions }
+   */
+  async decryptFromUrl(url, { key = null, keyString = null, password = null, type = '', onProgress = null, fetchOptions = {} } = {}) {
+    const state = { full: null };
+    const header = this.parseHeader(await this.fetchRange(url, 0, this.HEADER_SIZE - 1, state, fetchOptions));
+
+    let cryptoKey = key;
+    if (header.keySource === this.KEY_SOURCE.password) {
+      if (!password) throw new Error('Password required to decrypt this file');
+      cryptoKey = await this.deriveKey(password, header.salt, header.iterations);
+    } else if (!cryptoKey) {
+      if (!keyString) throw new Error('Decryption key missing from link');
+      cryptoKey = await this.importKey(keyString);
+    }
+
+    const parts = [];
+    const count = this.recordCount(header.size, header.chunkSize);
+    let offset = this.HEADER_SIZE;
+
+    for (let i = 0; i < count; i++) {
+      const plainLength = i < count - 1 ? header.chunkSize : header.size - i * header.chunkSize;
+      const recordLength = plainLength + this.TAG_SIZE;
+      const record = await this.fetchRange(url, offset, offset + recordLength - 1, state, fetchOptions);
+      if (record.length !== recordLength) throw new Error('Encrypted file is truncated');
+
+      try {
+        const plain = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: this.recordIv(header.noncePrefix, i), additionalData: this.recordAad(header.bytes, i === count - 1) },
+          cryptoKey,
+          record
+        );
+        parts.push(new Uint8Array(plain));
+      } catch (e) {
+        throw new Error('Decryption failed (wrong key or password, or the file was modified)');
+      }
+
+      offset += recordLength;
+      if (onProgress) onProgress((i + 1) / count);
+    }
+
+    console.log('[CRYPTO] Decrypted:', header.size, 'bytes from', count, 'records');
+    return new Blob(parts, { type: type || 'application/octet-stream' });
+  }
+}
+
+// グローバルエクスポート
+if (typeof window !== 'undefined') {
+  window.FileCrypto = FileCrypto;
+  window.fileCrypto = new FileCrypto();
+}
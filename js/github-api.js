@@ -102,6 +102,7 @@ export class GitHubUploader {
           'x-upload-url': uploadUrl,
           'x-file-name': encodeURIComponent(fileName),
           'x-is-base64': String(isBase64),
+          'content-type': 'application/octet-stream',
         },
         body,
       });
@@ -116,6 +117,7 @@ export class GitHubUploader {
         browser_download_url: json.data.download_url,
         name: json.data.name,
         size: json.data.size,
+        sha256: json.data.sha256,
       };
     } catch (error) {
       console.error('❌ Binary upload error:', error.message);
@@ -228,6 +230,7 @@ export class GitHubUploader {
         shard: json.shard,
         shardNumber: json.shardNumber,
         rotated: json.rotated,
+        deleteToken: json.deleteToken,
       };
     } catch (error) {
       console.error('❌ addFileToGithubJson error:', error.message);
@@ -235,10 +238,185 @@ export class GitHubUploader {
     }
   }
 
+  /**
+   * ファイルを削除（add-file が返した deleteToken が必要）
+   */
+  async deleteFile(fileId, deleteToken) {
+    try {
+      const res = await fetch(this.functionUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'delete-file',
+          fileId,
+          deleteToken,
+        }),
+      });
+
+      const json = await res.json();
+      if (!res.ok || !json.success) {
+        throw new Error(json.error || 'delete-file failed');
+      }
+
+      console.log('✅ File deleted:', fileId);
+      return json;
+    } catch (error) {
+      console.error('❌ deleteFile error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * ファイルの閲覧・ダウンロード統計を取得（オーナートークン = add-file が返した deleteToken）
+   * → { views, downloads, bytesServed, referrers, countries, daily, ... }
+   */
+  async getFileStats(fileId, ownerToken) {
+    try {
+      const res = await fetch(this.functionUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'file-stats',
+          fileId,
+          ownerToken,
+        }),
+      });
+
+      const json = await res.json();
+      if (!res.ok || !json.success) {
+        throw new Error(json.error || 'file-stats failed');
+      }
+
+      return json.stats;
+    } catch (error) {
+      console.error('❌ getFileStats error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * グループを編集（ファイルの追加・削除・並べ替え、タイトル・説明・パスワードの変更）
+   * credentials: { ownerToken }（create-group / createView が返した値）または { ownerKey }
+   * changes: { addFileIds, removeFileIds, order, title, description, password }（password: null で解除）
+   */
+  async updateGroup(groupId, changes, credentials = {}) {
+    try {
+      const res = await fetch(this.functionUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'update-group',
+          groupId,
+          changes,
+          ...credentials,
+        }),
+      });
+
+      const json = await res.json();
+      if (!res.ok || !json.success) {
+        throw new Error(json.error || 'update-group failed');
+      }
+
+      console.log('✅ Group updated:', groupId);
+      return json.group;
+    } catch (error) {
+      console.error('❌ updateGroup error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * フォルダ（/d/d_xxx）を作成 → { folderId, ownerToken, folder }
+   * folder: { name, description, parentId, parentToken, fileIds, groupIds, coverFileId, ownerKey, fileTokens, groupTokens }
+   */
+  async createFolder(folder) {
+    try {
+      const res = await fetch(this.functionUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'create-folder',
+          ...folder,
+        }),
+      });
+
+      const json = await res.json();
+      if (!res.ok || !json.success) {
+        throw new Error(json.error || 'create-folder failed');
+      }
+
+      console.log('✅ Folder created:', json.folderId);
+      return json;
+    } catch (error) {
+      console.error('❌ createFolder error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * フォルダを編集
+   * credentials: { ownerToken }（createFolder が返した値）または { ownerKey }
+   * changes: { name, description, coverFileId, addFileIds, removeFileIds, addGroupIds, removeGroupIds }
+   */
+  async updateFolder(folderId, changes, credentials = {}) {
+    try {
+      const res = await fetch(this.functionUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'update-folder',
+          folderId,
+          changes,
+          ...credentials,
+        }),
+      });
+
+      const json = await res.json();
+      if (!res.ok || !json.success) {
+        throw new Error(json.error || 'update-folder failed');
+      }
+
+      console.log('✅ Folder updated:', folderId);
+      return json.folder;
+    } catch (error) {
+      console.error('❌ updateFolder error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * フォルダを削除（子フォルダが残っている場合はエラー）
+   */
+  async deleteFolder(folderId, credentials = {}) {
+    try {
+      const res = await fetch(this.functionUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'delete-folder',
+          folderId,
+          ...credentials,
+        }),
+      });
+
+      const json = await res.json();
+      if (!res.ok || !json.success) {
+        throw new Error(json.error || 'delete-folder failed');
+      }
+
+      console.log('✅ Folder deleted:', folderId);
+      return json;
+    } catch (error) {
+      console.error('❌ deleteFolder error:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * View を作成
+   * credentials: { fileTokens: { [fileId]: deleteToken }, ownerKey }（パスワード付きファイルをグループにする場合に必要）
    */
-  async createView(fileIds, passwordHash, origin) {
+  async createView(fileIds, password, origin, credentials = {}) {
     try {
       // バリデーション
       if (!Array.isArray(fileIds) || fileIds.length === 0) {
@@ -253,8 +431,10 @@ export class GitHubUploader {
         body: JSON.stringify({
           action: 'create-view',
           fileIds: fileIds,
-          passwordHash: passwordHash || null,
+          password: password || undefined, // ★ サーバー側でソルト付きハッシュにする
           origin: origin || window.location.origin,
+          fileTokens: credentials.fileTokens,
+          ownerKey: credentials.ownerKey,
         }),
       });
 
@@ -337,8 +517,9 @@ export class GitHubUploader {
 
   /**
    * github.json を保存
+   * credentials: { fileTokens, ownerKey }（パスワード付きファイルを含むビューを追加する場合に必要）
    */
-  async saveGithubJson(jsonData) {
+  async saveGithubJson(jsonData, credentials = {}) {
     try {
       // バリデーション
       if (!jsonData || typeof jsonData !== 'object') {
@@ -365,6 +546,8 @@ export class GitHubUploader {
         body: JSON.stringify({
           action: 'save-github-json',
           jsonData: jsonData,
+          fileTokens: credentials.fileTokens,
+          ownerKey: credentials.ownerKey,
         }),
       });
 
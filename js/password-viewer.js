@@ -6,7 +6,7 @@
 class PasswordViewer {
   constructor() {
     this.viewId = this.getViewIdFromPath();
-    this.passwordHash = null;
+    this.accessToken = null;
     this.isPasswordRequired = false;
   }
 
@@ -33,13 +33,22 @@ class PasswordViewer {
   }
 
   /**
-   * SHA-256ハッシュ計算
+   * パスワードを unlock に送り、短命のアクセストークンを取得（パスワード違いは null）
    */
-  async sha256(message) {
-    const msgBuffer = new TextEncoder().encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  async unlock(password) {
+    const response = await fetch('/.netlify/functions/unlock', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: this.viewId, password })
+    });
+
+    if (response.status === 403) return null;
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Failed to unlock');
+    }
+    return data.token;
   }
 
   /**
@@ -189,12 +198,16 @@ class PasswordViewer {
           throw new Error('Password required to access this file');
         }
 
-        // パスワードハッシュを計算
-        this.passwordHash = await this.sha256(password);
+        // パスワードをアクセストークンと交換
+        this.accessToken = await this.unlock(password);
+        if (!this.accessToken) {
+          throw new Error('Invalid password');
+        }
 
-        // パスワードハッシュ付きでリトライ
-        url = `/.netlify/functions/view?id=${encodeURIComponent(this.viewId)}&pwd=${encodeURIComponent(this.passwordHash)}`;
-        response = await fetch(url);
+        // トークン付きでリトライ
+        response = await fetch(url, {
+          headers: { 'Authorization': `Bearer ${this.accessToken}` }
+        });
         data = await response.json();
       }
 
@@ -210,14 +223,10 @@ class PasswordViewer {
   }
 
   /**
-   * URLにパスワードハッシュを含める
+   * 共有URL（パスワードやトークンは含めない。受け取った側が unlock で解除する）
    */
   getShareUrlWithPassword() {
-    const baseUrl = `${window.location.origin}/d/${this.viewId}`;
-    if (this.passwordHash) {
-      return `${baseUrl}?pwd=${encodeURIComponent(this.passwordHash)}`;
-    }
-    return baseUrl;
+    return `${window.location.origin}/d/${this.viewId}`;
   }
 }
 
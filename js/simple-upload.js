@@ -17,16 +17,9 @@ class SimpleUploadManager {
   /**
    * ファイルを Base64 に変換
    */
-  async fileToBase64(blob) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const base64 = reader.result.split(',')[1];
-        resolve(base64);
-      };f
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+  async fileToBase64(blob, onProgress = null) {
+    // ★ ワーカーで変換（js/upload-worker-pool.js）
+    return await window.uploadWorkerPool.base64String(blob, { onProgress });
   }
 
   /**
@@ -113,7 +106,7 @@ class SimpleUploadManager {
       }
 
       onProgress(40, '📤 Base64 エンコード中...');
-      const base64 = await this.fileToBase64(processedBlob);
+      const base64 = await this.fileToBase64(processedBlob, p => onProgress(40 + p * 5, '📤 Base64 エンコード中...'));
 
       onProgress(45, '☁️ GitHub にアップロード中...');
 
@@ -3,6 +3,8 @@
  * 
  * localStorage を使用したユーザーデータ管理
  * - ユーザー ID（UUID）生成・管理
+ * - オーナーキー（秘密の値）の生成・エクスポート・インポート
+ *   サーバーはキーのハッシュで所有ファイルを管理するので、キーがあれば別の端末でも「My files」を開ける
  * - アップロード履歴管理
  * - 統計情報管理
  * - ローカルストレージのエクスポート・インポート
@@ -38,11 +40,17 @@ class StorageManager {
         this.saveStorageData({
           version: '1.0.0',
           user_id: this.generateUUID(),
+          owner_key: this.generateOwnerKey(),
           uploads: [],
           created_at: new Date().toISOString(),
         });
 
         console.log('✅ Storage initialized');
+      } else if (!this.isOwnerKey(data.owner_key)) {
+        // ★ 以前のデータ（user_id のみ）にはオーナーキーを追加する
+        data.owner_key = this.generateOwnerKey();
+        this.saveStorageData(data);
+        console.log('✅ Storage upgraded with owner key');
       } else {
         console.log('✅ Storage loaded');
       }
@@ -100,6 +108,26 @@ class StorageManager {
     });
   }
 
+  /**
+   * オーナーキーを生成（ok_ + 32 バイトの base64url）
+   * user_id と違って推測できない値なので、サーバー側の所有確認に使える
+   * @returns {string}
+   */
+  generateOwnerKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return 'ok_' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isOwnerKey(key) {
+    return typeof key === 'string' && /^ok_[A-Za-z0-9_-]{43}$/.test(key);
+  }
+
   /**
    * ユーザー ID を取得
    * @returns {string}
@@ -109,6 +137,15 @@ class StorageManager {
     return data?.user_id || null;
   }
 
+  /**
+   * オーナーキーを取得（add-file / create-group に渡すと所有ファイルとして登録される）
+   * @returns {string|null}
+   */
+  getOwnerKey() {
+    const data = this.getStorageData();
+    return this.isOwnerKey(data?.owner_key) ? data.owner_key : null;
+  }
+
   /**
    * アップロード情報を追加
    * @param {Object} upload - アップロード情報
@@ -133,6 +170,7 @@ class StorageManager {
         compression_ratio: upload.compression_ratio || 1.0,
         asset_url: upload.asset_url,
         download_url: upload.download_url,
+        delete_token: upload.delete_token || null,
         uploaded_at: new Date().toISOString(),
         view_count: 0,
         download_count: 0,
@@ -213,74 +251,213 @@ class StorageManager {
   }
 
   /**
-   * 再生回数を増加
+   * サーバー側の閲覧・ダウンロード統計を取得して履歴に反映
+   * （file-stats アクション。オーナートークンとして削除トークンを使う）
    * @param {string} fileId
+   * @returns {Promise<Object|null>} 統計（削除トークンが無い場合は null）
    */
-  incrementViewCount(fileId) {
+  async fetchFileStats(fileId) {
     try {
       const data = this.getStorageData();
 
       if (!data) {
-        return;
+        return null;
       }
 
       const upload = data.uploads.find((u) => u.file_id === fileId);
 
-      if (upload) {
-        upload.view_count = (upload.view_count || 0) + 1;
-        this.saveStorageData(data);
+      if (!upload || !upload.delete_token) {
+        return null;
       }
+
+      const response = await fetch('/.netlify/functions/github-upload', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'file-stats',
+          fileId,
+          ownerToken: upload.delete_token,
+        }),
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `file-stats failed: ${response.status}`);
+      }
+
+      upload.view_count = result.stats.views;
+      upload.download_count = result.stats.downloads;
+      upload.bytes_served = result.stats.bytesServed;
+      upload.stats_updated_at = new Date().toISOString();
+      this.saveStorageData(data);
+
+      return result.stats;
     } catch (error) {
-      console.error('❌ Error incrementing view count:', error);
+      console.error('❌ Error fetching file stats:', error);
+      return null;
     }
   }
 
   /**
-   * ダウンロード回数を増加
+   * オーナーキーを付けて github-upload のアクションを呼ぶ
+   * @param {string} action
+   * @param {Object} payload
+   * @returns {Promise<Object>}
+   */
+  async ownerRequest(action, payload = {}) {
+    const ownerKey = this.getOwnerKey();
+    if (!ownerKey) {
+      throw new Error('Owner key not available');
+    }
+
+    const response = await fetch('/.netlify/functions/github-upload', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, ownerKey, ...payload }),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `${action} failed: ${response.status}`);
+    }
+    return result;
+  }
+
+  /**
+   * サーバー上の所有ファイル一覧（新しい順）
+   * @param {Object} options - { offset, limit }
+   * @returns {Promise<{files: Array, groups: Array, total: number}>}
+   */
+  async listOwnedFiles(options = {}) {
+    return await this.ownerRequest('owner-files', options);
+  }
+
+  /**
+   * 所有ファイルの表示名を変更
    * @param {string} fileId
+   * @param {string} fileName
    */
-  incrementDownloadCount(fileId) {
-    try {
-      const data = this.getStorageData();
+  async renameOwnedFile(fileId, fileName) {
+    return await this.ownerRequest('rename-file', { fileId, fileName });
+  }
 
-      if (!data) {
-        return;
-      }
+  /**
+   * 所有ファイルを削除（削除トークンが無くてもオーナーキーで削除できる）
+   * @param {string} fileId
+   */
+  async deleteOwnedFile(fileId) {
+    const result = await this.ownerRequest('delete-file', { fileId });
 
-      const upload = data.uploads.find((u) => u.file_id === fileId);
+    const data = this.getStorageData();
+    const upload = data?.uploads.find((u) => u.file_id === fileId);
+    if (upload) {
+      upload.is_deleted = true;
+      upload.deleted_at = new Date().toISOString();
+      this.saveStorageData(data);
+    }
+    return result;
+  }
 
-      if (upload) {
-        upload.download_count = (upload.download_count || 0) + 1;
-        this.saveStorageData(data);
+  /**
+   * 所有グループ（/d/g_xxx）を編集。URL はそのまま
+   * @param {string} groupId
+   * @param {Object} changes - { addFileIds, removeFileIds, order, title, description, password }
+   * @param {Object} options - { fileTokens: { [fileId]: deleteToken } }（所有していないファイルを追加する場合）
+   */
+  async updateOwnedGroup(groupId, changes, options = {}) {
+    return await this.ownerRequest('update-group', { groupId, changes, ...options });
+  }
+
+  /**
+   * フォルダ（/d/d_xxx）を作成してオーナーキーに登録
+   * @param {Object} folder - { name, description, parentId, fileIds, groupIds, coverFileId }
+   * @param {Object} options - { fileTokens, groupTokens }（所有していないファイル・グループを入れる場合）
+   */
+  async createFolder(folder, options = {}) {
+    return await this.ownerRequest('create-folder', { ...folder, ...options });
+  }
+
+  /**
+   * 所有フォルダを編集
+   * @param {Object} changes - { name, description, coverFileId, addFileIds, removeFileIds, addGroupIds, removeGroupIds }
+   */
+  async updateOwnedFolder(folderId, changes, options = {}) {
+    return await this.ownerRequest('update-folder', { folderId, changes, ...options });
+  }
+
+  /**
+   * 所有フォルダを削除（中のファイル・グループは残る）
+   */
+  async deleteOwnedFolder(folderId) {
+    return await this.ownerRequest('delete-folder', { folderId });
+  }
+
+  /**
+   * 削除トークンを持っている以前のアップロードをオーナーキーに登録
+   * @param {Object} extraTokens - { [fileId]: deleteToken }（履歴以外に保存しているトークン）
+   * @returns {Promise<{claimed: Array, rejected: Array}>}
+   */
+  async claimUploads(extraTokens = {}) {
+    const tokens = { ...extraTokens };
+    for (const upload of this.getActiveUploads()) {
+      if (upload.file_id && upload.delete_token) {
+        tokens[upload.file_id] = upload.delete_token;
       }
-    } catch (error) {
-      console.error('❌ Error incrementing download count:', error);
     }
+
+    const files = Object.entries(tokens).map(([fileId, deleteToken]) => ({ fileId, deleteToken }));
+    if (files.length === 0) {
+      return { claimed: [], rejected: [] };
+    }
+    return await this.ownerRequest('claim-files', { files });
   }
 
   /**
-   * アップロードを削除（論理削除）
+   * アップロードを削除
+   * 削除トークンがあればサーバー側のリリース・レコードも削除してから、ローカルの履歴を論理削除する
    * @param {string} uploadId
+   * @returns {Promise<boolean>}
    */
-  deleteUpload(uploadId) {
+  async deleteUpload(uploadId) {
     try {
       const data = this.getStorageData();
 
       if (!data) {
-        return;
+        return false;
       }
 
       const upload = data.uploads.find((u) => u.id === uploadId);
 
       if (upload) {
+        if (upload.delete_token) {
+          const response = await fetch('/.netlify/functions/github-upload', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              action: 'delete-file',
+              fileId: upload.file_id,
+              deleteToken: upload.delete_token,
+            }),
+          });
+
+          // 410 = 既に削除済み
+          if (!response.ok && response.status !== 410) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || `delete-file failed: ${response.status}`);
+          }
+        }
+
         upload.is_deleted = true;
         upload.deleted_at = new Date().toISOString();
         this.saveStorageData(data);
 
         console.log(`✅ Upload deleted: ${upload.title}`);
+        return true;
       }
+      return false;
     } catch (error) {
       console.error('❌ Error deleting upload:', error);
+      return false;
     }
   }
 
@@ -426,17 +603,26 @@ class StorageManager {
 
   /**
    * ストレージデータをインポート
+   * バックアップ全体、またはオーナーキーだけ（{ "owner_key": "ok_..." }）を受け付ける
    * @param {string} jsonStr - JSON 文字列
    */
   importData(jsonStr) {
     try {
       const data = JSON.parse(jsonStr);
 
-      if (!data.user_id || !data.uploads) {
+      if (data.owner_key !== undefined && !this.isOwnerKey(data.owner_key)) {
+        throw new Error('Invalid owner key');
+      }
+      if (!data.owner_key && (!data.user_id || !data.uploads)) {
         throw new Error('Invalid import data format');
       }
 
-      this.saveStorageData(data);
+      const current = this.getStorageData() || {};
+      const imported = data.uploads ? data : { ...current, owner_key: data.owner_key };
+      // 旧形式のバックアップ（オーナーキー無し）は今のキーを引き継ぐ
+      imported.owner_key = imported.owner_key || current.owner_key || this.generateOwnerKey();
+
+      this.saveStorageData(imported);
       console.log('✅ Data imported successfully');
     } catch (error) {
       console.error('❌ Error importing data:', error);
@@ -232,82 +232,30 @@ class UniversalFileUploaderEnhanced {
   }
 
   /**
-   * Base64 変換時のエラーハンドリング
+   * Base64 変換（ワーカーで行う。js/upload-worker-pool.js）
+   * onProgress(percent): 0〜100
    */
   async toBase64(file, onProgress) {
-    return new Promise((resolve, reject) => {
-      try {
-        const reader = new FileReader();
-
-        reader.onloadstart = () => {
-          console.log(`[BASE64] Starting conversion for: ${file.name || 'unnamed'}`);
-        };
-
-        reader.onprogress = (event) => {
-          const progress = Math.round((event.loaded / event.total) * 100);
+    try {
+      console.log(`[BASE64] Starting conversion for: ${file.name || 'unnamed'} (${this.formatSize(file.size)})`);
+      const base64 = await window.uploadWorkerPool.base64String(file, {
+        onProgress: (p) => {
+          const progress = Math.round(p * 100);
           console.log(`[BASE64] Progress: ${progress}%`);
           if (onProgress) onProgress(progress);
-        };
-
-        reader.onload = () => {
-          try {
-            const result = reader.result;
-
-            if (!result || typeof result !== 'string') {
-              throw new Error('Invalid FileReader result');
-            }
-
-            const parts = result.split(',');
-            if (parts.length < 2) {
-              throw new Error('Invalid data URL format');
-            }
-
-            const base64 = parts[1];
-            if (!base64 || base64.length === 0) {
-              throw new Error('Empty Base64 data');
-            }
-
-            console.log(`[BASE64] Conversion successful: ${base64.length} chars`);
-            resolve(base64);
-          } catch (e) {
-            console.error(`[BASE64] Parsing error: ${e.message}`);
-            reject(e);
-          }
-        };
-
-        reader.onerror = () => {
-          const errorMsg = reader.error ? reader.error.message : 'Unknown error';
-          console.error(`[BASE64] FileReader error: ${errorMsg}`);
-          reject(new Error(`FileReader error: ${errorMsg}`));
-        };
-
-        reader.onabort = () => {
-          console.error(`[BASE64] FileReader aborted`);
-          reject(new Error('FileReader aborted'));
-        };
-
-        console.log(`[BASE64] Starting FileReader for: ${file.name || 'unnamed'} (${this.formatSize(file.size)})`);
-        reader.readAsDataURL(file);
-
-        // ★ タイムアウト設定（30秒）
-        const timeout = setTimeout(() => {
-          console.error(`[BASE64] Timeout after 30 seconds`);
-          reader.abort();
-          reject(new Error('Base64 conversion timeout (30s)'));
-        }, 30000);
-
-        // 完了時にタイムアウトをクリア
-        const originalOnload = reader.onload;
-        reader.onload = function() {
-          clearTimeout(timeout);
-          originalOnload.call(this);
-        };
+        }
+      });
 
-      } catch (e) {
-        console.error(`[BASE64] Error: ${e.message}`);
-        reject(e);
+      if (!base64 && file.size > 0) {
+        throw new Error('Empty Base64 data');
       }
-    });
+
+      console.log(`[BASE64] Conversion successful: ${base64.length} chars`);
+      return base64;
+    } catch (e) {
+      console.error(`[BASE64] Error: ${e.message}`);
+      throw e;
+    }
   }
 
   /**
@@ -0,0 +1,230 @@
+/**
+ * js/upload-progress.js
+ * ★ アップロード進捗の共通モデル（各アップローダーが同じ形のイベントを onProgress に渡す）
+ *
+ * イベント:
+ *   { phase, phaseProgress, bytesSent, bytesAcked, totalBytes, percent, rate, smoothedRate, eta }
+ *   phase: 'preparing' | 'hashing' | 'encoding' | 'compressing' | 'encrypting' | 'uploading' | 'finalizing' | 'saving' | 'done'
+ *   phaseProgress: 送信以外のフェーズ（ハッシュ・暗号化など）の進み具合 0〜1（分からなければ null）
+ *   bytesSent: 送信済み（送信中のリクエストの途中までを含む）、bytesAcked: サーバーが受け取ったと応答したバイト数
+ *   rate: 直近の送信速度（bytes/s）、smoothedRate: 平滑化した送信速度、eta: 残り秒数（分からなければ null）
+ *
+ * fetch では送信の途中経過が取れないため、UploadProgress.send() は XMLHttpRequest で送って Response を返す。
+ */
+
+class UploadProgress {
+  /**
+   * totalBytes: 送信するバイト数
+   * onProgress(event): 進捗が変わったとき（送信中は interval ms ごとにまとめる）
+   */
+  constructor(totalBytes, onProgress = null, { interval = 200 } = {}) {
+    this.totalBytes = totalBytes;
+    this.onProgress = onProgress;
+    this.interval = interval;
+    this.phase = 'preparing';
+    this.phaseProgress = null;
+    this.bytesAcked = 0;
+    this.inflight = new Map();  // リクエストごとの送信途中のバイト数
+    this.nextRequestId = 1;
+    this.rate = 0;
+    this.smoothedRate = 0;
+    this.lastSample = null;
+    this.lastEmit = 0;
+  }
+
+  get bytesSent() {
+    let sent = this.bytesAcked;
+    for (const bytes of this.inflight.values()) sent += bytes;
+    return Math.min(sent, this.totalBytes);
+  }
+
+  setTotal(totalBytes) {
+    this.totalBytes = totalBytes;
+    this.emit(true);
+  }
+
+  setPhase(phase, phaseProgress = null) {
+    const changed = phase !== this.phase;
+    this.phase = phase;
+    this.phaseProgress = phaseProgress;
+    this.emit(changed || phaseProgress === null || phaseProgress >= 1);
+  }
+
+  /**
+   * 受信済みのバイト数を加える（再開時に送らずに済んだ分もここで数える）
+   */
+  ack(bytes) {
+    this.bytesAcked += bytes;
+    this.emit();
+  }
+
+  /**
+   * 1 リクエスト分の進捗 → { sent(loaded), ack(), fail() }
+   * sent は送信済みのバイト数（そのリクエスト内）、fail は再送のために途中経過を捨てる
+   */
+  request(bytes) {
+    const id = this.nextRequestId++;
+    this.inflight.set(id, 0);
+    return {
+      sent: (loaded) => {
+        if (!this.inflight.has(id)) return;
+        this.inflight.set(id, Math.min(loaded, bytes));
+        this.emit();
+      },
+      ack: () => {
+        if (!this.inflight.delete(id)) return;
+        this.ack(bytes);
+      },
+      fail: () => {
+        if (!this.inflight.has(id)) return;
+        this.inflight.set(id, 0);
+        this.emit();
+      }
+    };
+  }
+
+  /**
+   * 送信速度を更新（直近 250ms 以上の区間で測り、平滑化は時定数 3 秒の指数移動平均）
+   */
+  sampleRate(now) {
+    const sent = this.bytesSent;
+    if (!this.lastSample) {
+      this.lastSample = { time: now, sent };
+      return;
+    }
+    const elapsed = (now - this.lastSample.time) / 1000;
+    if (elapsed < 0.25) return;
+
+    this.rate = Math.max(0, (sent - this.lastSample.sent) / elapsed);
+    const alpha = 1 - Math.exp(-elapsed / 3);
+    this.smoothedRate = this.smoothedRate ? this.smoothedRate + alpha * (this.rate - this.smoothedRate) : this.rate;
+    this.lastSample = { time: now, sent };
+  }
+
+  snapshot() {
+    const bytesSent = this.bytesSent;
+    const remaining = Math.max(0, this.totalBytes - bytesSent);
+    return {
+      phase: this.phase,
+      phaseProgress: this.phaseProgress,
+      bytesSent,
+      bytesAcked: Math.min(this.bytesAcked, this.totalBytes),
+      totalBytes: this.totalBytes,
+      percent: this.totalBytes ? Math.round((bytesSent / this.totalBytes) * 100) : (this.phase === 'done' ? 100 : 0),
+      rate: this.rate,
+      smoothedRate: this.smoothedRate,
+      eta: this.phase === 'done' ? 0 : (this.smoothedRate > 0 ? remaining / this.smoothedRate : null)
+    };
+  }
+
+  emit(force = false) {
+    const now = performance.now();
+    this.sampleRate(now);
+    if (!this.onProgress) return;
+    if (!force && now - this.lastEmit < this.interval) return;
+    this.lastEmit = now;
+    this.onProgress(this.snapshot());
+  }
+
+  // ===================== Formatting =====================
+
+  static formatSize(bytes) {
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    if (!bytes) return '0 B';
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+    return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+  }
+
+  static formatDuration(seconds) {
+    if (seconds === null || !Number.isFinite(seconds)) return '';
+    const s = Math.ceil(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+    return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  }
+
+  /**
+   * "2.1 MB/s - 13s left" のような速度と残り時間（送信中でなければ空文字）
+   */
+  static formatRate({ smoothedRate, eta }) {
+    if (!smoothedRate) return '';
+    const left = UploadProgress.formatDuration(eta);
+    return `${UploadProgress.formatSize(smoothedRate)}/s${left ? ` - ${left} left` : ''}`;
+  }
+
+  // ===================== Transport =====================
+
+  /**
+   * ★ XMLHttpRequest で送信して Response を返す（fetch と同じように扱える）
+   * onUploadProgress(loaded, total): 送信済みのバイト数（リクエスト本文の単位）
+   * 通信エラーは TypeError、中断は AbortError で reject する
+   */
+  static send(url, { method = 'GET', headers = {}, body = null, signal = null } = {}, onUploadProgress = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('Upload aborted', 'AbortError'));
+        return;
+      }
+
+      const xhr = new XMLHttpRequest();
+      const onAbort = () => xhr.abort();
+      const cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      xhr.open(method, url);
+      xhr.responseType = 'blob';
+      for (const [name, value] of Object.entries(headers)) {
+        xhr.setRequestHeader(name, value);
+      }
+      if (onUploadProgress) {
+        xhr.upload.onprogress = (e) => onUploadProgress(e.loaded, e.lengthComputable ? e.total : null);
+      }
+
+      xhr.onload = () => {
+        cleanup();
+        const responseHeaders = new Headers();
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+          const idx = line.indexOf(':');
+          if (idx > 0) responseHeaders.append(line.slice(0, idx).trim(), line.slice(idx + 1).trim());
+        });
+        const noBody = [101, 204, 205, 304].includes(xhr.status);
+        resolve(new Response(noBody ? null : xhr.response, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: responseHeaders
+        }));
+      };
+      xhr.onerror = () => {
+        cleanup();
+        reject(new TypeError('Network request failed'));
+      };
+      xhr.ontimeout = xhr.onerror;
+      xhr.onabort = () => {
+        cleanup();
+        reject(new DOMException('Upload aborted', 'AbortError'));
+      };
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      xhr.send(body);
+    });
+  }
+}
+
+// ★ 画面に出すフェーズ名
+UploadProgress.PHASE_LABELS = {
+  preparing: 'Preparing',
+  hashing: 'Hashing',
+  encoding: 'Encoding',
+  compressing: 'Compressing',
+  encrypting: 'Encrypting',
+  uploading: 'Uploading',
+  finalizing: 'Finalizing',
+  saving: 'Saving',
+  done: 'Done'
+};
+
+// グローバルエクスポート
+if (typeof window !== 'undefined') {
+  window.UploadProgress = UploadProgress;
+}
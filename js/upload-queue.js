@@ -0,0 +1,282 @@
+/**
+ * js/upload-queue.js
+ * ★ 複数ファイルのアップロードキュー（ファイルごとの進捗行・同時実行数・一時停止/再開/キャンセル・失敗の再試行）
+ *
+ * 1 ファイル分の処理は task(item, { signal, onProgress }) として呼び出し側が渡す。
+ * onProgress には js/upload-progress.js の進捗イベント（一部のフィールドだけでもよい）を渡す。
+ * 一時停止・キャンセルは signal を中断して伝えるので、task は AbortError で終わること。
+ * 一時停止後の再開・失敗後の再試行では同じ item で task を呼び直す（item.context に途中の結果を残せる）。
+ *
+ * item.state: 'queued' | 'uploading' | 'paused' | 'done' | 'failed' | 'canceled'
+ */
+
+class UploadQueue {
+  /**
+   * container: 進捗行を描画する要素
+   * options.concurrency: 同時にアップロードするファイル数
+   * options.task: async (item, { signal, onProgress }) => result
+   * options.onChange(queue): 状態・進捗が変わったとき
+   * options.onSettled(queue): 待機中・実行中・一時停止中のファイルが無くなったとき
+   * options.onCancel(item): キャンセルしたとき（後片付け用）
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.concurrency = Math.max(1, options.concurrency || 2);
+    this.task = options.task;
+    this.onChange = options.onChange || null;
+    this.onSettled = options.onSettled || null;
+    this.onCancel = options.onCancel || null;
+    this.items = [];
+    this.active = 0;
+    this.nextId = 1;
+  }
+
+  /**
+   * ファイルを追加（追加した順にアップロードする）
+   */
+  add(files) {
+    const added = Array.from(files).map(file => ({
+      id: this.nextId++,
+      file,
+      name: file.name,
+      state: 'queued',
+      progress: { phase: null, phaseProgress: null, bytesSent: 0, totalBytes: file.size, smoothedRate: 0, eta: null },
+      error: null,
+      result: null,
+      context: {},
+      controller: null,
+      intent: null,
+      row: null
+    }));
+
+    for (const item of added) {
+      this.items.push(item);
+      this.container.appendChild(this.createRow(item));
+      this.renderItem(item);
+    }
+    return added;
+  }
+
+  start() {
+    this.pump();
+    this.changed();
+  }
+
+  /**
+   * 空きがあれば待機中のファイルを開始
+   */
+  pump() {
+    while (this.active < this.concurrency) {
+      const item = this.items.find(i => i.state === 'queued');
+      if (!item) break;
+      this.run(item);
+    }
+  }
+
+  async run(item) {
+    this.active++;
+    item.state = 'uploading';
+    item.error = null;
+    item.intent = null;
+    item.controller = new AbortController();
+    this.renderItem(item);
+
+    try {
+      item.result = await this.task(item, {
+        signal: item.controller.signal,
+        onProgress: event => {
+          Object.assign(item.progress, event);
+          this.renderItem(item);
+          this.changed();
+        }
+      });
+      item.state = 'done';
+      Object.assign(item.progress, { phase: 'done', bytesSent: item.progress.totalBytes, smoothedRate: 0, eta: 0 });
+    } catch (e) {
+      if (item.intent === 'pause') {
+        item.state = 'paused';
+      } else if (item.intent === 'cancel') {
+        item.state = 'canceled';
+      } else {
+        console.error('[UPLOAD_QUEUE] Failed:', item.name, e.message);
+        item.state = 'failed';
+        item.error = e.message;
+      }
+    } finally {
+      item.progress.smoothedRate = 0;
+      this.active--;
+      item.controller = null;
+      item.intent = null;
+    }
+
+    if (item.state === 'canceled' && this.onCancel) this.onCancel(item);
+    console.log('[UPLOAD_QUEUE]', item.name, '->', item.state);
+    this.renderItem(item);
+    this.pump();
+    this.changed();
+  }
+
+  pause(item) {
+    if (item.state === 'uploading') {
+      item.intent = 'pause';
+      item.controller.abort();
+    } else if (item.state === 'queued') {
+      item.state = 'paused';
+      this.renderItem(item);
+      this.changed();
+    }
+  }
+
+  resume(item) {
+    if (item.state !== 'paused') return;
+    item.state = 'queued';
+    this.renderItem(item);
+    this.pump();
+    this.changed();
+  }
+
+  cancel(item) {
+    if (item.state === 'uploading') {
+      item.intent = 'cancel';
+      item.controller.abort();
+    } else if (['queued', 'paused', 'failed'].includes(item.state)) {
+      item.state = 'canceled';
+      if (this.onCancel) this.onCancel(item);
+      this.renderItem(item);
+      this.changed();
+    }
+  }
+
+  retry(item) {
+    if (item.state !== 'failed') return;
+    item.state = 'queued';
+    item.error = null;
+    this.renderItem(item);
+    this.pump();
+    this.changed();
+  }
+
+  retryFailed() {
+    this.items.filter(i => i.state === 'failed').forEach(i => this.retry(i));
+  }
+
+  count(state) {
+    return this.items.filter(i => i.state === state).length;
+  }
+
+  isSettled() {
+    return this.items.every(i => ['done', 'failed', 'canceled'].includes(i.state));
+  }
+
+  /**
+   * キュー全体の進捗（キャンセルしたファイルは含めない）
+   * 速度は送信中のファイルの合計、残り時間は未送信のバイト数をその速度で割ったもの
+   */
+  getProgress() {
+    const counted = this.items.filter(i => i.state !== 'canceled');
+    const bytesSent = counted.reduce((sum, i) => sum + Math.min(i.progress.bytesSent, i.progress.totalBytes), 0);
+    const totalBytes = counted.reduce((sum, i) => sum + i.progress.totalBytes, 0);
+    const smoothedRate = counted
+      .filter(i => i.state === 'uploading')
+      .reduce((sum, i) => sum + (i.progress.smoothedRate || 0), 0);
+    return {
+      bytesSent,
+      totalBytes,
+      percent: totalBytes ? Math.round((bytesSent / totalBytes) * 100) : 0,
+      smoothedRate,
+      eta: smoothedRate > 0 ? (totalBytes - bytesSent) / smoothedRate : null,
+      done: this.count('done'),
+      files: counted.length
+    };
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this);
+    if (this.onSettled && this.isSettled()) this.onSettled(this);
+  }
+
+  // ===================== Rendering =====================
+
+  createRow(item) {
+    const row = document.createElement('div');
+    row.className = 'upload-queue-item';
+
+    const name = document.createElement('div');
+    name.className = 'upload-queue-name';
+    name.textContent = item.name;
+
+    const meta = document.createElement('div');
+    meta.className = 'upload-queue-meta';
+
+    const bar = document.createElement('div');
+    bar.className = 'upload-queue-bar';
+    const fill = document.createElement('div');
+    fill.className = 'upload-queue-fill';
+    bar.appendChild(fill);
+
+    const actions = document.createElement('div');
+    actions.className = 'upload-queue-actions';
+
+    row.append(name, meta, bar, actions);
+    item.row = { row, meta, fill, actions };
+    return row;
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'upload-queue-btn';
+    button.textContent = label;
+    button.onclick = onClick;
+    return button;
+  }
+
+  renderItem(item) {
+    if (!item.row) return;
+    const { row, meta, fill, actions } = item.row;
+    const { phase, phaseProgress, bytesSent, totalBytes } = item.progress;
+    const percent = totalBytes ? Math.round(Math.min(bytesSent / totalBytes, 1) * 100) : 0;
+
+    let current = UploadProgress.PHASE_LABELS[phase] || 'Starting';
+    if (phaseProgress !== null && phaseProgress !== undefined && phaseProgress < 1) {
+      current += ` ${Math.round(phaseProgress * 100)}%`;
+    }
+    if (phase === 'uploading') {
+      const rate = UploadProgress.formatRate(item.progress);
+      if (rate) current += ` - ${rate}`;
+    }
+
+    const labels = {
+      queued: 'Waiting',
+      uploading: current,
+      paused: 'Paused',
+      done: 'Done',
+      failed: `Failed: ${item.error || 'unknown error'}`,
+      canceled: 'Canceled'
+    };
+
+    row.dataset.state = item.state;
+    meta.textContent = `${UploadProgress.formatSize(Math.min(bytesSent, totalBytes))} / ${UploadProgress.formatSize(totalBytes)} - ${labels[item.state]}`;
+    fill.style.width = `${item.state === 'done' ? 100 : percent}%`;
+
+    const buttons = [];
+    if (item.state === 'uploading' || item.state === 'queued') {
+      buttons.push(this.createButton('Pause', () => this.pause(item)));
+    }
+    if (item.state === 'paused') {
+      buttons.push(this.createButton('Resume', () => this.resume(item)));
+    }
+    if (item.state === 'failed') {
+      buttons.push(this.createButton('Retry', () => this.retry(item)));
+    }
+    if (['queued', 'uploading', 'paused', 'failed'].includes(item.state)) {
+      buttons.push(this.createButton('Cancel', () => this.cancel(item)));
+    }
+    actions.replaceChildren(...buttons);
+  }
+}
+
+// グローバルエクスポート
+if (typeof window !== 'undefined') {
+  window.UploadQueue = UploadQueue;
+}
@@ -0,0 +1,203 @@
+/**
+ * js/upload-worker-pool.js
+ * ★ js/upload-worker.js のワーカーをいくつか起動して、SHA-256・Base64 エンコードを振り分ける
+ *
+ * 入力は Blob（中身はコピーされない）か ArrayBuffer（transfer: true で所有権ごと渡す）。
+ * Base64 の結果は ASCII のバイト列を transfer で受け取る（大きな文字列をメインスレッドで組み立てない）。
+ * Worker が使えない環境（起動できない・スクリプトを読み込めない）では同じ処理をメインスレッドで行う。
+ */
+
+class UploadWorkerPool {
+  constructor(workerUrl = '/js/upload-worker.js', size = null) {
+    this.workerUrl = workerUrl;
+    this.size = size || Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, 4));
+    this.workers = [];   // { worker, task }
+    this.queue = [];     // 空きワーカー待ちのタスク
+    this.nextTaskId = 1;
+    this.available = typeof Worker !== 'undefined';
+  }
+
+  /**
+   * SHA-256（16進小文字）
+   * options: { onProgress(0〜1), signal, transfer }
+   */
+  async sha256(data, options = {}) {
+    return await this.run('sha256', data, options);
+  }
+
+  /**
+   * Base64 → ASCII のバイト列（Uint8Array。そのまま Blob にして送信できる）
+   */
+  async base64(data, options = {}) {
+    return await this.run('base64', data, options);
+  }
+
+  /**
+   * Base64 → 文字列（JSON に埋め込む場合など）
+   */
+  async base64String(data, options = {}) {
+    return new TextDecoder().decode(await this.base64(data, options));
+  }
+
+  run(op, data, { onProgress = null, signal = null, transfer = false } = {}) {
+    if (!this.available) {
+      return this.runInline(op, data, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('Upload aborted', 'AbortError'));
+        return;
+      }
+
+      const task = {
+        id: this.nextTaskId++,
+        op,
+        data,
+        transfer: transfer && data instanceof ArrayBuffer ? [data] : [],
+        onProgress,
+        resolve,
+        reject,
+        signal,
+        onAbort: null
+      };
+
+      // ★ 中断されたタスクは、実行中ならワーカーごと止める（次のタスクで起動し直す）
+      if (signal) {
+        task.onAbort = () => {
+          this.queue = this.queue.filter(t => t !== task);
+          const slot = this.workers.find(s => s.task === task);
+          if (slot) this.discard(slot);
+          reject(new DOMException('Upload aborted', 'AbortError'));
+          this.dispatch();
+        };
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * 空いているワーカー（足りなければ起動）に待ちタスクを渡す
+   */
+  dispatch() {
+    while (this.queue.length) {
+      let slot = this.workers.find(s => !s.task);
+      if (!slot && this.workers.length < this.size) {
+        slot = this.spawn();
+      }
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.postMessage({ id: task.id, op: task.op, data: task.data }, task.transfer);
+    }
+  }
+
+  spawn() {
+    let worker;
+    try {
+      worker = new Worker(this.workerUrl);
+    } catch (e) {
+      // ★ ワーカーを起動できない場合（CSP など）は以降メインスレッドで処理する
+      console.warn('[UPLOAD_WORKER] Could not start worker, falling back to main thread:', e.message);
+      this.fallBackToMainThread();
+      return null;
+    }
+
+    const slot = { worker, task: null, loaded: false };
+    worker.onmessage = (event) => {
+      slot.loaded = true;
+      const { id, type, value, result, message } = event.data;
+      const task = slot.task;
+      if (!task || task.id !== id) return;
+
+      if (type === 'progress') {
+        if (task.onProgress) task.onProgress(value);
+        return;
+      }
+
+      slot.task = null;
+      this.finish(task);
+      if (type === 'result') task.resolve(result);
+      else task.reject(new Error(message || 'Worker task failed'));
+      this.dispatch();
+    };
+    worker.onerror = (event) => {
+      console.error('[UPLOAD_WORKER] Worker error:', event.message);
+      const task = slot.task;
+      this.discard(slot);
+
+      // ★ 一度も応答せずに失敗した = スクリプトを読み込めない。起動し直しても同じなので以降メインスレッドで処理する
+      // （transfer で渡した ArrayBuffer は手元に残っていないので、そのタスクだけは失敗にする）
+      if (!slot.loaded) {
+        console.warn('[UPLOAD_WORKER] Worker failed to load, falling back to main thread');
+        if (task && !task.transfer.length) this.queue.unshift(task);
+        else if (task) this.fail(task, event);
+        this.fallBackToMainThread();
+        return;
+      }
+
+      if (task) this.fail(task, event);
+      this.dispatch();
+    };
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  fail(task, event) {
+    this.finish(task);
+    task.reject(new Error(event.message || 'Worker error'));
+  }
+
+  /**
+   * ★ 以降のタスク（待ちのタスクを含む）をメインスレッドで処理する
+   */
+  fallBackToMainThread() {
+    this.available = false;
+    for (const task of this.queue.splice(0)) {
+      this.finish(task);
+      this.runInline(task.op, task.data, task.onProgress).then(task.resolve, task.reject);
+    }
+  }
+
+  discard(slot) {
+    slot.worker.terminate();
+    this.workers = this.workers.filter(s => s !== slot);
+  }
+
+  finish(task) {
+    if (task.signal && task.onAbort) task.signal.removeEventListener('abort', task.onAbort);
+  }
+
+  /**
+   * ★ ワーカーが使えない場合の処理（メインスレッド）
+   */
+  async runInline(op, data, onProgress) {
+    const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+    let result;
+    if (op === 'sha256') {
+      const digest = await crypto.subtle.digest('SHA-256', buffer);
+      result = Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+    } else if (op === 'base64') {
+      const bytes = new Uint8Array(buffer);
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      result = new TextEncoder().encode(btoa(binary));
+    } else {
+      throw new Error(`Unknown operation: ${op}`);
+    }
+    if (onProgress) onProgress(1);
+    return result;
+  }
+}
+
+// ★ グローバルにインスタンスを作成（ワーカーは最初のタスクで起動する）
+window.uploadWorkerPool = new UploadWorkerPool();
@@ -0,0 +1,171 @@
+/**
+ * js/upload-worker.js
+ * ★ アップロード前処理のワーカー（js/upload-worker-pool.js から使う）
+ * 大きなファイルでもページが固まらないよう、SHA-256 と Base64 エンコードをメインスレッドの外で行う
+ *
+ * 受信: { id, op: 'sha256' | 'base64', data: Blob | ArrayBuffer }
+ * 送信: { id, type: 'progress', value: 0〜1 } / { id, type: 'result', result } / { id, type: 'error', message }
+ *   sha256 の結果は 16 進小文字、base64 の結果は Base64 の ASCII バイト列（ArrayBuffer を transfer で返す）
+ */
+
+const READ_SLICE = 4 * 1024 * 1024;       // ★ Blob はこの大きさずつ読む（全体をメモリに載せない）
+const SUBTLE_MAX = 16 * 1024 * 1024;      // ★ これ以下は crypto.subtle で一度に計算（進捗は出ない）
+const BASE64_SLICE = 3 * 1024 * 1024;     // ★ 3 の倍数にして、区切りごとの Base64 をそのまま連結できるようにする
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * 少しずつ入力できる SHA-256（crypto.subtle は一度に全体を渡す必要があるため）
+ */
+function createSha256() {
+  const h = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLength = 0;
+  let totalLength = 0;
+
+  function compress(bytes, offset) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15];
+      const y = w[i - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const t1 = (k + S1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      k = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+    h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+  }
+
+  return {
+    update(bytes) {
+      totalLength += bytes.length;
+      let i = 0;
+      if (blockLength) {
+        i = Math.min(64 - blockLength, bytes.length);
+        block.set(bytes.subarray(0, i), blockLength);
+        blockLength += i;
+        if (blockLength < 64) return;
+        compress(block, 0);
+        blockLength = 0;
+      }
+      for (; i + 64 <= bytes.length; i += 64) compress(bytes, i);
+      if (i < bytes.length) {
+        block.set(bytes.subarray(i), 0);
+        blockLength = bytes.length - i;
+      }
+    },
+
+    hex() {
+      const bitLength = totalLength * 8;
+      block[blockLength++] = 0x80;
+      if (blockLength > 56) {
+        block.fill(0, blockLength);
+        compress(block, 0);
+        blockLength = 0;
+      }
+      block.fill(0, blockLength, 56);
+      const view = new DataView(block.buffer);
+      view.setUint32(56, Math.floor(bitLength / 0x100000000));
+      view.setUint32(60, bitLength >>> 0);
+      compress(block, 0);
+      return Array.from(h).map(x => x.toString(16).padStart(8, '0')).join('');
+    }
+  };
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function readSlice(data, start, end) {
+  return data instanceof Blob
+    ? new Uint8Array(await data.slice(start, end).arrayBuffer())
+    : new Uint8Array(data, start, end - start);
+}
+
+function byteLength(data) {
+  return data instanceof Blob ? data.size : data.byteLength;
+}
+
+async function sha256(data, onProgress) {
+  const size = byteLength(data);
+  if (size <= SUBTLE_MAX) {
+    const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+    const hex = toHex(await crypto.subtle.digest('SHA-256', buffer));
+    onProgress(1);
+    return hex;
+  }
+
+  const hash = createSha256();
+  for (let start = 0; start < size; start += READ_SLICE) {
+    const end = Math.min(start + READ_SLICE, size);
+    hash.update(await readSlice(data, start, end));
+    onProgress(end / size);
+  }
+  return hash.hex();
+}
+
+async function base64(data, onProgress) {
+  const size = byteLength(data);
+  const output = new Uint8Array(Math.ceil(size / 3) * 4);
+  const encoder = new TextEncoder();
+  let written = 0;
+
+  for (let start = 0; start < size; start += BASE64_SLICE) {
+    const end = Math.min(start + BASE64_SLICE, size);
+    const bytes = await readSlice(data, start, end);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    const { written: count } = encoder.encodeInto(btoa(binary), output.subarray(written));
+    written += count;
+    onProgress(end / size);
+  }
+  return output;
+}
+
+self.onmessage = async (event) => {
+  const { id, op, data } = event.data;
+  const onProgress = value => self.postMessage({ id, type: 'progress', value });
+
+  try {
+    if (op === 'sha256') {
+      self.postMessage({ id, type: 'result', result: await sha256(data, onProgress) });
+    } else if (op === 'base64') {
+      const result = await base64(data, onProgress);
+      self.postMessage({ id, type: 'result', result }, [result.buffer]);
+    } else {
+      throw new Error(`Unknown operation: ${op}`);
+    }
+  } catch (e) {
+    self.postMessage({ id, type: 'error', message: e.message });
+  }
+};
@@ -0,0 +1,186 @@
+/**
+ * netlify/functions/download-group.js
+ * ★ グループ（g_xxx）のファイルをまとめて 1 つの ZIP でダウンロード
+ * ★ リリースアセットを順に取得しながら ZIP を組み立ててストリーミングで返す（無圧縮・大きい場合は ZIP64。lib/zip-stream.js）
+ * ★ view と同じく、削除済み・期限切れ・ダウンロード回数上限のグループは 410、パスワード付きは unlock のトークンが必要
+ * ★ グループの回数は ZIP 1 回で 1 回、回数制限付きのファイルもそれぞれ 1 回ずつ数える
+ * ★ 暗号化されたファイル（ブラウザで復号するもの）と、削除済み・期限切れのファイルは含めない
+ *
+ * GET ?group=g_xxx[&token=...]（token は Authorization: Bearer でも可）
+ */
+
+const { stream } = require('@netlify/functions');
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { createGroupStore } = require('../lib/groups');
+const { checkGroupAccess, consumeGroupDownload, fileDenial } = require('../lib/download-access');
+const { accessTokenFromRequest } = require('../lib/tokens');
+const { openAsset } = require('../lib/asset-fetch');
+const { createZipStream, uniqueEntryNames } = require('../lib/zip-stream');
+const { getStatsStore } = require('../lib/stats-store');
+const { createStatsRecorder } = require('../lib/stats');
+
+const storage = getStorage();
+const fileStore = createFileStore(storage);
+const groupStore = createGroupStore(storage);
+
+const GROUP_ID_PATTERN = /^g_[A-Za-z0-9_-]{1,98}$/;
+
+function jsonResponse(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...extraHeaders },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * ZIP のファイル名（グループのタイトル、無ければ groupId）
+ */
+function zipFileName(group) {
+  const base = String(group.title || group.groupId).replace(/[\/\\:*?"<>|\u0000-\u001f\u007f]/g, '_').trim();
+  return `${base || group.groupId}.zip`;
+}
+
+/**
+ * グループ内で ZIP に含められるファイル（グループの並び順）
+ */
+async function zipFiles(group) {
+  const records = await fileStore.findFilesById(group.fileIds || [], { fresh: true });
+  const byId = new Map(records.map(f => [f.fileId, f]));
+
+  const files = [];
+  for (const fileId of group.fileIds || []) {
+    const file = byId.get(fileId);
+    if (!file || fileDenial(file)) continue;
+    if (file.encryption) {
+      console.log('[ZIP] Skipping encrypted file:', fileId);
+      continue;
+    }
+    if (!storage.isAssetUrl(file.downloadUrl)) {
+      console.warn('[ZIP] Record has a non-asset downloadUrl:', fileId);
+      continue;
+    }
+    files.push(file);
+  }
+  return files;
+}
+
+/**
+ * 回数制限付きのファイルを 1 回ずつ数える（上限に達したファイルは除く）
+ */
+async function consumeFileDownloads(files) {
+  const allowed = [];
+  for (const file of files) {
+    if (!file.maxDownloads) {
+      allowed.push(file);
+      continue;
+    }
+    const res = await fileStore.consumeDownload(file.fileId);
+    if (res.allowed) {
+      allowed.push(res.record);
+    } else {
+      console.log('[ZIP] Skipping file at its download limit:', file.fileId, res.status);
+    }
+  }
+  return allowed;
+}
+
+/**
+ * アセットを開く（取得できなければ null → ZIP に含めない）
+ */
+async function openEntry(file) {
+  try {
+    const res = await openAsset(storage, file.downloadUrl);
+    if (res.statusCode === 200) return res;
+    res.resume();
+    console.warn('[ZIP] Upstream returned', res.statusCode, 'for', file.fileId);
+  } catch (e) {
+    console.warn('[ZIP] Failed to open', file.fileId, e.message);
+  }
+  return null;
+}
+
+async function handleRequest(event) {
+  try {
+    const params = event.queryStringParameters || {};
+    const method = (event.httpMethod || 'GET').toUpperCase();
+    const groupId = params.group || params.id;
+
+    console.log('[ZIP] Request received:', method, 'group:', groupId || 'none');
+
+    if (method !== 'GET' && method !== 'HEAD') {
+      return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, HEAD' });
+    }
+
+    if (!groupId || !GROUP_ID_PATTERN.test(groupId)) {
+      return jsonResponse(400, { error: 'Missing or invalid group parameter' });
+    }
+
+    const access = await checkGroupAccess(
+      { groupId, token: accessTokenFromRequest(event.headers || {}, params.token) },
+      { groupStore }
+    );
+    if (!access.ok) {
+      console.warn('[ZIP] Access denied:', access.status, access.error);
+      return jsonResponse(access.status, { error: access.error, reason: access.reason });
+    }
+    const group = access.group;
+
+    let files = await zipFiles(group);
+    if (files.length === 0) {
+      return jsonResponse(404, { error: 'No downloadable files in this group' });
+    }
+
+    const headers = {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(zipFileName(group))}`,
+      'Cache-Control': 'private, no-store',
+      'Access-Control-Allow-Origin': '*',
+      'X-Content-Type-Options': 'nosniff'
+    };
+
+    // ★ HEAD は確認だけ（回数は数えない）
+    if (method === 'HEAD') {
+      return { statusCode: 200, headers, body: '' };
+    }
+
+    const consumed = await consumeGroupDownload(group, { groupStore });
+    if (!consumed.ok) {
+      return jsonResponse(consumed.status, { error: consumed.error, reason: consumed.reason });
+    }
+
+    files = await consumeFileDownloads(files);
+    if (files.length === 0) {
+      return jsonResponse(410, { error: 'Download limit reached for every file in this group', reason: 'download-limit' });
+    }
+    const names = uniqueEntryNames(files.map(f => f.fileName));
+    const stats = createStatsRecorder(getStatsStore(event));
+
+    console.log('[ZIP] Streaming', files.length, 'files for', groupId);
+
+    const body = createZipStream(
+      files.map((file, i) => ({
+        name: names[i],
+        size: Number(file.fileSize) || undefined,
+        modifiedAt: file.uploadedAt,
+        fileId: file.fileId,
+        open: () => openEntry(file)
+      })),
+      {
+        // ★ 配信したファイルごとにダウンロード 1 回として記録
+        onEntryEnd: (entry, { bytes }) => stats.recordDownload(entry.fileId, { bytes, counted: true, headers: event.headers })
+      }
+    );
+    body.on('error', e => console.error('[ZIP] Stream error:', e.message));
+
+    return { statusCode: 200, headers, body };
+
+  } catch (e) {
+    console.error('[ZIP] Error:', e.message);
+    return jsonResponse(e.statusCode || 500, { error: e.message });
+  }
+}
+
+// ★ ストリーミング関数（レスポンス本文を Node.js の Readable で返す）
+exports.handler = stream(handleRequest);
@@ -1,79 +1,94 @@
-const https = require('https');
-const http = require('http');
-const { URL } = require('url');
+/**
+ * netlify/functions/download.js
+ * ★ ファイルをダウンロード（1 回ごとに maxDownloads のカウントを消費する）
+ * ★ view が返すダウンロードハンドル（handle=）で取得する（アセットの URL はブラウザに渡さない）
+ * ★ ダウンロード回数・配信バイト数を統計に記録（lib/stats.js）
+ * ★ proxy-download と同じくストリーミングで中継する（関数のレスポンス上限を超える大きなファイルでも返せる）
+ */
 
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const protocol = urlObj.protocol === 'https:' ? https : http;
+const { stream } = require('@netlify/functions');
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { createGroupStore } = require('../lib/groups');
+const { checkDownloadAccess } = require('../lib/download-access');
+const { accessTokenFromRequest } = require('../lib/tokens');
+const { openAsset } = require('../lib/asset-fetch');
+const { getStatsStore } = require('../lib/stats-store');
+const { createStatsRecorder } = require('../lib/stats');
 
-    const options = {
-      hostname: urlObj.hostname,
-      path: urlObj.pathname + urlObj.search,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': '*/*'
-      }
-    };
-
-    const req = protocol.request(options, (res) => {
-      // リダイレクト処理
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        res.destroy();
-        fetchUrl(res.headers.location).then(resolve).catch(reject);
-        return;
-      }
-
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-
-      const chunks = [];
-      res.on('data', (chunk) => chunks.push(chunk));
-      res.on('end', () => {
-        resolve({
-          buffer: Buffer.concat(chunks),
-          contentType: res.headers['content-type'] || 'application/octet-stream'
-        });
-      });
-    });
-
-    req.on('error', reject);
-    req.end();
-  });
-}
+const storage = getStorage();
+const fileStore = createFileStore(storage);
+const groupStore = createGroupStore(storage);
 
-exports.handler = async (event) => {
-  const downloadUrl = event.queryStringParameters?.url;
+async function handleRequest(event) {
+  const params = event.queryStringParameters || {};
 
-  if (!downloadUrl) {
+  if (!params.fileId && !params.handle) {
     return {
       statusCode: 400,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ error: 'Missing url parameter' })
+      body: JSON.stringify({ error: 'Missing handle or fileId parameter' })
     };
   }
 
   try {
-    const { buffer, contentType } = await fetchUrl(downloadUrl);
+    // ★ 削除・期限・回数制限を確認し、ダウンロード回数を消費
+    const access = await checkDownloadAccess(
+      {
+        fileId: params.fileId,
+        groupId: params.group,
+        token: accessTokenFromRequest(event.headers || {}, params.token),
+        handle: params.handle
+      },
+      { fileStore, groupStore, storage, consume: true }
+    );
+    if (!access.ok) {
+      return {
+        statusCode: access.status,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({ error: access.error, reason: access.reason })
+      };
+    }
+
+    // ★ 取得先はレコードの downloadUrl（このリポジトリのリリースアセット）のみ
+    const asset = await openAsset(storage, access.downloadUrl);
+    if (asset.statusCode !== 200) {
+      asset.resume();
+      const err = new Error(`HTTP ${asset.statusCode}`);
+      err.statusCode = 502;
+      throw err;
+    }
+    const contentType = asset.headers['content-type'] || 'application/octet-stream';
+    const contentLength = asset.headers['content-length'];
+    await createStatsRecorder(getStatsStore(event)).recordDownload(access.file.fileId, {
+      bytes: parseInt(contentLength || '0', 10),
+      headers: event.headers
+    });
+
+    const restricted = [access.file, access.group].some(r => r && (r.expiresAt || r.maxDownloads || r.passwordHash));
 
     return {
       statusCode: 200,
       headers: {
         'Content-Type': contentType,
         'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'public, max-age=86400'
+        // 期限・回数制限・パスワード付きのファイルはキャッシュさせない
+        'Cache-Control': restricted ? 'private, no-store' : 'public, max-age=86400',
+        ...(contentLength && { 'Content-Length': contentLength }),
+        ...(access.file && {
+          'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(access.file.fileName)}`
+        })
       },
-      body: buffer.toString('base64'),
-      isBase64Encoded: true
+      body: asset
     };
   } catch (err) {
     return {
-      statusCode: 500,
+      statusCode: err.statusCode || 500,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ error: err.message })
     };
   }
-};
\ No newline at end of file
+}
+
+// ★ ストリーミング関数（レスポンス本文を Node.js の Readable で返す）
+exports.handler = stream(handleRequest);
@@ -1,46 +1,10 @@
-const https = require('https');
+const { getStorage } = require('../lib/storage');
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const GITHUB_OWNER = process.env.GITHUB_OWNER;
-const GITHUB_REPO  = process.env.GITHUB_REPO;
+const storage = getStorage();
 
 const cache = new Map();
 const TTL = 3600 * 1000;
 
-/* =======================
-   GitHub GET
-======================= */
-async function githubGet(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.github.com',
-      port: 443,
-      path,
-      method: 'GET',
-      headers: {
-        'Authorization': `token ${GITHUB_TOKEN}`,
-        'Accept': 'application/vnd.github+json',
-        'User-Agent': 'Avfile-Netlify',
-      },
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (c) => (data += c));
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(JSON.parse(data || '{}'));
-        } else {
-          reject(new Error(`GitHub GET ${res.statusCode}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.end();
-  });
-}
-
 /* =======================
    Cache Helper
 ======================= */
@@ -80,15 +44,11 @@ exports.handler = async (event) => {
 
     if (action === 'get-release') {
       data = await withCache(`r:${q.releaseId}`, async () => {
-        return githubGet(
-          `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/releases/${q.releaseId}`
-        );
+        return storage.getRelease(q.releaseId);
       });
     } else if (action === 'latest-releases') {
       data = await withCache('latest', async () => {
-        return githubGet(
-          `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/releases?per_page=10`
-        );
+        return storage.listReleases(10);
       });
     } else {
       throw new Error('Unknown action');
@@ -9,44 +9,63 @@
  * - バイナリアップロード
  * - ファイル情報の JSON 保存
  * - グループ管理（複数ファイル）
- * - パスワル保護
+ * - パスワル保護（平文パスワードをサーバーで scrypt ハッシュ化 → unlock.js で解除）
+ * - 削除トークンによるファイル削除
+ * - ファイルごとの閲覧・ダウンロード統計の取得（file-stats。削除トークンまたはオーナーキーで認可）
+ * - オーナーキーによる所有管理（owner-files / rename-file / claim-files。「My files」ページ用）
+ * - 共有後のグループ編集（update-group。グループのオーナートークンまたはオーナーキーで認可）
+ * - フォルダ（d_xxx。名前・説明・親フォルダ・カバー画像を持つコレクション。create-folder / update-folder / delete-folder）
+ * - 期限付きリンク・ダウンロード回数制限（expiresAt / maxDownloads）
+ * - モジュール版クライアント（js/github-api.js, js/client-upload.js）向けのアクション
  */
 
-const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
-
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const GITHUB_OWNER = process.env.GITHUB_OWNER;
-const GITHUB_REPO = process.env.GITHUB_REPO;
-
-// ===================== Shard Settings =====================
-const INDEX_PATH = 'github.index.json';
-const GROUPS_PATH = 'groups.json';
-const SHARD_PREFIX = 'github.';
-const SHARD_SUFFIX = '.json';
-const SHARD_MAX_ITEMS = 8000;
-const SHARD_MAX_CHARS = 2_500_000;
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { createGroupStore } = require('../lib/groups');
+const { createFolderStore, MAX_FOLDER_DEPTH } = require('../lib/folders');
+const { getChunkStore } = require('../lib/chunk-store');
+const { normalizeSha256, verifySha256 } = require('../lib/checksum');
+const { generateToken, hashToken, tokenMatches } = require('../lib/tokens');
+const { normalizeExpiry, expiryStatus } = require('../lib/expiry');
+const { hashPassword } = require('../lib/passwords');
+const { getStatsStore } = require('../lib/stats-store');
+const { createStatsRecorder } = require('../lib/stats');
+const { getOwnerStore } = require('../lib/owner-store');
+const { createOwnerRegistry, ownerIdFromKey } = require('../lib/owners');
+
+// ★ GitHub / ローカルなどのストレージバックエンド（STORAGE_BACKEND で切り替え）
+const storage = getStorage();
+// ★ ファイルレコード・グループ・フォルダはインデックス + シャード方式で保存（lib/files.js, lib/groups.js, lib/folders.js）
+const fileStore = createFileStore(storage);
+const groupStore = createGroupStore(storage);
+const folderStore = createFolderStore(storage);
 
 // ===================== Chunk Settings =====================
-const uploadChunks = new Map();
-const CHUNK_TIMEOUT = 3600000; // 1 hour
-
-// Clean up expired chunks
-setInterval(() => {
-  const now = Date.now();
-  for (const [uploadId, data] of uploadChunks.entries()) {
-    if (now - data.timestamp > CHUNK_TIMEOUT) {
-      console.log('[CLEANUP] Removing expired upload:', uploadId);
-      uploadChunks.delete(uploadId);
-    }
-  }
-}, 600000); // 10 minutes
+// ★ チャンクは永続ストア（Netlify Blobs / ローカルディスク）に保存する
+// メモリ上の Map だと別インスタンス・コールドスタートでセッションが消えるため
+const CHUNK_TIMEOUT = 24 * 3600000; // 24 hours（再開できる期間）
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const MAX_UPLOAD_CHUNKS = 10000;  // 1 セッションのチャンク数の上限（totalChunks を省略した場合の chunkIndex の上限）
+
+// ===================== Client Action Settings =====================
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const DEFAULT_SHARE_ORIGIN = 'https://avfile.io';
+const GITHUB_JSON_DEFAULT_LIMIT = 100;
+const GITHUB_JSON_MAX_LIMIT = 1000;
+const OWNER_FILES_DEFAULT_LIMIT = 100;
+const OWNER_FILES_MAX_LIMIT = 500;
+const OWNER_GROUPS_LIMIT = 100;
+const MAX_CLAIM_FILES = 500;
+const MAX_FILE_NAME_LENGTH = 255;
+const MAX_GROUP_FILES = 100;
+const MAX_GROUP_TITLE_LENGTH = 200;
+const MAX_GROUP_DESCRIPTION_LENGTH = 2000;
+const MAX_FOLDER_NAME_LENGTH = 200;
+const MAX_FOLDER_ITEMS = 500;  // ファイル・グループ・子フォルダの合計
 
 // ===================== Utility Functions =====================
-function shardPath(n) {
-  return `${SHARD_PREFIX}${String(n).padStart(4, '0')}${SHARD_SUFFIX}`;
-}
-
 function safeJsonParse(s, fallback) {
   try {
     return JSON.parse(s);
@@ -55,392 +74,1137 @@ function safeJsonParse(s, fallback) {
   }
 }
 
-function githubApi(method, path, body) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.github.com',
-      path,
-      method,
-      headers: {
-        'Authorization': `token ${GITHUB_TOKEN}`,
-        'User-Agent': 'Netlify',
-        'Accept': 'application/vnd.github+json',
-        'Content-Type': 'application/json',
-      }
-    };
+// ★ リトライを使い切った書き込み競合は 409 + 構造化エラーで返す
+// （リリースアセットは作成済みなので、クライアントは add-file だけ再送すればよい）
+function writeConflictResponse(error, headers, extra = {}) {
+  return {
+    statusCode: 409,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: error.message,
+      code: error.code,
+      attempts: error.attempts,
+      retryable: true,
+      ...extra
+    })
+  };
+}
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        let json = null;
-        try {
-          json = data ? JSON.parse(data) : {};
-        } catch (e) {
-          // ignore parse errors
-        }
+// ★ 既に使われている ID での作成は 409 + DUPLICATE_ID（再送しても成功しない）
+function duplicateIdResponse(error, headers, extra = {}) {
+  return {
+    statusCode: 409,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: error.message,
+      code: error.code,
+      retryable: false,
+      ...extra
+    })
+  };
+}
 
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(json || {});
-        } else {
-          const msg = json && json.message ? json.message : data;
-          reject(new Error(`GitHub API Error ${res.statusCode}: ${msg}`));
-        }
-      });
-    });
+// ★ SHA-256 不一致は 422 + CHECKSUM_MISMATCH（クライアントは再送する）
+function checksumMismatchResponse(check, headers, extra = {}) {
+  return {
+    statusCode: 422,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: 'Checksum mismatch',
+      code: 'CHECKSUM_MISMATCH',
+      expected: check.expected,
+      actual: check.actual,
+      retryable: true,
+      ...extra
+    })
+  };
+}
 
-    req.on('error', reject);
-    if (body) {
-      req.write(JSON.stringify(body));
-    }
-    req.end();
-  });
+function invalidChecksumResponse(headers) {
+  return {
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ success: false, error: 'Invalid SHA-256 (expected 64 hex characters)' })
+  };
 }
 
-async function getContent(pathInRepo) {
-  const res = await githubApi(
-    'GET',
-    `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(pathInRepo)}`
-  );
+// ===================== File Upload =====================
+/**
+ * ★ リクエスト本文を Buffer に戻す
+ * Netlify はバイナリの本文（application/octet-stream など）を Base64 にして isBase64Encoded: true で渡す
+ */
+function readBody(event) {
+  if (event.isBase64Encoded) {
+    return Buffer.from(event.body || '', 'base64');
+  }
+  if (Buffer.isBuffer(event.body)) {
+    return event.body;
+  }
+  return Buffer.from(event.body || '', 'binary');
+}
 
-  const text = res?.content
-    ? Buffer.from(res.content, 'base64').toString('utf8')
-    : '';
+async function uploadBinaryAsset(uploadUrl, buffer, fileName) {
+  const result = await storage.uploadAsset(uploadUrl, buffer, fileName);
+  console.log('[UPLOAD_BINARY] Success:', fileName);
+  return result;
+}
 
+/**
+ * ★ アップロード先はこのリポジトリのリリースのみ（クライアントの URL にトークンを送らない）
+ */
+function invalidUploadUrlResponse(headers) {
   return {
-    sha: res?.sha || null,
-    text,
-    json: text ? safeJsonParse(text, null) : null,
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ success: false, error: 'uploadUrl must be a release upload URL of this repository' })
   };
 }
 
-async function putContent(pathInRepo, jsonObj, message, sha = null) {
-  const payload = {
-    message,
-    content: Buffer.from(JSON.stringify(jsonObj, null, 2), 'utf8').toString('base64'),
-  };
-  if (sha) {
-    payload.sha = sha;
+/**
+ * ★ 1 リクエストで完結するアセットアップロード（X-Upload-Url / upload-asset 共通）
+ * → { success, data: { asset_id, download_url, name, size, sha256 } }
+ */
+async function handleAssetUpload({ uploadUrl, buffer, fileName, sha256 }, headers) {
+  if (!storage.isUploadUrl(uploadUrl)) {
+    return invalidUploadUrlResponse(headers);
+  }
+  if (sha256 && !normalizeSha256(sha256)) {
+    return invalidChecksumResponse(headers);
+  }
+  const check = verifySha256(buffer, sha256);
+  if (!check.ok) {
+    console.error('[BINARY] Checksum mismatch:', { fileName, expected: check.expected, actual: check.actual });
+    return checksumMismatchResponse(check, headers);
   }
 
-  return await githubApi(
-    'PUT',
-    `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(pathInRepo)}`,
-    payload
-  );
+  const result = await uploadBinaryAsset(uploadUrl, buffer, fileName);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      data: {
+        asset_id: result.id,
+        download_url: result.browser_download_url,
+        name: result.name,
+        size: result.size,
+        sha256: check.actual
+      }
+    })
+  };
+}
+
+async function addFileToShardedJson(fileData) {
+  return await fileStore.addFileToShardedJson(fileData);
 }
 
-// ===================== Shard Management =====================
-async function ensureIndex() {
+// ===================== Release Management =====================
+async function createRelease(tag, title, description) {
+  console.log('[RELEASE] Creating:', tag);
+  
+  const result = await storage.createRelease(tag, title, description);
+
+  console.log('[RELEASE] Created:', result.id, 'upload_url:', result.upload_url?.substring(0, 50));
+  
+  return {
+    id: result.id,
+    upload_url: result.upload_url,
+    tag_name: result.tag_name
+  };
+}
+
+// ===================== Ownership =====================
+// ★ オーナーキーの所有関係はオーナーストア（Netlify Blobs / ローカル）に保存（lib/owners.js）
+function ownerRegistry(event) {
+  return createOwnerRegistry(getOwnerStore(event));
+}
+
+/**
+ * 削除トークン、またはファイルを所有するオーナーキーで認可
+ * credentials: { deleteToken, ownerKey }
+ */
+async function authorizeFile(record, { deleteToken, ownerKey } = {}, event) {
+  if (deleteToken && tokenMatches(deleteToken, record.deleteTokenHash)) return true;
+  if (ownerKey) return await ownerRegistry(event).ownsFile(ownerKey, record.fileId);
+  return false;
+}
+
+/**
+ * 作成したファイル / グループ / フォルダをオーナーキーに登録（失敗してもアップロード自体は成功扱い）
+ * ★ 呼び出し側は、そのリクエストで新しく作成できた（削除トークン / オーナートークンを受け取った）ものだけを渡すこと
+ * 既存の ID を指定しただけのリクエストで所有者になれないように
+ * → 登録できたか
+ */
+async function registerOwned(event, ownerKey, { fileIds = [], groupIds = [], folderIds = [] }) {
+  if (!ownerKey) return false;
   try {
-    const { sha, json } = await getContent(INDEX_PATH);
-    if (json && typeof json.current === 'number' && Array.isArray(json.shards)) {
-      console.log('[INDEX] Found existing index:', { current: json.current, shardCount: json.shards.length });
-      return { sha, index: json };
-    }
+    const registry = ownerRegistry(event);
+    if (fileIds.length) await registry.addFiles(ownerKey, fileIds);
+    if (groupIds.length) await registry.addGroups(ownerKey, groupIds);
+    if (folderIds.length) await registry.addFolders(ownerKey, folderIds);
+    return true;
   } catch (e) {
-    console.log('[INDEX] Index not found, checking for existing shards...');
+    console.warn('[OWNERS] Failed to register ownership:', e.message);
+    return false;
   }
+}
 
-  // ★ 既存の github.shard_00XX.json を探してインデックスを再構築
-  let existingShards = [];
-  for (let n = 1; n <= 100; n++) {  // 最大100個のシャードをチェック
-    const path = shardPath(n);
-    try {
-      const { json: shardData } = await getContent(path);
-      if (Array.isArray(shardData)) {
-        console.log('[INDEX] Found existing shard:', path, 'items:', shardData.length);
-        existingShards.push({ n, path, items: shardData.length });
-      }
-    } catch (e) {
-      // シャードが見つからない = ここまでということ
-      break;
-    }
+/**
+ * ★ delete-file: 削除トークンを検証 → リリース/アセット/タグを削除 → レコードを tombstone に置き換え
+ * リリース削除を先に行うので、途中で失敗しても同じトークンで再実行できる
+ * → { status, body }
+ */
+async function deleteFile(fileId, credentials, event) {
+  const [record] = await fileStore.findFilesById([fileId]);
+  if (!record) {
+    return { status: 404, body: { success: false, error: 'File not found' } };
+  }
+  if (record.deletedAt) {
+    return { status: 410, body: { success: false, error: 'File already deleted', deletedAt: record.deletedAt } };
+  }
+  if (!(await authorizeFile(record, credentials, event))) {
+    console.warn('[DELETE] Invalid delete token for', fileId);
+    return { status: 403, body: { success: false, error: 'Invalid delete token or owner key' } };
   }
 
-  // ★ 既存のシャードが見つかった場合は、それを使用
-  if (existingShards.length > 0) {
-    console.log('[INDEX] Rebuilding index from', existingShards.length, 'existing shards');
-    const now = new Date().toISOString();
-    const index = {
-      version: 1,
-      current: existingShards[existingShards.length - 1].n,  // 最後のシャードを current に
-      shards: existingShards.map(s => ({ n: s.n, path: s.path, createdAt: now }))
-    };
+  const releaseTag = `file_${fileId}`;
+  const release = await storage.deleteRelease(releaseTag);
+  console.log('[DELETE] Release removed:', releaseTag, release);
 
-    let indexSha = null;
-    try {
-      const res = await getContent(INDEX_PATH);
-      indexSha = res.sha;
-    } catch (e) {
-      // indexがない場合
-    }
+  const tombstone = await fileStore.tombstoneFile(fileId);
+  console.log('[DELETE] Record tombstoned:', fileId, tombstone?.deletedAt);
+
+  return {
+    status: 200,
+    body: { success: true, fileId, releaseDeleted: release.deleted, deletedAt: tombstone?.deletedAt || null }
+  };
+}
 
-    await putContent(INDEX_PATH, index, 'Rebuild index from existing shards', indexSha);
-    console.log('[INDEX] Index rebuilt:', { current: index.current, shards: index.shards.length });
-    return { sha: indexSha, index };
+/**
+ * ★ file-stats: オーナートークン（add-file が返した deleteToken）またはオーナーキーを検証 → 統計を返す
+ * 削除済みのファイルでも統計は参照できる
+ * → { status, body }
+ */
+async function getFileStats(fileId, credentials, event) {
+  const [record] = await fileStore.findFilesById([fileId]);
+  if (!record) {
+    return { status: 404, body: { success: false, error: 'File not found' } };
+  }
+  if (!(await authorizeFile(record, credentials, event))) {
+    console.warn('[STATS] Invalid owner token for', fileId);
+    return { status: 403, body: { success: false, error: 'Invalid owner token' } };
   }
 
-  // ★ シャードも見つからない = 完全に新規
-  console.log('[INDEX] No existing shards found, creating new');
-  const now = new Date().toISOString();
-  const fresh = {
-    version: 1,
-    current: 1,
-    shards: [{ n: 1, path: shardPath(1), createdAt: now }]
+  const stats = await createStatsRecorder(getStatsStore(event)).getFileStats(fileId);
+  return {
+    status: 200,
+    body: { success: true, fileId, deletedAt: record.deletedAt || null, stats }
   };
+}
 
-  await putContent(INDEX_PATH, fresh, 'Create github shards index');
-  await putContent(shardPath(1), [], `Create shard: ${shardPath(1)}`);
-  return { sha: null, index: fresh };
+function ownedFileSummary(file, stats) {
+  return {
+    fileId: file.fileId,
+    fileName: file.fileName || null,
+    fileSize: file.fileSize || 0,
+    uploadedAt: file.uploadedAt || null,
+    expiresAt: file.expiresAt || null,
+    maxDownloads: file.maxDownloads || null,
+    downloadCount: file.downloadCount || 0,
+    deletedAt: file.deletedAt || null,
+    // ★ 期限切れ・回数上限（削除前でも共有リンクは 410 になる）
+    status: file.deletedAt ? 'deleted' : (expiryStatus(file) || 'active'),
+    hasPassword: Boolean(file.passwordHash),
+    encrypted: Boolean(file.encryption),
+    views: stats.views,
+    downloads: stats.downloads,
+    bytesServed: stats.bytesServed
+  };
 }
 
-function shardIsFull(filesArr) {
-  if (!Array.isArray(filesArr)) return false;
-  if (filesArr.length >= SHARD_MAX_ITEMS) return true;
-  const chars = JSON.stringify(filesArr).length;
-  if (chars >= SHARD_MAX_CHARS) return true;
-  return false;
+/**
+ * ★ owner-files: オーナーキーが所有するファイル（新しい順）とグループ・フォルダの一覧
+ * { ownerKey, offset?, limit? } → { files, groups, folders, total }
+ */
+async function listOwnerFiles(ownerKey, { offset, limit } = {}, event) {
+  const owned = await ownerRegistry(event).getOwned(ownerKey);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+  const max = Math.min(Math.max(parseInt(limit, 10) || OWNER_FILES_DEFAULT_LIMIT, 1), OWNER_FILES_MAX_LIMIT);
+  const pageIds = owned.fileIds.slice().reverse().slice(start, start + max);
+
+  const records = await fileStore.findFilesById(pageIds);
+  const byId = new Map(records.map(f => [f.fileId, f]));
+  const liveIds = pageIds.filter(fileId => byId.has(fileId));
+  const stats = await createStatsRecorder(getStatsStore(event)).getFilesStats(liveIds);
+  const files = liveIds.map((fileId, i) => ownedFileSummary(byId.get(fileId), stats[i]));
+
+  const groups = [];
+  for (const groupId of owned.groupIds.slice().reverse().slice(0, OWNER_GROUPS_LIMIT)) {
+    const found = await groupStore.findGroup(groupId);
+    if (!found) continue;
+    const group = found.group;
+    groups.push({
+      groupId: group.groupId,
+      title: group.title || null,
+      fileIds: group.fileIds,
+      createdAt: group.createdAt || null,
+      expiresAt: group.expiresAt || null,
+      deletedAt: group.deletedAt || null,
+      hasPassword: Boolean(group.passwordHash)
+    });
+  }
+
+  const folderIds = owned.folderIds.slice().reverse().slice(0, OWNER_GROUPS_LIMIT);
+  const foundFolders = await folderStore.findFolders(folderIds);
+  const folders = [];
+  for (const folderId of folderIds) {
+    const found = foundFolders.get(folderId);
+    if (!found || found.folder.deletedAt) continue;
+    const folder = found.folder;
+    folders.push({
+      folderId: folder.folderId,
+      name: folder.name,
+      parentId: folder.parentId || null,
+      itemCount: folderItemCount(folder),
+      createdAt: folder.createdAt || null
+    });
+  }
+
+  return { files, groups, folders, total: owned.fileIds.length, offset: start, limit: max };
+}
+
+/**
+ * 表示用のファイル名を検証（パス区切り・制御文字は不可）
+ */
+function normalizeFileName(fileName) {
+  const name = typeof fileName === 'string' ? fileName.trim() : '';
+  if (!name || name.length > MAX_FILE_NAME_LENGTH || /[\/\\\u0000-\u001f\u007f]/.test(name)) {
+    const err = new Error(`fileName must be 1-${MAX_FILE_NAME_LENGTH} characters without slashes or control characters`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return name;
+}
+
+/**
+ * ★ rename-file: 表示名（view / download の Content-Disposition に使う名前）を変更
+ * リリースアセットの名前は変えない
+ * → { status, body }
+ */
+async function renameFile(fileId, fileName, credentials, event) {
+  const name = normalizeFileName(fileName);
+  const [record] = await fileStore.findFilesById([fileId]);
+  if (!record) {
+    return { status: 404, body: { success: false, error: 'File not found' } };
+  }
+  if (record.deletedAt) {
+    return { status: 410, body: { success: false, error: 'File deleted', deletedAt: record.deletedAt } };
+  }
+  if (!(await authorizeFile(record, credentials, event))) {
+    console.warn('[RENAME] Not authorized for', fileId);
+    return { status: 403, body: { success: false, error: 'Invalid delete token or owner key' } };
+  }
+
+  const updated = await fileStore.updateFileRecord(
+    fileId,
+    current => (current.deletedAt ? null : { ...current, fileName: name }),
+    `Rename file: ${fileId}`
+  );
+  console.log('[RENAME] Renamed:', fileId);
+  return { status: 200, body: { success: true, fileId, fileName: updated?.fileName || name } };
 }
 
-async function getWritableShard() {
-  const { index } = await ensureIndex();
+/**
+ * ★ claim-files: 削除トークンを持っているファイル（以前のアップロード履歴）をオーナーキーに登録
+ * { ownerKey, files: [{ fileId, deleteToken }] } → { claimed, rejected }
+ */
+async function claimFiles(ownerKey, files, event) {
+  ownerIdFromKey(ownerKey);
+
+  const candidates = (Array.isArray(files) ? files : [])
+    .filter(f => f && RECORD_ID_PATTERN.test(String(f.fileId || '')) && f.deleteToken)
+    .slice(0, MAX_CLAIM_FILES);
+  const records = await fileStore.findFilesById(candidates.map(f => String(f.fileId)));
+  const byId = new Map(records.map(f => [f.fileId, f]));
+
+  const claimed = [];
+  const rejected = [];
+  for (const { fileId, deleteToken } of candidates) {
+    const record = byId.get(String(fileId));
+    if (record && tokenMatches(String(deleteToken), record.deleteTokenHash)) {
+      claimed.push(record.fileId);
+    } else {
+      rejected.push(String(fileId));
+    }
+  }
+
+  if (claimed.length) {
+    await ownerRegistry(event).addFiles(ownerKey, claimed);
+  }
+  console.log('[OWNERS] Claimed', claimed.length, 'files, rejected', rejected.length);
+  return { claimed, rejected };
+}
 
-  let n = index.current || 1;
-  let path = shardPath(n);
+// ===================== Group Management =====================
+function groupError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * タイトル・説明文を検証（空文字 / null は削除、undefined は変更なし）
+ */
+function normalizeGroupText(value, maxLength, label) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > maxLength) {
+    throw groupError(400, `${label} must be a string of at most ${maxLength} characters`);
+  }
+  return value.trim() || null;
+}
 
-  let shardSha = null;
-  let files = [];
+/**
+ * 公開用のグループ（ハッシュ類は返さない）
+ */
+function publicGroupRecord(group) {
+  const { passwordHash, ownerTokenHash, ...rest } = group;
+  return { ...rest, hasPassword: Boolean(passwordHash) };
+}
+
+/**
+ * ★ グループに入れるパスワード付きファイルの権限を確認（権限が無ければ statusCode 403）
+ * グループのパスワードは作成する人が決めるので、削除トークン（fileTokens）かオーナーキーで
+ * 認可できないファイルを入れられるとファイルのパスワードを迂回できてしまう
+ */
+async function authorizeProtectedFiles(fileIds, { fileTokens, ownerKey } = {}, event) {
+  const tokens = fileTokens && typeof fileTokens === 'object' ? fileTokens : {};
+  const records = await fileStore.findFilesById([...new Set(fileIds.map(String))]);
+
+  for (const record of records) {
+    if (!record.passwordHash) continue;
+    const deleteToken = Object.hasOwn(tokens, record.fileId) ? tokens[record.fileId] : undefined;
+    if (!(await authorizeFile(record, { deleteToken, ownerKey }, event))) {
+      console.warn('[GROUP] Not authorized to add protected file:', record.fileId);
+      const err = groupError(403, `Not allowed to add password-protected file: ${record.fileId}`);
+      err.fileId = record.fileId;
+      throw err;
+    }
+  }
+}
+
+async function createGroup(groupId, fileIds, passwordHash, expiry = {}, meta = {}) {
   try {
-    const res = await getContent(path);
-    shardSha = res.sha;
-    files = Array.isArray(res.json) ? res.json : [];
+    console.log('[GROUP] Creating group:', groupId, 'with', fileIds.length, 'files');
+
+    const title = normalizeGroupText(meta.title, MAX_GROUP_TITLE_LENGTH, 'title');
+    const description = normalizeGroupText(meta.description, MAX_GROUP_DESCRIPTION_LENGTH, 'description');
+
+    // ★ オーナートークン: 共有後に update-group で編集するための鍵（本体は作成した人にだけ返す）
+    const ownerToken = generateToken();
+
+    const newGroup = {
+      groupId: groupId,
+      fileIds: fileIds,
+      createdAt: new Date().toISOString(),
+      passwordHash: passwordHash || null,
+      ownerTokenHash: hashToken(ownerToken),
+      ...(title ? { title } : {}),
+      ...(description ? { description } : {}),
+      // ★ 期限付きリンク / ダウンロード回数制限（不正な値は statusCode 400 のエラー）
+      ...normalizeExpiry(expiry)
+    };
+
+    console.log('[GROUP] New group:', publicGroupRecord(newGroup));
+    const res = await groupStore.addGroup(newGroup);
+
+    console.log('[GROUP] Group saved successfully:', res.shard);
+    return { success: true, groupId: groupId, ownerToken };
   } catch (e) {
-    shardSha = null;
-    files = [];
+    console.error('[GROUP] Error creating group:', e.message);
+    throw e;
+  }
+}
+
+/**
+ * グループのオーナートークン（create-group が返した ownerToken）、またはグループを所有するオーナーキーで認可
+ * credentials: { ownerToken, ownerKey }
+ */
+async function authorizeGroup(group, { ownerToken, ownerKey } = {}, event) {
+  if (ownerToken && tokenMatches(ownerToken, group.ownerTokenHash)) return true;
+  if (ownerKey) return await ownerRegistry(event).ownsGroup(ownerKey, group.groupId);
+  return false;
+}
+
+function uniqueIds(ids, label) {
+  if (ids === undefined) return [];
+  if (!Array.isArray(ids) || !ids.every(id => RECORD_ID_PATTERN.test(String(id)))) {
+    throw groupError(400, `${label} must be an array of ids`);
+  }
+  return [...new Set(ids.map(String))];
+}
+
+/**
+ * 変更を適用した新しい fileIds / メタデータ（検証に失敗したら statusCode 400）
+ * 適用順: 追加（末尾）→ 削除 → 並べ替え → タイトル・説明 → パスワード
+ */
+function applyGroupChanges(group, { addFileIds, removeFileIds, order, title, description, passwordHash }) {
+  let fileIds = [...new Set([...group.fileIds, ...addFileIds])];
+  fileIds = fileIds.filter(id => !removeFileIds.includes(id));
+
+  if (order.length) {
+    const sameSet = order.length === fileIds.length && order.every(id => fileIds.includes(id));
+    if (!sameSet) {
+      throw groupError(400, 'order must list every file in the group exactly once');
+    }
+    fileIds = order;
   }
 
-  // Check if current shard is full
-  if (!shardIsFull(files)) {
-    return { n, path, sha: shardSha, files, rotated: false };
+  if (fileIds.length === 0) {
+    throw groupError(400, 'A group must contain at least one file');
+  }
+  if (fileIds.length > MAX_GROUP_FILES) {
+    throw groupError(400, `A group can contain at most ${MAX_GROUP_FILES} files`);
   }
 
-  // Rotate to next shard
-  n += 1;
-  path = shardPath(n);
+  const updated = { ...group, fileIds, updatedAt: new Date().toISOString() };
+  for (const [key, value] of Object.entries({ title, description })) {
+    if (value === undefined) continue;
+    if (value === null) delete updated[key];
+    else updated[key] = value;
+  }
+  if (passwordHash !== undefined) {
+    updated.passwordHash = passwordHash;
+  }
+  return updated;
+}
 
-  const now = new Date().toISOString();
-  index.current = n;
-  if (!Array.isArray(index.shards)) {
-    index.shards = [];
+/**
+ * ★ update-group: 共有済みのグループ（/d/g_xxx）を編集する。URL は変わらない
+ * { groupId, ownerToken | ownerKey, changes: { addFileIds, removeFileIds, order, title, description, password },
+ *   fileTokens?: { [fileId]: deleteToken } }
+ * 追加するファイルはオーナーキーで所有しているか、削除トークンが必要
+ * （他人のパスワード付きファイルをグループ経由で見られないように）。
+ * password: 文字列で設定、null で解除、未指定は変更なし
+ * → { status, body }
+ */
+async function updateGroup(groupId, body, event) {
+  const found = await groupStore.findGroup(groupId);
+  if (!found) {
+    return { status: 404, body: { success: false, error: 'Group not found' } };
   }
-  if (!index.shards.find(s => s && s.n === n)) {
-    index.shards.push({ n, path, createdAt: now });
+  if (found.group.deletedAt) {
+    return { status: 410, body: { success: false, error: 'Group deleted', deletedAt: found.group.deletedAt } };
+  }
+
+  const credentials = { ownerToken: body.ownerToken, ownerKey: body.ownerKey };
+  if (!(await authorizeGroup(found.group, credentials, event))) {
+    console.warn('[GROUP] Not authorized to update', groupId);
+    return { status: 403, body: { success: false, error: 'Invalid owner token or owner key' } };
   }
 
-  let indexSha = null;
+  const changes = body.changes || {};
+  const addFileIds = uniqueIds(changes.addFileIds, 'addFileIds');
+  const removeFileIds = uniqueIds(changes.removeFileIds, 'removeFileIds');
+  const order = uniqueIds(changes.order, 'order');
+  const title = normalizeGroupText(changes.title, MAX_GROUP_TITLE_LENGTH, 'title');
+  const description = normalizeGroupText(changes.description, MAX_GROUP_DESCRIPTION_LENGTH, 'description');
+
+  let passwordHash;
+  if (changes.password === null) {
+    passwordHash = null;
+  } else if (changes.password !== undefined) {
+    passwordHash = await hashPassword(changes.password);
+  }
+
+  // ★ 追加するファイル: 存在・未削除・追加する権限を確認
+  if (addFileIds.length) {
+    const records = await fileStore.findFilesById(addFileIds);
+    const fileTokens = body.fileTokens && typeof body.fileTokens === 'object' ? body.fileTokens : {};
+    for (const fileId of addFileIds) {
+      const record = records.find(f => f.fileId === fileId);
+      if (!record || record.deletedAt) {
+        return { status: 404, body: { success: false, error: `File not found: ${fileId}`, fileId } };
+      }
+      const deleteToken = Object.hasOwn(fileTokens, fileId) ? fileTokens[fileId] : undefined;
+      const authorized = await authorizeFile(record, { deleteToken, ownerKey: body.ownerKey }, event);
+      if (!authorized) {
+        return { status: 403, body: { success: false, error: `Not allowed to add file: ${fileId}`, fileId } };
+      }
+    }
+  }
+
+  const updated = await groupStore.updateGroup(
+    groupId,
+    current => applyGroupChanges(current, { addFileIds, removeFileIds, order, title, description, passwordHash }),
+    `Update group: ${groupId}`
+  );
+  console.log('[GROUP] Updated:', groupId, 'files:', updated.fileIds.length);
+
+  return { status: 200, body: { success: true, group: publicGroupRecord(updated) } };
+}
+
+async function getGroupFileIds(groupId) {
   try {
-    const res = await getContent(INDEX_PATH);
-    indexSha = res.sha;
+    console.log('[GROUP] Fetching group:', groupId);
+
+    const found = await groupStore.findGroup(groupId);
+
+    if (!found) {
+      console.warn('[GROUP] Group not found:', groupId);
+      return null;
+    }
+
+    console.log('[GROUP] Found group with', found.group.fileIds.length, 'files in', found.path);
+    return found.group;
   } catch (e) {
-    // ignore
+    console.warn('[GROUP] Error fetching group:', e.message);
+    return null;
   }
-  await putContent(INDEX_PATH, index, `Rotate shard -> ${path}`, indexSha);
+}
+
+// ===================== Folder Management =====================
+// ★ フォルダ（d_xxx）: ファイル・グループ・子フォルダをまとめる名前付きのコレクション（lib/folders.js）
+// /d/<folderId> でパンくずとグリッドとして表示する（view.js）
+function generateFolderId() {
+  return 'd_' + crypto.randomBytes(8).toString('hex').slice(0, 9);
+}
 
-  await putContent(path, [], `Create shard: ${path}`);
+function folderItemCount(folder) {
+  return (folder.fileIds || []).length + (folder.groupIds || []).length + (folder.folderIds || []).length;
+}
 
-  return { n, path, sha: null, files: [], rotated: true };
+/**
+ * 公開用のフォルダ（オーナートークンのハッシュは返さない）
+ */
+function publicFolderRecord(folder) {
+  const { ownerTokenHash, ...rest } = folder;
+  return rest;
 }
 
-// ===================== File Upload =====================
-function uploadBinaryToGithub(uploadUrl, buffer, fileName) {
-  return new Promise((resolve, reject) => {
-    try {
-      const cleanUrl = uploadUrl.split('{')[0];
-      const url = new URL(cleanUrl);
-      url.searchParams.set('name', fileName);
-
-      const options = {
-        hostname: url.hostname,
-        path: url.pathname + url.search,
-        method: 'POST',
-        headers: {
-          'Authorization': `token ${GITHUB_TOKEN}`,
-          'Content-Type': 'application/octet-stream',
-          'Content-Length': buffer.length,
-        }
-      };
+/**
+ * フォルダのオーナートークン（create-folder が返した ownerToken）、またはフォルダを所有するオーナーキーで認可
+ */
+async function authorizeFolder(folder, { ownerToken, ownerKey } = {}, event) {
+  if (ownerToken && tokenMatches(ownerToken, folder.ownerTokenHash)) return true;
+  if (ownerKey) return await ownerRegistry(event).ownsFolder(ownerKey, folder.folderId);
+  return false;
+}
 
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(data || '{}');
-            if (res.statusCode >= 400) {
-              reject(new Error(json.message || data));
-            } else {
-              console.log('[UPLOAD_BINARY] Success:', fileName);
-              resolve(json);
-            }
-          } catch (e) {
-            reject(new Error(`Parse error: ${data}`));
-          }
-        });
-      });
+/**
+ * フォルダに入れるファイル・グループの存在と権限を確認 → 問題があれば { status, body }、無ければ null
+ * ファイルは削除トークン（fileTokens）、グループはオーナートークン（groupTokens）、またはオーナーキーで認可
+ */
+async function checkFolderItems({ fileIds, groupIds }, body, event) {
+  if (fileIds.length) {
+    const records = await fileStore.findFilesById(fileIds);
+    const fileTokens = body.fileTokens && typeof body.fileTokens === 'object' ? body.fileTokens : {};
+    for (const fileId of fileIds) {
+      const record = records.find(f => f.fileId === fileId);
+      if (!record || record.deletedAt) {
+        return { status: 404, body: { success: false, error: `File not found: ${fileId}`, fileId } };
+      }
+      const deleteToken = Object.hasOwn(fileTokens, fileId) ? fileTokens[fileId] : undefined;
+      if (!(await authorizeFile(record, { deleteToken, ownerKey: body.ownerKey }, event))) {
+        return { status: 403, body: { success: false, error: `Not allowed to add file: ${fileId}`, fileId } };
+      }
+    }
+  }
 
-      req.on('error', reject);
-      req.write(buffer);
-      req.end();
-    } catch (e) {
-      reject(e);
+  const groupTokens = body.groupTokens && typeof body.groupTokens === 'object' ? body.groupTokens : {};
+  for (const groupId of groupIds) {
+    const found = await groupStore.findGroup(groupId);
+    if (!found || found.group.deletedAt) {
+      return { status: 404, body: { success: false, error: `Group not found: ${groupId}`, groupId } };
     }
-  });
+    const ownerToken = Object.hasOwn(groupTokens, groupId) ? groupTokens[groupId] : undefined;
+    if (!(await authorizeGroup(found.group, { ownerToken, ownerKey: body.ownerKey }, event))) {
+      return { status: 403, body: { success: false, error: `Not allowed to add group: ${groupId}`, groupId } };
+    }
+  }
+  return null;
 }
 
-async function addFileToShardedJson(fileData) {
-  const shard = await getWritableShard();
-
-  const fileRecord = {
-    fileId: fileData.fileId,
-    fileName: fileData.fileName,
-    fileSize: fileData.fileSize,
-    downloadUrl: fileData.downloadUrl,
-    uploadedAt: new Date().toISOString(),
-    shard: shard.path,
+/**
+ * 変更を適用した新しいフォルダ（検証に失敗したら statusCode 400）
+ * 適用順: ファイル・グループの追加（末尾）→ 削除 → 名前・説明 → カバー画像
+ * カバー画像はフォルダ内のファイルのみ。カバーのファイルを外すとカバーも外れる
+ */
+function applyFolderChanges(folder, { addFileIds = [], removeFileIds = [], addGroupIds = [], removeGroupIds = [], name, description, coverFileId }) {
+  const fileIds = [...new Set([...folder.fileIds, ...addFileIds])].filter(id => !removeFileIds.includes(id));
+  const groupIds = [...new Set([...folder.groupIds, ...addGroupIds])].filter(id => !removeGroupIds.includes(id));
+
+  const updated = { ...folder, fileIds, groupIds, updatedAt: new Date().toISOString() };
+  if (folderItemCount(updated) > MAX_FOLDER_ITEMS) {
+    throw groupError(400, `A folder can contain at most ${MAX_FOLDER_ITEMS} items`);
+  }
+
+  if (name === null) {
+    throw groupError(400, 'name is required');
+  }
+  if (name !== undefined) updated.name = name;
+  if (description === null) delete updated.description;
+  else if (description !== undefined) updated.description = description;
+
+  if (coverFileId === null) {
+    delete updated.coverFileId;
+  } else if (coverFileId !== undefined) {
+    if (!fileIds.includes(coverFileId)) {
+      throw groupError(400, 'coverFileId must be a file in the folder');
+    }
+    updated.coverFileId = coverFileId;
+  }
+  if (updated.coverFileId && !fileIds.includes(updated.coverFileId)) {
+    delete updated.coverFileId;
+  }
+  return updated;
+}
+
+/**
+ * create-folder / update-folder の changes を検証して applyFolderChanges の形にする
+ */
+function normalizeFolderChanges(changes) {
+  if (changes.coverFileId !== undefined && changes.coverFileId !== null && typeof changes.coverFileId !== 'string') {
+    throw groupError(400, 'coverFileId must be a file id');
+  }
+  return {
+    addFileIds: uniqueIds(changes.addFileIds, 'addFileIds'),
+    removeFileIds: uniqueIds(changes.removeFileIds, 'removeFileIds'),
+    addGroupIds: uniqueIds(changes.addGroupIds, 'addGroupIds'),
+    removeGroupIds: uniqueIds(changes.removeGroupIds, 'removeGroupIds'),
+    name: normalizeGroupText(changes.name, MAX_FOLDER_NAME_LENGTH, 'name'),
+    description: normalizeGroupText(changes.description, MAX_GROUP_DESCRIPTION_LENGTH, 'description'),
+    coverFileId: changes.coverFileId
   };
+}
 
-  // ★ downloadUrl検証ログ
-  console.log('[ADD_FILE] Saving file record:', {
-    fileId: fileRecord.fileId,
-    fileName: fileRecord.fileName,
-    downloadUrl: fileRecord.downloadUrl?.substring(0, 80) + '...',
-    shardPath: shard.path
+/**
+ * ★ create-folder: フォルダを作成する
+ * { name, description?, parentId?, parentToken?, fileIds?, groupIds?, coverFileId?, ownerKey?,
+ *   fileTokens?, groupTokens? }
+ * 子フォルダを作るには親フォルダのオーナートークン（parentToken）かオーナーキーが必要
+ * → { status, body: { success, folderId, ownerToken, folder } }
+ */
+async function createFolder(body, event) {
+  const changes = normalizeFolderChanges({
+    name: body.name,
+    description: body.description,
+    addFileIds: body.fileIds,
+    addGroupIds: body.groupIds,
+    coverFileId: body.coverFileId
   });
+  if (!changes.name) {
+    throw groupError(400, 'name is required');
+  }
 
-  // Add password hash if provided
-  if (fileData.passwordHash) {
-    fileRecord.passwordHash = fileData.passwordHash;
-    console.log('[ADD_FILE] Password hash added');
+  let parent = null;
+  if (body.parentId) {
+    const found = await folderStore.findFolder(String(body.parentId));
+    if (!found) {
+      return { status: 404, body: { success: false, error: 'Parent folder not found' } };
+    }
+    if (found.folder.deletedAt) {
+      return { status: 410, body: { success: false, error: 'Parent folder deleted', deletedAt: found.folder.deletedAt } };
+    }
+    if (!(await authorizeFolder(found.folder, { ownerToken: body.parentToken, ownerKey: body.ownerKey }, event))) {
+      console.warn('[FOLDER] Not authorized to add to', body.parentId);
+      return { status: 403, body: { success: false, error: 'Invalid parent token or owner key' } };
+    }
+    if ((await folderStore.getAncestors(found.folder)).length + 2 > MAX_FOLDER_DEPTH) {
+      throw groupError(400, `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`);
+    }
+    if (folderItemCount(found.folder) >= MAX_FOLDER_ITEMS) {
+      throw groupError(400, `A folder can contain at most ${MAX_FOLDER_ITEMS} items`);
+    }
+    parent = found.folder;
   }
 
-  shard.files.push(fileRecord);
+  const denied = await checkFolderItems({ fileIds: changes.addFileIds, groupIds: changes.addGroupIds }, body, event);
+  if (denied) return denied;
+
+  // ★ オーナートークン: 共有後に update-folder / delete-folder で編集するための鍵（本体は作成した人にだけ返す）
+  const ownerToken = generateToken();
+  const folderId = generateFolderId();
+  const folder = applyFolderChanges({
+    folderId,
+    name: null,
+    parentId: parent ? parent.folderId : null,
+    fileIds: [],
+    groupIds: [],
+    folderIds: [],
+    ownerTokenHash: hashToken(ownerToken),
+    createdAt: new Date().toISOString()
+  }, changes);
+  delete folder.updatedAt;
+
+  const res = await folderStore.addFolder(folder);
+  console.log('[FOLDER] Created:', folderId, 'in', res.shard, 'parent:', folder.parentId);
+
+  if (parent) {
+    await folderStore.updateFolder(parent.folderId, current => {
+      if (current.folderIds.includes(folderId)) return null;
+      return { ...current, folderIds: [...current.folderIds, folderId], updatedAt: new Date().toISOString() };
+    }, `Add subfolder: ${folderId} -> ${parent.folderId}`);
+  }
 
-  console.log('[ADD_FILE] Shard now has', shard.files.length, 'files');
+  return { status: 200, body: { success: true, folderId, ownerToken, folder: publicFolderRecord(folder) } };
+}
+
+/**
+ * 編集・削除の対象フォルダを探して認可 → { folder } または { status, body }
+ */
+async function findAuthorizedFolder(folderId, body, event) {
+  const found = await folderStore.findFolder(folderId);
+  if (!found) {
+    return { status: 404, body: { success: false, error: 'Folder not found' } };
+  }
+  if (found.folder.deletedAt) {
+    return { status: 410, body: { success: false, error: 'Folder deleted', deletedAt: found.folder.deletedAt } };
+  }
+  if (!(await authorizeFolder(found.folder, { ownerToken: body.ownerToken, ownerKey: body.ownerKey }, event))) {
+    console.warn('[FOLDER] Not authorized:', folderId);
+    return { status: 403, body: { success: false, error: 'Invalid owner token or owner key' } };
+  }
+  return { folder: found.folder };
+}
 
-  await putContent(
-    shard.path,
-    shard.files,
-    `Add file: ${fileData.fileName} -> ${shard.path}`,
-    shard.sha
+/**
+ * ★ update-folder: フォルダを編集する。URL は変わらない
+ * { folderId, ownerToken | ownerKey, changes: { name, description, coverFileId, addFileIds, removeFileIds,
+ *   addGroupIds, removeGroupIds }, fileTokens?, groupTokens? }
+ * → { status, body }
+ */
+async function updateFolder(folderId, body, event) {
+  const target = await findAuthorizedFolder(folderId, body, event);
+  if (!target.folder) return target;
+
+  const changes = normalizeFolderChanges(body.changes || {});
+  const denied = await checkFolderItems({ fileIds: changes.addFileIds, groupIds: changes.addGroupIds }, body, event);
+  if (denied) return denied;
+
+  const updated = await folderStore.updateFolder(
+    folderId,
+    current => applyFolderChanges(current, changes),
+    `Update folder: ${folderId}`
   );
+  console.log('[FOLDER] Updated:', folderId, 'items:', folderItemCount(updated));
 
-  return { success: true, shard: shard.path, shardNumber: shard.n, rotated: shard.rotated };
+  return { status: 200, body: { success: true, folder: publicFolderRecord(updated) } };
 }
 
-// ===================== Release Management =====================
-async function createRelease(tag, title, description) {
-  console.log('[RELEASE] Creating:', tag);
-  
-  const result = await githubApi('POST', `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/releases`, {
-    tag_name: tag,
-    name: title || tag,
-    body: description || '',
-    draft: false,
-    prerelease: false
-  });
+/**
+ * ★ delete-folder: フォルダを削除済み（tombstone）にして親から外す
+ * 中のファイル・グループは削除しない。子フォルダが残っている場合は 409
+ * → { status, body }
+ */
+async function deleteFolder(folderId, body, event) {
+  const target = await findAuthorizedFolder(folderId, body, event);
+  if (!target.folder) return target;
 
-  console.log('[RELEASE] Created:', result.id, 'upload_url:', result.upload_url?.substring(0, 50));
-  
-  return {
-    id: result.id,
-    upload_url: result.upload_url,
-    tag_name: result.tag_name
-  };
-}
+  if (target.folder.folderIds.length) {
+    return { status: 409, body: { success: false, error: 'Delete the subfolders first', folderIds: target.folder.folderIds } };
+  }
 
-// ===================== Group Management =====================
-async function createGroup(groupId, fileIds, passwordHash) {
-  try {
-    console.log('[GROUP] Creating group:', groupId, 'with', fileIds.length, 'files');
+  const deletedAt = new Date().toISOString();
+  await folderStore.updateFolder(folderId, current => ({
+    folderId: current.folderId,
+    parentId: current.parentId || null,
+    createdAt: current.createdAt,
+    deletedAt
+  }), `Delete folder: ${folderId}`);
+  console.log('[FOLDER] Deleted:', folderId);
 
-    let groupsSha = null;
-    let groups = [];
-    
+  if (target.folder.parentId) {
     try {
-      const { sha, json } = await getContent(GROUPS_PATH);
-      groupsSha = sha;
-      groups = Array.isArray(json) ? json : [];
+      await folderStore.updateFolder(target.folder.parentId, current => {
+        if (!current.folderIds || !current.folderIds.includes(folderId)) return null;
+        return { ...current, folderIds: current.folderIds.filter(id => id !== folderId), updatedAt: deletedAt };
+      }, `Remove subfolder: ${folderId} <- ${target.folder.parentId}`);
     } catch (e) {
-      console.log('[GROUP] Groups file not found, creating new');
-      groups = [];
+      console.warn('[FOLDER] Failed to detach from parent:', e.message);
     }
+  }
 
-    const newGroup = {
-      groupId: groupId,
-      fileIds: fileIds,
-      createdAt: new Date().toISOString(),
-      passwordHash: passwordHash || null
-    };
+  return { status: 200, body: { success: true, folderId, deletedAt } };
+}
 
-    groups.push(newGroup);
-    console.log('[GROUP] New group:', newGroup);
+// ===================== Client Actions =====================
+// js/github-api.js（GitHubUploader）・js/client-upload.js が呼ぶアクション
 
-    await putContent(
-      GROUPS_PATH,
-      groups,
-      `Create group: ${groupId}`,
-      groupsSha
-    );
+/**
+ * 公開用のレコード（パスワード付きファイルは downloadUrl を返さない → view で解除）
+ */
+function publicFileRecord(file) {
+  const { passwordHash, deleteTokenHash, ...rest } = file;
+  if (!passwordHash) return rest;
 
-    console.log('[GROUP] Group saved successfully');
-    return { success: true, groupId: groupId };
+  const { downloadUrl, ...locked } = rest;
+  return { ...locked, requiresPassword: true };
+}
+
+function releaseSummary(release) {
+  return {
+    release_id: release.id,
+    tag_name: release.tag_name,
+    name: release.name || release.tag_name,
+    upload_url: release.upload_url || null,
+    html_url: release.html_url || null,
+    created_at: release.created_at || null,
+    assets: (release.assets || []).map(a => ({
+      asset_id: a.id,
+      name: a.name,
+      size: a.size,
+      download_url: a.browser_download_url
+    }))
+  };
+}
+
+function shareOrigin(origin) {
+  try {
+    const url = new URL(origin);
+    if (url.protocol === 'https:' || url.protocol === 'http:') return url.origin;
+  } catch {
+    // fall through
+  }
+  return DEFAULT_SHARE_ORIGIN;
+}
+
+/**
+ * get-release-by-tag: { releaseTag } → リリース情報（無ければ null）
+ */
+async function getReleaseByTag(releaseTag) {
+  try {
+    return releaseSummary(await storage.getReleaseByTag(releaseTag));
   } catch (e) {
-    console.error('[GROUP] Error creating group:', e.message);
+    if (e.statusCode === 404) return null;
     throw e;
   }
 }
 
-async function getGroupFileIds(groupId) {
-  try {
-    console.log('[GROUP] Fetching group:', groupId);
+/**
+ * create-view: { fileIds, password?, origin?, fileTokens?, ownerKey? } → { viewId, viewUrl, fileIds, isGroup }
+ * 1 ファイル（パスワード無し）はそのまま fileId、それ以外はグループを作成する
+ * パスワード付きファイルをグループにするには、そのファイルの削除トークン（fileTokens）かオーナーキーが必要
+ */
+async function createView(fileIds, passwordHash, origin, credentials = {}, event = null) {
+  const found = await fileStore.findFilesById(fileIds);
+  const foundIds = new Set(found.filter(f => !f.deletedAt).map(f => f.fileId));
+  const missing = fileIds.filter(id => !foundIds.has(id));
+  if (missing.length) {
+    const err = new Error('Files not found: ' + missing.join(', '));
+    err.statusCode = 404;
+    err.missing = missing;
+    throw err;
+  }
 
-    const { json: groups } = await getContent(GROUPS_PATH);
-    
-    if (!Array.isArray(groups)) {
-      console.warn('[GROUP] Groups file is not an array');
-      return null;
+  const isGroup = fileIds.length > 1 || Boolean(passwordHash);
+  if (isGroup) {
+    await authorizeProtectedFiles(fileIds, credentials, event);
+  }
+  const viewId = isGroup ? 'g_' + crypto.randomBytes(8).toString('hex').slice(0, 9) : fileIds[0];
+  const group = isGroup ? await createGroup(viewId, fileIds, passwordHash) : null;
+
+  console.log('[VIEW] Created view:', viewId, 'files:', fileIds.length);
+  return {
+    viewId,
+    viewUrl: `${shareOrigin(origin)}/d/${viewId}`,
+    fileIds,
+    isGroup,
+    ...(group ? { ownerToken: group.ownerToken } : {})
+  };
+}
+
+/**
+ * get-github-json: { fileIds?, limit? } → { files, views, lastUpdated }
+ * 旧 github.json 形式での読み出し。fileIds 指定時はその ID のみ、
+ * 未指定時は新しい順に最大 limit 件（グループは get-group で取得する）
+ */
+async function getGithubJson({ fileIds, limit }) {
+  let files;
+  if (Array.isArray(fileIds) && fileIds.length > 0) {
+    files = await fileStore.findFilesById(fileIds.map(String));
+  } else {
+    const max = Math.min(Math.max(parseInt(limit, 10) || GITHUB_JSON_DEFAULT_LIMIT, 1), GITHUB_JSON_MAX_LIMIT);
+    files = (await fileStore.listRecentFiles(max)).filter(f => !f.deletedAt);
+  }
+
+  const lastUpdated = files.reduce((latest, f) => (f.uploadedAt && f.uploadedAt > latest ? f.uploadedAt : latest), '');
+  return {
+    files: files.map(publicFileRecord),
+    views: [],
+    lastUpdated: lastUpdated || new Date().toISOString()
+  };
+}
+
+/**
+ * save-github-json: { jsonData: { files, views } }
+ * ★ 丸ごと上書きはせず、未登録のファイル・ビューだけをシャードに追記する
+ * （既存レコードの変更・削除はできない）
+ * パスワードはファイル・ビューともに平文の password で渡す（passwordHash は受け付けない）
+ * パスワード付きファイルを含むビューには credentials: { fileTokens, ownerKey } が必要（無ければ rejected）
+ */
+async function saveGithubJson(jsonData, credentials = {}, event = null) {
+  const result = {
+    files: { added: [], skipped: [], rejected: [] },
+    views: { added: [], skipped: [], rejected: [] },
+    deleteTokens: {},
+    ownerTokens: {}
+  };
+
+  const files = Array.isArray(jsonData.files) ? jsonData.files : [];
+  const candidates = [];
+  for (const f of files) {
+    // ★ downloadUrl はこのリポジトリのリリースアセットのみ（外部 URL をプロキシさせない）
+    if (!f || !RECORD_ID_PATTERN.test(String(f.fileId || '')) || !f.fileName || !storage.isAssetUrl(String(f.downloadUrl || ''))) {
+      result.files.rejected.push(f && f.fileId ? String(f.fileId) : null);
+      continue;
     }
+    // ★ パスワードは平文（password）だけを受け付けてサーバー側でハッシュにする
+    // passwordHash だけのレコードは保護が外れないよう拒否
+    const passwordHash = await recordPasswordHash(f);
+    if (passwordHash === undefined) {
+      result.files.rejected.push(String(f.fileId));
+    } else {
+      candidates.push({ ...f, passwordHash });
+    }
+  }
 
-    const group = groups.find(g => g && g.groupId === groupId);
-    
-    if (!group) {
-      console.warn('[GROUP] Group not found:', groupId);
-      return null;
+  const existing = new Set(
+    (await fileStore.findFilesById(candidates.map(f => String(f.fileId)))).map(f => f.fileId)
+  );
+  for (const f of candidates) {
+    const fileId = String(f.fileId);
+    if (existing.has(fileId)) {
+      result.files.skipped.push(fileId);
+      continue;
+    }
+    let saved;
+    try {
+      saved = await addFileToShardedJson({
+        fileId,
+        fileName: String(f.fileName),
+        fileSize: Number(f.fileSize) || 0,
+        downloadUrl: String(f.downloadUrl),
+        sha256: f.sha256,
+        passwordHash: f.passwordHash
+      });
+    } catch (e) {
+      // 確認した後に同じ fileId が登録されていた場合
+      if (e.code !== 'DUPLICATE_ID') throw e;
+      result.files.skipped.push(fileId);
+      continue;
+    }
+    existing.add(fileId);
+    result.files.added.push(fileId);
+    if (saved.deleteToken) result.deleteTokens[fileId] = saved.deleteToken;
+  }
+
+  const views = Array.isArray(jsonData.views) ? jsonData.views : [];
+  for (const v of views) {
+    const viewId = v && String(v.viewId || v.groupId || '');
+    const passwordHash = v ? await recordPasswordHash(v) : undefined;
+    if (!viewId || !viewId.startsWith('g_') || !RECORD_ID_PATTERN.test(viewId) || !Array.isArray(v.fileIds) || v.fileIds.length === 0 ||
+        passwordHash === undefined) {
+      result.views.rejected.push(viewId || null);
+      continue;
+    }
+    if (await groupStore.findGroup(viewId)) {
+      result.views.skipped.push(viewId);
+      continue;
+    }
+    let created;
+    try {
+      await authorizeProtectedFiles(v.fileIds, credentials, event);
+      created = await createGroup(viewId, v.fileIds.map(String), passwordHash);
+    } catch (e) {
+      if (e.statusCode === 403) {
+        result.views.rejected.push(viewId);
+        continue;
+      }
+      // 確認した後に同じ groupId が作成されていた場合
+      if (e.code !== 'DUPLICATE_ID') throw e;
+      result.views.skipped.push(viewId);
+      continue;
     }
+    result.views.added.push(viewId);
+    result.ownerTokens[viewId] = created.ownerToken;
+  }
+
+  console.log('[GITHUB_JSON] Saved:', {
+    files: result.files.added.length,
+    views: result.views.added.length,
+    rejected: result.files.rejected.length + result.views.rejected.length
+  });
+  return { ...result, lastUpdated: new Date().toISOString() };
+}
+
+// ===================== Passwords =====================
+/**
+ * ★ リクエストの平文 password → 保存用ハッシュ（未指定なら null）
+ * クライアントで計算した passwordHash はそのまま認証情報になってしまうため受け付けない
+ */
+async function passwordHashFromRequest(source) {
+  if (!source) return null;
+
+  if (source.passwordHash && !source.password) {
+    const err = new Error('passwordHash is no longer accepted; send password instead');
+    err.statusCode = 400;
+    throw err;
+  }
+  return source.password ? await hashPassword(source.password) : null;
+}
 
-    console.log('[GROUP] Found group with', group.fileIds.length, 'files');
-    return group;
+/**
+ * save-github-json の 1 レコード分の password → 保存用ハッシュ（無ければ null、受け付けられない場合は undefined）
+ */
+async function recordPasswordHash(record) {
+  try {
+    return await passwordHashFromRequest(record);
   } catch (e) {
-    console.warn('[GROUP] Error fetching group:', e.message);
-    return null;
+    if (e.statusCode === 400) return undefined;
+    throw e;
   }
 }
 
 // ===================== Chunk Upload =====================
+/**
+ * セッションを取得（期限切れの場合は削除して null）
+ */
+async function loadChunkSession(chunkStore, uploadId) {
+  const session = await chunkStore.getSession(uploadId);
+  if (!session) return null;
+
+  if (Date.now() - session.updatedAt > CHUNK_TIMEOUT) {
+    console.log('[CLEANUP] Removing expired upload:', uploadId);
+    await chunkStore.deleteSession(uploadId);
+    return null;
+  }
+  return session;
+}
+
+function missingChunkIndices(totalChunks, received) {
+  const receivedSet = new Set(received);
+  const missing = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!receivedSet.has(i)) missing.push(i);
+  }
+  return missing;
+}
+
 async function handleChunkUpload(event) {
   try {
     const params = new URLSearchParams(event.rawUrl?.split('?')[1] || '');
     const uploadId = params.get('uploadId');
     const chunkIndex = parseInt(params.get('chunkIndex'));
-    const totalChunks = parseInt(params.get('totalChunks'));
+    // ★ totalChunks は省略できる（チャンクサイズを途中で変える場合は finalize-chunks で確定する）
+    const totalChunks = params.get('totalChunks') ? parseInt(params.get('totalChunks')) : null;
     const fileName = params.get('fileName');
 
-    if (!uploadId || Number.isNaN(chunkIndex) || !totalChunks || !fileName) {
+    if (!uploadId || Number.isNaN(chunkIndex) || Number.isNaN(totalChunks) || totalChunks === 0 || !fileName) {
       console.error('[CHUNK] Missing parameters');
       return {
         statusCode: 400,
@@ -449,38 +1213,65 @@ async function handleChunkUpload(event) {
       };
     }
 
-    let buffer;
-    if (event.isBase64Encoded) {
-      buffer = Buffer.from(event.body || '', 'base64');
-    } else if (typeof event.body === 'string') {
-      buffer = Buffer.from(event.body, 'binary');
-    } else if (Buffer.isBuffer(event.body)) {
-      buffer = event.body;
-    } else {
-      buffer = Buffer.from(event.body || '');
+    if (!UPLOAD_ID_PATTERN.test(uploadId) || chunkIndex < 0 ||
+        chunkIndex >= (totalChunks || MAX_UPLOAD_CHUNKS) || totalChunks > MAX_UPLOAD_CHUNKS) {
+      console.error('[CHUNK] Invalid parameters:', { uploadId, chunkIndex, totalChunks });
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Invalid parameters' })
+      };
     }
 
-    if (!uploadChunks.has(uploadId)) {
-      uploadChunks.set(uploadId, {
-        chunks: new Array(totalChunks),
-        totalChunks,
-        fileName,
-        timestamp: Date.now()
-      });
+    const buffer = readBody(event);
+
+    // ★ チャンクごとの SHA-256 を検証（不一致なら保存せずに再送させる）
+    const chunkSha256 = event.headers?.['x-chunk-sha256'] || event.headers?.['X-Chunk-Sha256'] || params.get('sha256');
+    if (chunkSha256 && !normalizeSha256(chunkSha256)) {
+      return invalidChecksumResponse({ 'Content-Type': 'application/json' });
+    }
+    const check = verifySha256(buffer, chunkSha256);
+    if (!check.ok) {
+      console.error('[CHUNK] Checksum mismatch:', { uploadId, chunkIndex, expected: check.expected, actual: check.actual });
+      return checksumMismatchResponse(check, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }, { uploadId, chunkIndex });
+    }
+
+    const chunkStore = getChunkStore(event);
+    const now = Date.now();
+    let session = await loadChunkSession(chunkStore, uploadId);
+
+    if (!session) {
+      session = { uploadId, totalChunks, fileName, createdAt: now, updatedAt: now };
       console.log('[CHUNK] New upload session:', uploadId);
+    } else if (totalChunks && session.totalChunks && session.totalChunks !== totalChunks) {
+      console.error('[CHUNK] totalChunks mismatch:', session.totalChunks, '!=', totalChunks);
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'totalChunks does not match upload session' })
+      };
+    } else if (session.totalChunks && chunkIndex >= session.totalChunks) {
+      console.error('[CHUNK] chunkIndex out of range:', chunkIndex, '>=', session.totalChunks);
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Invalid parameters' })
+      };
+    } else if (totalChunks && !session.totalChunks) {
+      session.totalChunks = totalChunks;
     }
 
-    const session = uploadChunks.get(uploadId);
-    session.chunks[chunkIndex] = buffer;
-    session.timestamp = Date.now();
+    await chunkStore.saveChunk(uploadId, chunkIndex, buffer);
+    session.updatedAt = now;
+    await chunkStore.saveSession(uploadId, session);
 
-    const receivedCount = session.chunks.filter(Boolean).length;
-    console.log('[CHUNK] Received chunk', chunkIndex + 1, '/', totalChunks);
+    const received = await chunkStore.listChunks(uploadId);
+    console.log('[CHUNK] Received chunk', chunkIndex + 1, '/', session.totalChunks || '?');
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ success: true, uploadId, receivedChunks: receivedCount, totalChunks })
+      body: JSON.stringify({ success: true, uploadId, chunkIndex, sha256: check.actual, receivedChunks: received.length, totalChunks: session.totalChunks || null })
     };
   } catch (error) {
     console.error('[CHUNK] Error:', error.message);
@@ -492,6 +1283,59 @@ async function handleChunkUpload(event) {
   }
 }
 
+/**
+ * ★ 受信済みチャンクの一覧を返す（ページ再読み込み後の再開用）
+ */
+async function handleUploadStatus(event) {
+  const headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
+  try {
+    const url = new URL(event.rawUrl || `http://localhost${event.rawPath || ''}`);
+    const uploadId = url.searchParams.get('uploadId');
+
+    if (!uploadId || !UPLOAD_ID_PATTERN.test(uploadId)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Missing or invalid uploadId' })
+      };
+    }
+
+    const chunkStore = getChunkStore(event);
+    const session = await loadChunkSession(chunkStore, uploadId);
+    if (!session) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Upload session not found' })
+      };
+    }
+
+    const received = await chunkStore.listChunks(uploadId);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        uploadId,
+        fileName: session.fileName,
+        // ★ totalChunks が未確定のセッションでは、足りないチャンクはクライアント側で判断する
+        totalChunks: session.totalChunks || null,
+        receivedChunks: received,
+        missingChunks: session.totalChunks ? missingChunkIndices(session.totalChunks, received) : null,
+        updatedAt: new Date(session.updatedAt).toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('[UPLOAD_STATUS] Error:', error.message);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}
+
 async function finalizeCombinedUpload(event) {
   try {
     // URLクエリパラメータまたはボディから取得
@@ -499,16 +1343,20 @@ async function finalizeCombinedUpload(event) {
     let uploadId = url.searchParams.get('uploadId');
     let fileName = url.searchParams.get('fileName');
     let releaseUploadUrl = url.searchParams.get('releaseUploadUrl');
+    let sha256 = url.searchParams.get('sha256');
+    let requestedChunks = url.searchParams.get('totalChunks');
     
     // ボディにも含まれている場合は優先
     const body = safeJsonParse(event.body || '{}', {});
     if (body.uploadId) uploadId = body.uploadId;
     if (body.fileName) fileName = body.fileName;
     if (body.releaseUploadUrl) releaseUploadUrl = body.releaseUploadUrl;
+    if (body.sha256) sha256 = body.sha256;
+    if (body.totalChunks) requestedChunks = body.totalChunks;
 
     console.log('[FINALIZE] Processing:', { uploadId, fileName, releaseUploadUrl });
 
-    if (!uploadId) {
+    if (!uploadId || !UPLOAD_ID_PATTERN.test(uploadId)) {
       console.error('[FINALIZE] Missing uploadId');
       return {
         statusCode: 400,
@@ -517,10 +1365,18 @@ async function finalizeCombinedUpload(event) {
       };
     }
 
-    const session = uploadChunks.get(uploadId);
+    if (sha256 && !normalizeSha256(sha256)) {
+      return invalidChecksumResponse({ 'Content-Type': 'application/json' });
+    }
+
+    if (releaseUploadUrl && !storage.isUploadUrl(releaseUploadUrl)) {
+      return invalidUploadUrlResponse({ 'Content-Type': 'application/json' });
+    }
+
+    const chunkStore = getChunkStore(event);
+    const session = await loadChunkSession(chunkStore, uploadId);
     if (!session) {
       console.error('[FINALIZE] Upload session not found:', uploadId);
-      console.log('[FINALIZE] Available sessions:', Array.from(uploadChunks.keys()));
       return {
         statusCode: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -528,7 +1384,25 @@ async function finalizeCombinedUpload(event) {
       };
     }
 
-    const missing = session.chunks.map((c, i) => (c ? null : i)).filter(v => v !== null);
+    // ★ チャンク送信時に totalChunks を省略したセッションは、ここで渡された数で確定する
+    const totalChunks = requestedChunks ? parseInt(requestedChunks) : session.totalChunks;
+    if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_UPLOAD_CHUNKS) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: 'Missing or invalid totalChunks' })
+      };
+    }
+    if (session.totalChunks && session.totalChunks !== totalChunks) {
+      console.error('[FINALIZE] totalChunks mismatch:', session.totalChunks, '!=', totalChunks);
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: 'totalChunks does not match upload session' })
+      };
+    }
+
+    const missing = missingChunkIndices(totalChunks, await chunkStore.listChunks(uploadId));
     if (missing.length) {
       console.error('[FINALIZE] Missing chunks:', missing);
       return {
@@ -538,22 +1412,35 @@ async function finalizeCombinedUpload(event) {
       };
     }
 
-    const combined = Buffer.concat(session.chunks);
+    const chunks = [];
+    for (let i = 0; i < totalChunks; i++) {
+      chunks.push(await chunkStore.readChunk(uploadId, i));
+    }
+    const combined = Buffer.concat(chunks);
     console.log('[FINALIZE] Combined buffer size:', combined.length);
 
+    // ★ ファイル全体の SHA-256 を検証（チャンクは受信時に検証済み）
+    // 不一致の場合は保存済みチャンクを信用できないので、セッションごと破棄して最初からやり直させる
+    const check = verifySha256(combined, sha256);
+    if (!check.ok) {
+      console.error('[FINALIZE] Checksum mismatch:', { uploadId, expected: check.expected, actual: check.actual });
+      await chunkStore.deleteSession(uploadId);
+      return checksumMismatchResponse(check, { 'Content-Type': 'application/json' }, { uploadId, restart: true });
+    }
+
     let result = {
       id: uploadId,
       browser_download_url: '',
-      name: fileName || 'file',
+      name: fileName || session.fileName || 'file',
       size: combined.length
     };
 
     if (releaseUploadUrl) {
-      console.log('[FINALIZE] Uploading to GitHub...');
-      result = await uploadBinaryToGithub(releaseUploadUrl, combined, fileName);
+      console.log('[FINALIZE] Uploading to storage...');
+      result = await uploadBinaryAsset(releaseUploadUrl, combined, fileName || session.fileName);
     }
 
-    uploadChunks.delete(uploadId);
+    await chunkStore.deleteSession(uploadId);
     console.log('[FINALIZE] Success');
 
     return {
@@ -565,7 +1452,8 @@ async function finalizeCombinedUpload(event) {
           asset_id: result.id,
           download_url: result.browser_download_url,
           name: result.name || fileName,
-          size: result.size || combined.length
+          size: result.size || combined.length,
+          sha256: check.actual
         }
       })
     };
@@ -587,7 +1475,7 @@ exports.handler = async (event) => {
   };
 
   try {
-    if (!GITHUB_TOKEN || !GITHUB_OWNER || !GITHUB_REPO) {
+    if (!storage.isConfigured()) {
       return {
         statusCode: 500,
         headers,
@@ -601,7 +1489,7 @@ exports.handler = async (event) => {
     console.log('[HANDLER] URL action:', action);
     
     // URLクエリにアクションがない場合、JSONボディから取得
-    if (!action && event.body) {
+    if (!action && event.body && !event.isBase64Encoded) {
       const bodyData = safeJsonParse(event.body || '{}', {});
       if (bodyData.action) {
         action = bodyData.action;
@@ -618,7 +1506,7 @@ exports.handler = async (event) => {
         headers: {
           ...headers,
           'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, x-upload-url, x-is-base64, x-file-name, X-Upload-Url, X-Is-Base64, X-File-Name',
+          'Access-Control-Allow-Headers': 'Content-Type, x-upload-url, x-is-base64, x-file-name, x-file-sha256, x-chunk-sha256, X-Upload-Url, X-Is-Base64, X-File-Name, X-File-Sha256, X-Chunk-Sha256',
         },
         body: ''
       };
@@ -633,32 +1521,64 @@ exports.handler = async (event) => {
       return await finalizeCombinedUpload(event);
     }
 
+    if (action === 'upload-status') {
+      return await handleUploadStatus(event);
+    }
+
     // ===================== Group Actions =====================
     if (action === 'create-group') {
       const body = safeJsonParse(event.body || '{}', {});
-      const { groupId, fileIds, passwordHash } = body;
+      const { groupId, fileIds, expiresAt, expiresIn, maxDownloads } = body;
 
       console.log('[HANDLER] create-group - groupId:', groupId, 'fileIds:', fileIds?.length);
 
-      if (!groupId || !fileIds || !Array.isArray(fileIds)) {
+      // ★ groupId はクライアントが決めるので、update-group などと同じく g_ で始まる ID だけを受け付ける
+      if (!groupId || !String(groupId).startsWith('g_') || !RECORD_ID_PATTERN.test(String(groupId)) ||
+          !fileIds || !Array.isArray(fileIds)) {
         console.error('[HANDLER] Missing parameters:', { groupId, fileIds });
         return {
           statusCode: 400,
           headers,
-          body: JSON.stringify({ success: false, error: 'Missing parameters' })
+          body: JSON.stringify({ success: false, error: 'Missing or invalid groupId / fileIds' })
         };
       }
 
       try {
-        const result = await createGroup(groupId, fileIds, passwordHash);
+        const passwordHash = await passwordHashFromRequest(body);
+        if (body.ownerKey) ownerIdFromKey(body.ownerKey);
+        await authorizeProtectedFiles(fileIds, { fileTokens: body.fileTokens, ownerKey: body.ownerKey }, event);
+        const result = await createGroup(String(groupId), fileIds, passwordHash, { expiresAt, expiresIn, maxDownloads }, body);
         console.log('[HANDLER] Group created successfully:', result);
+        const owned = result.ownerToken
+          ? await registerOwned(event, body.ownerKey, { groupIds: [result.groupId] })
+          : false;
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify(result)
+          body: JSON.stringify({ ...result, owned })
         };
       } catch (e) {
         console.error('[HANDLER] Group creation error:', e.message);
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers, { groupId });
+        }
+        if (e.code === 'DUPLICATE_ID') {
+          return duplicateIdResponse(e, headers, { groupId });
+        }
+        if (e.statusCode === 403) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message, fileId: e.fileId })
+          };
+        }
+        if (e.statusCode === 400) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message })
+          };
+        }
         return {
           statusCode: 500,
           headers,
@@ -667,6 +1587,41 @@ exports.handler = async (event) => {
       }
     }
 
+    if (action === 'update-group') {
+      const body = safeJsonParse(event.body || '{}', {});
+      const { groupId } = body;
+      if (!groupId || !String(groupId).startsWith('g_') || !RECORD_ID_PATTERN.test(String(groupId)) ||
+          (!body.ownerToken && !body.ownerKey)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Missing groupId, ownerToken or ownerKey' })
+        };
+      }
+
+      try {
+        const res = await updateGroup(String(groupId), body, event);
+        return {
+          statusCode: res.status,
+          headers,
+          body: JSON.stringify(res.body)
+        };
+      } catch (e) {
+        console.error('[HANDLER] Group update error:', e.message);
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers, { groupId });
+        }
+        if (e.statusCode === 400) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message })
+          };
+        }
+        throw e;
+      }
+    }
+
     if (action === 'get-group') {
       const groupId = url.searchParams.get('groupId');
       if (!groupId) {
@@ -689,41 +1644,27 @@ exports.handler = async (event) => {
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ success: true, group: group })
+        body: JSON.stringify({ success: true, group: publicGroupRecord(group) })
       };
     }
 
     // ===================== Binary Upload =====================
     const uploadUrl = event.headers['x-upload-url'] || event.headers['X-Upload-Url'];
     if (uploadUrl) {
+      // ★ 本文はファイルそのもの（Content-Type: application/octet-stream）
+      // X-Is-Base64: true の場合だけ本文を Base64 テキストとして扱う（旧クライアント）
       const isBase64Str = event.headers['x-is-base64'] || event.headers['X-Is-Base64'];
       const isBase64 = isBase64Str === 'true';
       const fileName = (event.headers['x-file-name'] || event.headers['X-File-Name'] || 'file').replace(/^"|"$/g, '');
 
-      console.log('[BINARY] Uploading:', { fileName, isBase64, bodyLength: event.body?.length });
-
-      let buffer;
-      if (isBase64) {
-        buffer = Buffer.from(event.body || '', 'base64');
-      } else {
-        buffer = Buffer.isBuffer(event.body) ? event.body : Buffer.from(event.body || '', 'binary');
-      }
+      console.log('[BINARY] Uploading:', { fileName, isBase64, transportBase64: !!event.isBase64Encoded, bodyLength: event.body?.length });
 
-      const result = await uploadBinaryToGithub(uploadUrl, buffer, fileName);
+      // ★ 先にトランスポートの Base64（isBase64Encoded）を戻してから、本文自体の Base64 を戻す
+      const body = readBody(event);
+      const buffer = isBase64 ? Buffer.from(body.toString('latin1'), 'base64') : body;
 
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          success: true,
-          data: {
-            asset_id: result.id,
-            download_url: result.browser_download_url,
-            name: result.name,
-            size: result.size
-          }
-        })
-      };
+      const sha256 = event.headers['x-file-sha256'] || event.headers['X-File-Sha256'];
+      return await handleAssetUpload({ uploadUrl, buffer, fileName, sha256 }, headers);
     }
 
     // ===================== JSON Actions =====================
@@ -748,14 +1689,325 @@ exports.handler = async (event) => {
 
     // Add File to Shard
     if (body.action === 'add-file') {
-      const res = await addFileToShardedJson(body.fileData);
+      try {
+        const { password, ...fileData } = body.fileData || {};
+        const passwordHash = await passwordHashFromRequest(body.fileData);
+        if (body.ownerKey) ownerIdFromKey(body.ownerKey);  // 不正なキーはレコードを書く前に 400
+        const res = await addFileToShardedJson({ ...fileData, passwordHash });
+        const owned = res.deleteToken
+          ? await registerOwned(event, body.ownerKey, { fileIds: [String(fileData.fileId)] })
+          : false;
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, ...res, owned })
+        };
+      } catch (e) {
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers, { fileId: body.fileData?.fileId });
+        }
+        if (e.code === 'DUPLICATE_ID') {
+          return duplicateIdResponse(e, headers, { fileId: body.fileData?.fileId });
+        }
+        if (e.statusCode === 400) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message })
+          };
+        }
+        throw e;
+      }
+    }
+
+    // Delete File (requires the delete token returned by add-file)
+    if (body.action === 'delete-file') {
+      const { fileId, deleteToken, ownerKey } = body;
+      if (!fileId || !RECORD_ID_PATTERN.test(String(fileId)) || (!deleteToken && !ownerKey)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Missing fileId or deleteToken' })
+        };
+      }
+
+      try {
+        const res = await deleteFile(String(fileId), { deleteToken, ownerKey }, event);
+        return {
+          statusCode: res.status,
+          headers,
+          body: JSON.stringify(res.body)
+        };
+      } catch (e) {
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers, { fileId });
+        }
+        throw e;
+      }
+    }
+
+    // File Stats (requires the owner token = delete token returned by add-file, or the owner key)
+    if (body.action === 'file-stats') {
+      const { fileId, ownerKey } = body;
+      const ownerToken = body.ownerToken || body.deleteToken;
+      if (!fileId || !RECORD_ID_PATTERN.test(String(fileId)) || (!ownerToken && !ownerKey)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Missing fileId or ownerToken' })
+        };
+      }
+
+      const res = await getFileStats(String(fileId), { deleteToken: ownerToken && String(ownerToken), ownerKey }, event);
+      return {
+        statusCode: res.status,
+        headers,
+        body: JSON.stringify(res.body)
+      };
+    }
+
+    // ===================== Owner Actions =====================
+    // ★ オーナーキー（js/storage.js が生成）で「My files」ページの一覧・名前変更・取り込みを行う
+    if (body.action === 'owner-files' || body.action === 'rename-file' || body.action === 'claim-files') {
+      try {
+        let res;
+        if (body.action === 'owner-files') {
+          ownerIdFromKey(body.ownerKey);
+          res = { status: 200, body: { success: true, ...(await listOwnerFiles(body.ownerKey, body, event)) } };
+        } else if (body.action === 'rename-file') {
+          const { fileId, fileName, deleteToken, ownerKey } = body;
+          if (!fileId || !RECORD_ID_PATTERN.test(String(fileId)) || (!deleteToken && !ownerKey)) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ success: false, error: 'Missing fileId, deleteToken or ownerKey' })
+            };
+          }
+          res = await renameFile(String(fileId), fileName, { deleteToken, ownerKey }, event);
+        } else {
+          res = { status: 200, body: { success: true, ...(await claimFiles(body.ownerKey, body.files, event)) } };
+        }
+        return {
+          statusCode: res.status,
+          headers,
+          body: JSON.stringify(res.body)
+        };
+      } catch (e) {
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers, { fileId: body.fileId });
+        }
+        if (e.statusCode === 400) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message })
+          };
+        }
+        throw e;
+      }
+    }
+
+    // ===================== Folder Actions =====================
+    // ★ フォルダ（d_xxx）の作成・編集・削除。表示は view.js（/d/<folderId>）
+    if (body.action === 'create-folder' || body.action === 'update-folder' || body.action === 'delete-folder') {
+      try {
+        if (body.ownerKey) ownerIdFromKey(body.ownerKey);
+
+        let res;
+        if (body.action === 'create-folder') {
+          if (body.parentId && !RECORD_ID_PATTERN.test(String(body.parentId))) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ success: false, error: 'Invalid parentId' })
+            };
+          }
+          res = await createFolder(body, event);
+          if (res.status === 200 && res.body.ownerToken) {
+            res.body.owned = await registerOwned(event, body.ownerKey, { folderIds: [res.body.folderId] });
+          }
+        } else {
+          const { folderId } = body;
+          if (!folderId || !String(folderId).startsWith('d_') || !RECORD_ID_PATTERN.test(String(folderId)) ||
+              (!body.ownerToken && !body.ownerKey)) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ success: false, error: 'Missing folderId, ownerToken or ownerKey' })
+            };
+          }
+          res = body.action === 'update-folder'
+            ? await updateFolder(String(folderId), body, event)
+            : await deleteFolder(String(folderId), body, event);
+        }
+        return {
+          statusCode: res.status,
+          headers,
+          body: JSON.stringify(res.body)
+        };
+      } catch (e) {
+        console.error('[HANDLER] Folder action error:', e.message);
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers, { folderId: body.folderId });
+        }
+        if (e.code === 'DUPLICATE_ID') {
+          return duplicateIdResponse(e, headers);
+        }
+        if (e.statusCode === 400) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message })
+          };
+        }
+        throw e;
+      }
+    }
+
+    // Upload Asset (Base64 in JSON body)
+    if (body.action === 'upload-asset') {
+      const { uploadUrl: assetUploadUrl, fileName, sha256 } = body;
+      const fileBase64 = typeof body.fileBase64 === 'string'
+        ? body.fileBase64.replace(/^data:[^,]*,/, '').replace(/\s/g, '')
+        : '';
+
+      if (!assetUploadUrl || !fileBase64 || !/^[A-Za-z0-9+/]*={0,2}$/.test(fileBase64)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Missing or invalid uploadUrl / fileBase64' })
+        };
+      }
+
+      const buffer = Buffer.from(fileBase64, 'base64');
+      console.log('[UPLOAD_ASSET] Uploading:', { fileName, size: buffer.length });
+      return await handleAssetUpload({ uploadUrl: assetUploadUrl, buffer, fileName: String(fileName || 'file'), sha256 }, headers);
+    }
+
+    // Get Release by Tag
+    if (body.action === 'get-release-by-tag') {
+      if (!body.releaseTag || typeof body.releaseTag !== 'string') {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Missing releaseTag' })
+        };
+      }
+
+      const release = await getReleaseByTag(body.releaseTag);
+      if (!release) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Release not found' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, data: release })
+      };
+    }
+
+    // Create View (single file or group)
+    if (body.action === 'create-view') {
+      const fileIds = Array.isArray(body.fileIds) ? body.fileIds.map(String) : [];
+      if (fileIds.length === 0 || !fileIds.every(id => RECORD_ID_PATTERN.test(id))) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'fileIds must be a non-empty array of ids' })
+        };
+      }
+
+      try {
+        if (body.ownerKey) ownerIdFromKey(body.ownerKey);
+        const credentials = { fileTokens: body.fileTokens, ownerKey: body.ownerKey };
+        const view = await createView(fileIds, await passwordHashFromRequest(body), body.origin, credentials, event);
+        if (view.isGroup && view.ownerToken) {
+          view.owned = await registerOwned(event, body.ownerKey, { groupIds: [view.viewId] });
+        }
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, data: view })
+        };
+      } catch (e) {
+        if (e.statusCode === 400) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message })
+          };
+        }
+        if (e.statusCode === 404) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message, missing: e.missing })
+          };
+        }
+        if (e.statusCode === 403) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message, fileId: e.fileId })
+          };
+        }
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers);
+        }
+        if (e.code === 'DUPLICATE_ID') {
+          return duplicateIdResponse(e, headers);
+        }
+        throw e;
+      }
+    }
+
+    // Read file records in the legacy github.json shape
+    if (body.action === 'get-github-json') {
+      const data = await getGithubJson({ fileIds: body.fileIds, limit: body.limit });
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ success: true, ...res })
+        body: JSON.stringify({ success: true, data })
       };
     }
 
+    // Append new records given in the legacy github.json shape
+    if (body.action === 'save-github-json') {
+      if (!body.jsonData || typeof body.jsonData !== 'object') {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Invalid jsonData: must be an object' })
+        };
+      }
+
+      try {
+        if (body.ownerKey) ownerIdFromKey(body.ownerKey);
+        const data = await saveGithubJson(body.jsonData, { fileTokens: body.fileTokens, ownerKey: body.ownerKey }, event);
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, data })
+        };
+      } catch (e) {
+        if (e.code === 'WRITE_CONFLICT') {
+          return writeConflictResponse(e, headers);
+        }
+        if (e.statusCode === 400) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ success: false, error: e.message })
+          };
+        }
+        throw e;
+      }
+    }
+
     console.error('[HANDLER] Unknown action:', action);
     return {
       statusCode: 400,
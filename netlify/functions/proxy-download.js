@@ -1,307 +1,249 @@
 /**
  * netlify/functions/proxy-download.js
  * ★ GitHub からのファイルダウンロードをプロキシ
- * ★ 大容量ファイル対応（ストリーミング）
+ * ★ ストリーミングで中継する（メモリに読み込まない / base64 にしない）
+ * ★ Range（開始・末尾・サフィックス）/ 416 / If-Range / HEAD に対応（動画のシーク・ダウンロード再開用）
+ * ★ 削除済み・期限切れ・ダウンロード回数上限のファイルは 410（プレビューなので回数は数えない）
+ * ★ view が返すダウンロードハンドル（handle=）で取得する（アセットの URL はブラウザに渡さない）
+ * ★ 取得するのはこのリポジトリのリリースアセットのみ（lib/asset-fetch.js）
+ * ★ ダウンロード回数・配信バイト数を統計に記録（lib/stats.js）
  */
 
-const https = require('https');
-const url = require('url');
+const { Transform } = require('stream');
+const { stream } = require('@netlify/functions');
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { createGroupStore } = require('../lib/groups');
+const { checkDownloadAccess } = require('../lib/download-access');
+const { accessTokenFromRequest } = require('../lib/tokens');
+const { openAsset } = require('../lib/asset-fetch');
+const { parseRange, ifRangeMatches, contentRange } = require('../lib/http-range');
+const { getStatsStore } = require('../lib/stats-store');
+const { createStatsRecorder } = require('../lib/stats');
+
+const storage = getStorage();
+const fileStore = createFileStore(storage);
+const groupStore = createGroupStore(storage);
+
+function jsonResponse(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...extraHeaders },
+    body: JSON.stringify(body)
+  };
+}
+
+function requestHeader(event, name) {
+  const headers = event.headers || {};
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
 
-exports.handler = async (event) => {
+async function handleRequest(event) {
   try {
-    const downloadUrl = event.queryStringParameters?.url;
+    const params = event.queryStringParameters || {};
+    const method = (event.httpMethod || 'GET').toUpperCase();
 
-    console.log('[PROXY] Request received');
-    console.log('[PROXY] URL param present:', !!downloadUrl);
+    console.log('[PROXY] Request received:', method);
+    console.log('[PROXY] fileId:', params.fileId || 'none', 'handle:', params.handle ? '***' : 'none');
 
-    if (!downloadUrl) {
-      console.error('[PROXY] Missing url parameter');
-      return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Missing url parameter' })
-      };
+    if (method !== 'GET' && method !== 'HEAD') {
+      return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'GET, HEAD' });
+    }
+
+    if (!params.fileId && !params.handle) {
+      console.error('[PROXY] Missing handle or fileId parameter');
+      return jsonResponse(400, { error: 'Missing handle or fileId parameter' });
     }
 
+    const access = await checkDownloadAccess(
+      {
+        fileId: params.fileId,
+        groupId: params.group,
+        token: accessTokenFromRequest(event.headers || {}, params.token),
+        handle: params.handle
+      },
+      { fileStore, groupStore, storage }
+    );
+    if (!access.ok) {
+      console.warn('[PROXY] Access denied:', access.status, access.error);
+      return jsonResponse(access.status, { error: access.error, reason: access.reason });
+    }
+    const downloadUrl = access.downloadUrl;
+
     console.log('[PROXY] URL to download:', downloadUrl.substring(0, 80) + '...');
 
-    // URLがGitHub Release Assetsか確認
-    if (!downloadUrl.includes('github.com') && !downloadUrl.includes('githubusercontent.com')) {
-      console.error('[PROXY] Invalid host');
-      return {
-        statusCode: 403,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Invalid host' })
-      };
+    // ★ HEAD リクエストでファイル情報を取得（サイズ・ETag・Last-Modified）
+    const info = await proxyHead(downloadUrl);
+    if (info.statusCode !== 200) {
+      console.error('[PROXY] HEAD request failed:', info.statusCode);
+      return jsonResponse(info.statusCode === 404 ? 404 : 502, { error: 'File not found' });
     }
 
-    // ★ HEAD リクエストでファイル情報を取得
-    const headResult = await proxyHead(downloadUrl);
-    console.log('[PROXY] HEAD response:', {
-      statusCode: headResult.statusCode,
-      contentLength: headResult.contentLength,
-      contentType: headResult.contentType
-    });
+    const size = info.contentLength;
+    const headers = withCachePolicy({
+      'Content-Type': getMimeType(info.contentType, downloadUrl),
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges, ETag',
+      ...(info.etag && { 'ETag': info.etag }),
+      ...(info.lastModified && { 'Last-Modified': info.lastModified })
+    }, access);
+
+    // ★ 上流の HEAD がサイズを返さない（無い / 0）場合は Range を使わず、GET の本文をそのまま中継する
+    if (!size) {
+      return await proxyWithoutSize(event, method, downloadUrl, { ...headers, 'Accept-Ranges': 'none' }, access);
+    }
 
-    if (headResult.statusCode !== 200) {
-      console.error('[PROXY] HEAD request failed:', headResult.statusCode);
+    // ★ Range の解釈（If-Range が一致しなければ全体を返す）
+    const rangeHeader = requestHeader(event, 'Range');
+    const useRange = rangeHeader && ifRangeMatches(requestHeader(event, 'If-Range'), info);
+    const range = parseRange(useRange ? rangeHeader : null, size);
+
+    console.log('[PROXY] File size:', size, 'bytes', 'range:', rangeHeader || 'none', '→', range.type);
+
+    if (range.type === 'unsatisfiable') {
       return {
-        statusCode: headResult.statusCode,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'File not found' })
+        statusCode: 416,
+        headers: { ...headers, 'Content-Range': `bytes */${size}`, 'Content-Length': '0' },
+        body: ''
       };
     }
 
-    // ★ 大容量ファイル（> 10MB）の場合は Rangeリクエスト対応
-    const contentLength = headResult.contentLength;
-    const isLargeFile = contentLength > 10 * 1024 * 1024;  // 10MB以上
-
-    console.log('[PROXY] File size:', contentLength, 'bytes', isLargeFile ? '(LARGE)' : '(small)');
+    const partial = range.type === 'range';
+    const { start, end } = partial ? range : { start: 0, end: size - 1 };
+    const responseHeaders = {
+      ...headers,
+      'Content-Length': String(Math.max(0, end - start + 1)),
+      ...(partial && { 'Content-Range': contentRange(range, size) })
+    };
+    const statusCode = partial ? 206 : 200;
 
-    // Range リクエストが来ている場合
-    const rangeHeader = event.headers['range'] || event.headers['Range'];
-    if (rangeHeader && isLargeFile) {
-      console.log('[PROXY] Range request:', rangeHeader);
-      return proxyRange(downloadUrl, contentLength, rangeHeader);
+    if (method === 'HEAD') {
+      return { statusCode, headers: responseHeaders, body: '' };
     }
 
-    // ★ 小容量ファイル（<= 10MB）: 全ファイルをメモリに読み込む
-    if (contentLength <= 10 * 1024 * 1024) {
-      console.log('[PROXY] Small file - loading into memory');
-      return proxySmallFile(downloadUrl, headResult.contentType);
-    }
+    const body = await proxyBody(downloadUrl, partial ? range : null);
+
+    // ★ 配信バイト数を記録。ダウンロード回数は全体 or 先頭からの取得だけ数える（シークの Range は数えない）
+    await createStatsRecorder(getStatsStore(event)).recordDownload(access.file.fileId, {
+      bytes: end - start + 1,
+      counted: start === 0,
+      headers: event.headers
+    });
 
-    // ★ 大容量ファイル（> 10MB）: Range リクエストを促す
-    console.log('[PROXY] Large file - returning 206 Partial Content');
-    return proxyRange(downloadUrl, contentLength, 'bytes=0-1048575');  // 最初の1MBのみ
+    return { statusCode, headers: responseHeaders, body };
 
   } catch (e) {
     console.error('[PROXY] Error:', e.message);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ error: e.message })
-    };
+    return jsonResponse(e.statusCode || 500, { error: e.message });
   }
-};
+}
+
+// ★ ストリーミング関数（レスポンス本文を Node.js の Readable で返す）
+exports.handler = stream(handleRequest);
 
 /**
- * ★ HEAD リクエストでファイル情報を取得
+ * ★ サイズが分からないアセット: Range を無視して全体を 200 で中継（Content-Length は GET の応答にあれば付ける）
  */
-function proxyHead(downloadUrl) {
-  return new Promise((resolve, reject) => {
-    try {
-      const parsedUrl = new URL(downloadUrl);
-      
-      const options = {
-        hostname: parsedUrl.hostname,
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: 'HEAD',
-        headers: {
-          'User-Agent': 'Avfile-Proxy/1.0',
-        },
-        timeout: 10000
-      };
+async function proxyWithoutSize(event, method, downloadUrl, headers, access) {
+  console.warn('[PROXY] Upstream HEAD returned no size, falling back to a plain GET');
+  if (method === 'HEAD') {
+    return { statusCode: 200, headers, body: '' };
+  }
 
-      console.log('[PROXY HEAD] Request to:', parsedUrl.hostname + parsedUrl.pathname);
-
-      const req = https.request(options, (res) => {
-        console.log('[PROXY HEAD] Status:', res.statusCode);
-        console.log('[PROXY HEAD] Headers:', {
-          'content-type': res.headers['content-type'],
-          'content-length': res.headers['content-length']
-        });
-
-        resolve({
-          statusCode: res.statusCode,
-          contentType: res.headers['content-type'] || 'application/octet-stream',
-          contentLength: parseInt(res.headers['content-length'] || '0', 10)
-        });
-      });
-
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.abort();
-        reject(new Error('HEAD request timeout'));
-      });
-
-      req.end();
-    } catch (e) {
-      reject(e);
-    }
+  const body = await proxyBody(downloadUrl, null);
+  const contentLength = body.headers['content-length'];
+
+  await createStatsRecorder(getStatsStore(event)).recordDownload(access.file.fileId, {
+    bytes: parseInt(contentLength || '0', 10),
+    headers: event.headers
   });
+
+  return {
+    statusCode: 200,
+    headers: { ...headers, ...(contentLength && { 'Content-Length': contentLength }) },
+    body
+  };
 }
 
 /**
- * ★ 小容量ファイル（<= 10MB）をメモリに読み込んで返す
+ * ★ 期限・回数制限・パスワード付きのファイルはキャッシュさせない（期限後やトークン無しでキャッシュから配信されるのを防ぐ）
  */
-function proxySmallFile(downloadUrl, contentType) {
-  return new Promise((resolve, reject) => {
-    try {
-      const parsedUrl = new URL(downloadUrl);
-      
-      const options = {
-        hostname: parsedUrl.hostname,
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Avfile-Proxy/1.0',
-        },
-        timeout: 30000
-      };
-
-      console.log('[PROXY GET] Small file download start');
-
-      const buffers = [];
-      let totalSize = 0;
-
-      const req = https.request(options, (res) => {
-        if (res.statusCode !== 200) {
-          console.error('[PROXY GET] Status:', res.statusCode);
-          reject(new Error(`HTTP ${res.statusCode}`));
-          return;
-        }
-
-        res.on('data', (chunk) => {
-          buffers.push(chunk);
-          totalSize += chunk.length;
-          console.log('[PROXY GET] Downloaded:', totalSize, 'bytes');
-        });
-
-        res.on('end', () => {
-          const buffer = Buffer.concat(buffers);
-          const mimeType = getMimeType(contentType, downloadUrl);
-          const base64Body = buffer.toString('base64');
-
-          console.log('[PROXY GET] Complete:', totalSize, 'bytes');
-
-          resolve({
-            statusCode: 200,
-            headers: {
-              'Content-Type': mimeType,
-              'Content-Length': totalSize.toString(),
-              'Cache-Control': 'public, max-age=3600',
-              'Access-Control-Allow-Origin': '*',
-            },
-            isBase64Encoded: true,
-            body: base64Body
-          });
-        });
-      });
-
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.abort();
-        reject(new Error('Download timeout'));
-      });
-
-      req.end();
-    } catch (e) {
-      reject(e);
-    }
-  });
+function withCachePolicy(headers, access) {
+  const restricted = [access.file, access.group].some(r => r && (r.expiresAt || r.maxDownloads || r.passwordHash));
+  if (restricted) {
+    headers['Cache-Control'] = 'private, no-store';
+  }
+  return headers;
 }
 
 /**
- * ★ 大容量ファイル（> 10MB）: Range リクエスト対応
+ * ★ HEAD リクエストでファイル情報を取得
  */
-function proxyRange(downloadUrl, contentLength, rangeHeader) {
-  return new Promise((resolve, reject) => {
-    try {
-      const parsedUrl = new URL(downloadUrl);
-      const range = parseRange(rangeHeader, contentLength);
-
-      if (!range) {
-        reject(new Error('Invalid range'));
-        return;
-      }
-
-      const [start, end] = range;
-      const rangeSize = end - start + 1;
-
-      console.log('[PROXY RANGE] Requested:', start, '-', end, '/', contentLength);
-
-      const options = {
-        hostname: parsedUrl.hostname,
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Avfile-Proxy/1.0',
-          'Range': `bytes=${start}-${end}`,
-        },
-        timeout: 30000
-      };
-
-      const buffers = [];
-      let totalSize = 0;
-
-      const req = https.request(options, (res) => {
-        if (res.statusCode !== 206 && res.statusCode !== 200) {
-          console.error('[PROXY RANGE] Status:', res.statusCode);
-          reject(new Error(`HTTP ${res.statusCode}`));
-          return;
-        }
-
-        console.log('[PROXY RANGE] Response status:', res.statusCode);
-        console.log('[PROXY RANGE] Content-Length:', res.headers['content-length']);
-
-        res.on('data', (chunk) => {
-          buffers.push(chunk);
-          totalSize += chunk.length;
-        });
-
-        res.on('end', () => {
-          const buffer = Buffer.concat(buffers);
-          const mimeType = getMimeType(res.headers['content-type'] || 'application/octet-stream', downloadUrl);
-          const base64Body = buffer.toString('base64');
-
-          console.log('[PROXY RANGE] Downloaded:', totalSize, 'bytes');
-
-          resolve({
-            statusCode: res.statusCode === 206 ? 206 : 200,
-            headers: {
-              'Content-Type': mimeType,
-              'Content-Length': totalSize.toString(),
-              'Content-Range': res.statusCode === 206 ? `bytes ${start}-${end}/${contentLength}` : undefined,
-              'Accept-Ranges': 'bytes',
-              'Cache-Control': 'public, max-age=3600',
-              'Access-Control-Allow-Origin': '*',
-            },
-            isBase64Encoded: true,
-            body: base64Body
-          });
-        });
-      });
-
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.abort();
-        reject(new Error('Range request timeout'));
-      });
-
-      req.end();
-    } catch (e) {
-      reject(e);
-    }
+async function proxyHead(downloadUrl) {
+  const res = await openAsset(storage, downloadUrl, { method: 'HEAD', timeout: 10000 });
+  res.resume();
+
+  console.log('[PROXY HEAD] Status:', res.statusCode);
+  console.log('[PROXY HEAD] Headers:', {
+    'content-type': res.headers['content-type'],
+    'content-length': res.headers['content-length'],
+    'etag': res.headers['etag']
   });
+
+  return {
+    statusCode: res.statusCode,
+    contentType: res.headers['content-type'] || 'application/octet-stream',
+    contentLength: res.headers['content-length'] ? parseInt(res.headers['content-length'], 10) || 0 : null,
+    etag: res.headers['etag'] || null,
+    lastModified: res.headers['last-modified'] || null
+  };
 }
 
 /**
- * ★ Range ヘッダーをパース
+ * ★ 本文をストリームで取得（range 指定時は上流にも Range を送る）
+ * 上流が Range を無視して 200 を返した場合は必要な範囲だけを切り出す
  */
-function parseRange(rangeHeader, contentLength) {
-  if (!rangeHeader || !rangeHeader.startsWith('bytes=')) {
-    return null;
-  }
+async function proxyBody(downloadUrl, range) {
+  const res = await openAsset(storage, downloadUrl, {
+    headers: range ? { 'Range': `bytes=${range.start}-${range.end}` } : {}
+  });
 
-  const range = rangeHeader.slice(6).split('-');
-  let start = parseInt(range[0], 10);
-  let end = parseInt(range[1], 10);
+  console.log('[PROXY GET] Upstream status:', res.statusCode);
 
-  if (isNaN(start)) start = 0;
-  if (isNaN(end)) end = Math.min(start + 1048576 - 1, contentLength - 1);  // 1MB
+  if (range && res.statusCode === 206) return res;
+  if (res.statusCode !== 200) {
+    res.resume();
+    const err = new Error(`HTTP ${res.statusCode}`);
+    err.statusCode = 502;
+    throw err;
+  }
+  if (!range) return res;
 
-  return [start, Math.min(end, contentLength - 1)];
+  // 必要な範囲を送り終えたら上流の接続を閉じる
+  const slice = sliceStream(range.start, range.end, () => {
+    res.unpipe(slice);
+    res.destroy();
+  });
+  return res.pipe(slice);
+}
+
+function sliceStream(start, end, onComplete) {
+  let offset = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const from = Math.max(0, start - offset);
+      const to = Math.min(chunk.length, end + 1 - offset);
+      offset += chunk.length;
+      if (from < to) this.push(chunk.subarray(from, to));
+      if (offset > end) {
+        this.push(null);
+        onComplete();
+      }
+      callback();
+    }
+  });
 }
 
 /**
@@ -0,0 +1,102 @@
+/**
+ * netlify/functions/purge-expired.js
+ * ★ 期限切れ・ダウンロード上限に達したファイル / グループを削除（スケジュール実行: netlify.toml）
+ *
+ * ファイル: リリース（アセット・タグ）を削除 → レコードを tombstone に置き換え（シャードごとに 1 回の書き込み）
+ * グループ: レコードを tombstone に置き換え（含まれるファイルはそれぞれの期限で削除される）
+ *
+ * 1 回の実行で削除するリリース数には上限があり、残りは次回の実行で処理する。
+ */
+
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { createGroupStore } = require('../lib/groups');
+const { expiryStatus } = require('../lib/expiry');
+
+const storage = getStorage();
+const fileStore = createFileStore(storage);
+const groupStore = createGroupStore(storage);
+
+const PURGE_RELEASE_LIMIT = 50; // 関数のタイムアウト対策
+
+function isPurgeable(record, idKey, now) {
+  return record && record[idKey] && !record.deletedAt && expiryStatus(record, now);
+}
+
+async function purgeFiles(now, summary) {
+  for (const shard of await fileStore.shards.readAllShards()) {
+    const expired = shard.items.filter(f => isPurgeable(f, 'fileId', now));
+    if (expired.length === 0) continue;
+
+    const released = [];
+    for (const file of expired) {
+      if (summary.releasesDeleted >= PURGE_RELEASE_LIMIT) {
+        summary.remaining = true;
+        break;
+      }
+
+      try {
+        await storage.deleteRelease(`file_${file.fileId}`);
+        summary.releasesDeleted++;
+        released.push(file.fileId);
+      } catch (e) {
+        console.error('[PURGE] Release delete failed:', file.fileId, e.message);
+        summary.errors++;
+      }
+    }
+
+    // ★ リリースを削除できたものだけ tombstone にする（失敗分は次回リトライ）
+    if (released.length > 0) {
+      const done = await fileStore.tombstoneFiles(shard.path, released, 'expired');
+      summary.files += done.length;
+      console.log('[PURGE] Files purged from', shard.path, ':', done.length);
+    }
+
+    if (summary.remaining) return;
+  }
+}
+
+async function purgeGroups(now, summary) {
+  for (const shard of await groupStore.shards.readAllShards()) {
+    const expired = shard.items.filter(g => isPurgeable(g, 'groupId', now)).map(g => g.groupId);
+    if (expired.length === 0) continue;
+
+    const done = await groupStore.tombstoneGroups(shard.path, expired, 'expired');
+    summary.groups += done.length;
+    console.log('[PURGE] Groups purged from', shard.path, ':', done.length);
+  }
+}
+
+exports.handler = async () => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (!storage.isConfigured()) {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Server not configured' })
+    };
+  }
+
+  const now = Date.now();
+  const summary = { files: 0, groups: 0, releasesDeleted: 0, errors: 0, remaining: false };
+
+  try {
+    await purgeFiles(now, summary);
+    await purgeGroups(now, summary);
+
+    console.log('[PURGE] Complete:', summary);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, ...summary })
+    };
+  } catch (e) {
+    console.error('[PURGE] Error:', e.message);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: e.message, ...summary })
+    };
+  }
+};
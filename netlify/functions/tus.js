@@ -0,0 +1,382 @@
+/**
+ * netlify/functions/tus.js
+ * ★ tus 1.0 互換の再開可能アップロードエンドポイント
+ *
+ * 対応: core（HEAD / PATCH）, creation, termination, checksum, expiration
+ *
+ *   POST   /.netlify/functions/tus          アップロード作成（Upload-Length, Upload-Metadata）
+ *   HEAD   /.netlify/functions/tus/<id>     現在のオフセットを取得
+ *   PATCH  /.netlify/functions/tus/<id>     データを追記（Upload-Offset, Upload-Checksum）
+ *   DELETE /.netlify/functions/tus/<id>     アップロードを中止
+ *
+ * 受信データは github-upload の upload-chunk と同じチャンクストアに保存し、
+ * 最後の PATCH でリリースアセット作成 → addFileToShardedJson まで行う。
+ * 完了後のレスポンスには Avfile-File-Id / Avfile-Share-Url ヘッダーが付く。
+ * Avfile-Delete-Token は完了させたリクエストのレスポンスにだけ付ける（セッションには保存しない。
+ * HEAD などで、アップロード URL を知っているだけの人に渡さないため）。
+ *
+ * 同じアップロードへの PATCH は 1 件ずつ: セッション情報を条件付きで保存（etag）して「処理中」にできた
+ * リクエストだけが追記し、同じ Upload-Offset の同時 PATCH は 409 にする。
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { getChunkStore } = require('../lib/chunk-store');
+
+const storage = getStorage();
+const fileStore = createFileStore(storage);
+
+// ===================== tus Settings =====================
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,checksum,expiration';
+const TUS_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+const TUS_MAX_SIZE = 100 * 1024 * 1024; // 100MB（ブラウザからのアップロードと同じ上限）
+const UPLOAD_TIMEOUT = 24 * 3600000;    // 24 hours
+const ENDPOINT = '/.netlify/functions/tus';
+const SHARE_BASE_URL = 'https://avfile.io/d/';
+const UPLOAD_ID_PATTERN = /^tus_[a-z0-9_]{1,80}$/;
+const PATCH_LOCK_TIMEOUT = 60 * 1000;   // 処理中の印の有効期間（関数の実行時間の上限より長く）
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, HEAD, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset, Upload-Checksum, X-HTTP-Method-Override, X-Requested-With',
+  'Access-Control-Expose-Headers': 'Location, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Tus-Checksum-Algorithm, Upload-Offset, Upload-Length, Upload-Metadata, Upload-Expires, Avfile-File-Id, Avfile-Share-Url, Avfile-Delete-Token',
+};
+
+// ===================== Utility Functions =====================
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const lower = name.toLowerCase();
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === lower) return headers[key];
+  }
+  return undefined;
+}
+
+function respond(statusCode, extraHeaders = {}, message = '') {
+  return {
+    statusCode,
+    headers: {
+      ...CORS_HEADERS,
+      'Tus-Resumable': TUS_VERSION,
+      'Cache-Control': 'no-store',
+      ...extraHeaders,
+    },
+    body: message,
+  };
+}
+
+function readBody(event) {
+  if (event.isBase64Encoded) {
+    return Buffer.from(event.body || '', 'base64');
+  }
+  if (Buffer.isBuffer(event.body)) {
+    return event.body;
+  }
+  return Buffer.from(event.body || '', 'binary');
+}
+
+/**
+ * Upload-Metadata: "filename d29ybGQ=,filetype dmlkZW8vbXA0"
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of String(header).split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+function uploadIdFromEvent(event) {
+  const url = new URL(event.rawUrl || `http://localhost${event.path || event.rawPath || ''}`);
+  const match = url.pathname.match(/\/tus\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function expiresHeader(session) {
+  return new Date(session.updatedAt + UPLOAD_TIMEOUT).toUTCString();
+}
+
+// ★ index.html と同じく、共有時は元のファイル名を出さずランダム名 + 拡張子にする
+function generateFileName(originalName) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  let name = '';
+  for (let i = 0; i < 7; i++) {
+    name += chars.charAt(crypto.randomInt(chars.length));
+  }
+
+  const parts = String(originalName || '').split('.');
+  const ext = parts.length > 1 ? parts[parts.length - 1].toLowerCase() : '';
+  return /^[a-z0-9]{1,10}$/.test(ext) ? `${name}.${ext}` : `${name}.bin`;
+}
+
+function generateFileId() {
+  return 'f_' + crypto.randomBytes(8).toString('hex').slice(0, 9);
+}
+
+/**
+ * → { session, version } | null（version は条件付き保存用）
+ */
+async function loadSessionVersion(chunkStore, uploadId) {
+  if (!uploadId || !UPLOAD_ID_PATTERN.test(uploadId)) return null;
+
+  const loaded = await chunkStore.getSessionVersion(uploadId);
+  if (!loaded || loaded.session.protocol !== 'tus') return null;
+
+  if (Date.now() - loaded.session.updatedAt > UPLOAD_TIMEOUT) {
+    console.log('[TUS] Removing expired upload:', uploadId);
+    await chunkStore.deleteSession(uploadId);
+    return null;
+  }
+  return loaded;
+}
+
+async function loadSession(chunkStore, uploadId) {
+  const loaded = await loadSessionVersion(chunkStore, uploadId);
+  return loaded ? loaded.session : null;
+}
+
+function isPatchLocked(session) {
+  return Boolean(session.patchLockedAt) && Date.now() - session.patchLockedAt < PATCH_LOCK_TIMEOUT;
+}
+
+// ===================== Completion =====================
+/**
+ * ★ 全データ受信後: チャンクを結合 → リリースアセット作成 → シャードに登録
+ * → { session, deleteToken }（削除トークンはこのレスポンスでだけ返す）
+ */
+async function finishUpload(chunkStore, session) {
+  const chunks = [];
+  for (let i = 0; i < session.chunkCount; i++) {
+    const chunk = await chunkStore.readChunk(session.uploadId, i);
+    if (!chunk) {
+      throw new Error(`Missing stored chunk ${i}`);
+    }
+    chunks.push(chunk);
+  }
+
+  const buffer = Buffer.concat(chunks);
+  if (buffer.length !== session.uploadLength) {
+    throw new Error(`Stored size ${buffer.length} does not match Upload-Length ${session.uploadLength}`);
+  }
+
+  const fileId = generateFileId();
+  const fileName = generateFileName(session.metadata.filename || session.metadata.name);
+  console.log('[TUS] Finishing upload:', { uploadId: session.uploadId, fileId, fileName, size: buffer.length });
+
+  const published = await fileStore.publishFile({ fileId, fileName, buffer });
+
+  session.completed = {
+    fileId: published.fileId,
+    fileName: published.fileName,
+    fileSize: published.fileSize,
+    sha256: published.sha256,
+    shareUrl: `${SHARE_BASE_URL}${published.fileId}`,
+    completedAt: new Date().toISOString(),
+  };
+  session.updatedAt = Date.now();
+  await chunkStore.saveSession(session.uploadId, session);
+  await chunkStore.deleteChunks(session.uploadId);
+
+  return { session, deleteToken: published.deleteToken };
+}
+
+function completedHeaders(session, deleteToken = null) {
+  if (!session.completed) return {};
+  return {
+    'Avfile-File-Id': session.completed.fileId,
+    'Avfile-Share-Url': session.completed.shareUrl,
+    ...(deleteToken ? { 'Avfile-Delete-Token': deleteToken } : {}),
+  };
+}
+
+// ===================== tus Handlers =====================
+async function handleCreate(event, chunkStore) {
+  if (getHeader(event, 'Upload-Defer-Length')) {
+    return respond(400, {}, 'Upload-Defer-Length is not supported');
+  }
+
+  const uploadLength = parseInt(getHeader(event, 'Upload-Length'), 10);
+  if (Number.isNaN(uploadLength) || uploadLength < 0) {
+    return respond(400, {}, 'Invalid Upload-Length');
+  }
+  if (uploadLength > TUS_MAX_SIZE) {
+    return respond(413, { 'Tus-Max-Size': String(TUS_MAX_SIZE) }, 'Upload-Length exceeds Tus-Max-Size');
+  }
+
+  const metadataHeader = getHeader(event, 'Upload-Metadata') || '';
+  const now = Date.now();
+  const uploadId = `tus_${now.toString(36)}_${crypto.randomBytes(8).toString('hex')}`;
+
+  let session = {
+    uploadId,
+    protocol: 'tus',
+    uploadLength,
+    offset: 0,
+    chunkCount: 0,
+    metadata: parseMetadata(metadataHeader),
+    metadataHeader,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await chunkStore.saveSession(uploadId, session);
+  console.log('[TUS] Created upload:', uploadId, 'length:', uploadLength);
+
+  let deleteToken = null;
+  if (uploadLength === 0) {
+    ({ session, deleteToken } = await finishUpload(chunkStore, session));
+  }
+
+  return respond(201, {
+    'Location': `${ENDPOINT}/${uploadId}`,
+    'Upload-Expires': expiresHeader(session),
+    ...completedHeaders(session, deleteToken),
+  });
+}
+
+async function handleHead(event, chunkStore) {
+  const session = await loadSession(chunkStore, uploadIdFromEvent(event));
+  if (!session) {
+    return respond(404);
+  }
+
+  const headers = {
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.uploadLength),
+    'Upload-Expires': expiresHeader(session),
+    ...completedHeaders(session),
+  };
+  if (session.metadataHeader) {
+    headers['Upload-Metadata'] = session.metadataHeader;
+  }
+  return respond(200, headers);
+}
+
+async function handlePatch(event, chunkStore) {
+  const contentType = (getHeader(event, 'Content-Type') || '').split(';')[0].trim();
+  if (contentType !== 'application/offset+octet-stream') {
+    return respond(415, {}, 'Content-Type must be application/offset+octet-stream');
+  }
+
+  const loaded = await loadSessionVersion(chunkStore, uploadIdFromEvent(event));
+  if (!loaded) {
+    return respond(404);
+  }
+  let session = loaded.session;
+
+  const offset = parseInt(getHeader(event, 'Upload-Offset'), 10);
+  if (Number.isNaN(offset) || offset !== session.offset) {
+    return respond(409, { 'Upload-Offset': String(session.offset) }, 'Upload-Offset mismatch');
+  }
+  if (isPatchLocked(session)) {
+    return respond(409, { 'Upload-Offset': String(session.offset) }, 'Another PATCH is in progress');
+  }
+
+  const buffer = readBody(event);
+  if (session.offset + buffer.length > session.uploadLength) {
+    return respond(400, {}, 'Body exceeds Upload-Length');
+  }
+
+  // ★ checksum 拡張: Upload-Checksum: <algorithm> <base64 digest>
+  const checksumHeader = getHeader(event, 'Upload-Checksum');
+  if (checksumHeader) {
+    const [algorithm, expected] = String(checksumHeader).trim().split(' ');
+    if (!TUS_CHECKSUM_ALGORITHMS.includes(algorithm)) {
+      return respond(400, {}, `Unsupported checksum algorithm: ${algorithm}`);
+    }
+    const actual = crypto.createHash(algorithm).update(buffer).digest('base64');
+    if (actual !== expected) {
+      console.warn('[TUS] Checksum mismatch:', session.uploadId, 'at offset', offset);
+      return respond(460, { 'Upload-Offset': String(session.offset) }, 'Checksum Mismatch');
+    }
+  }
+
+  // ★ 読み込んだときのセッションのままなら「処理中」にする。同時に来た PATCH は 1 件だけが通る
+  session.patchLockedAt = Date.now();
+  if (!(await chunkStore.saveSession(session.uploadId, session, { ifMatch: loaded.version }))) {
+    const current = await loadSession(chunkStore, session.uploadId);
+    console.warn('[TUS] Concurrent PATCH rejected:', session.uploadId, 'at offset', offset);
+    return respond(409, { 'Upload-Offset': String(current ? current.offset : session.offset) }, 'Upload-Offset mismatch');
+  }
+
+  let deleteToken = null;
+  try {
+    if (buffer.length > 0) {
+      await chunkStore.saveChunk(session.uploadId, session.chunkCount, buffer);
+      session.chunkCount += 1;
+      session.offset += buffer.length;
+      session.updatedAt = Date.now();
+      console.log('[TUS] Appended', buffer.length, 'bytes:', session.uploadId, session.offset, '/', session.uploadLength);
+    }
+
+    // 完了処理が失敗した場合は、空の PATCH（Upload-Offset = Upload-Length）で再実行できる
+    if (session.offset === session.uploadLength && !session.completed) {
+      ({ session, deleteToken } = await finishUpload(chunkStore, session));
+    }
+  } finally {
+    delete session.patchLockedAt;
+    await chunkStore.saveSession(session.uploadId, session);
+  }
+
+  return respond(204, {
+    'Upload-Offset': String(session.offset),
+    'Upload-Expires': expiresHeader(session),
+    ...completedHeaders(session, deleteToken),
+  });
+}
+
+async function handleDelete(event, chunkStore) {
+  const uploadId = uploadIdFromEvent(event);
+  const session = await loadSession(chunkStore, uploadId);
+  if (!session) {
+    return respond(404);
+  }
+
+  await chunkStore.deleteSession(uploadId);
+  console.log('[TUS] Terminated upload:', uploadId);
+  return respond(204);
+}
+
+// ===================== Main Handler =====================
+exports.handler = async (event) => {
+  try {
+    const method = (getHeader(event, 'X-HTTP-Method-Override') || event.httpMethod || '').toUpperCase();
+    console.log('[TUS] Request:', method, event.path || event.rawUrl);
+
+    if (method === 'OPTIONS') {
+      return respond(204, {
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': TUS_EXTENSIONS,
+        'Tus-Max-Size': String(TUS_MAX_SIZE),
+        'Tus-Checksum-Algorithm': TUS_CHECKSUM_ALGORITHMS.join(','),
+      });
+    }
+
+    if (!storage.isConfigured()) {
+      return respond(500, {}, 'Server not configured');
+    }
+
+    if (getHeader(event, 'Tus-Resumable') !== TUS_VERSION) {
+      return respond(412, { 'Tus-Version': TUS_VERSION }, 'Unsupported Tus-Resumable version');
+    }
+
+    const chunkStore = getChunkStore(event);
+    const hasUploadId = Boolean(uploadIdFromEvent(event));
+
+    if (method === 'POST' && !hasUploadId) return await handleCreate(event, chunkStore);
+    if (method === 'HEAD' && hasUploadId) return await handleHead(event, chunkStore);
+    if (method === 'PATCH' && hasUploadId) return await handlePatch(event, chunkStore);
+    if (method === 'DELETE' && hasUploadId) return await handleDelete(event, chunkStore);
+
+    return respond(405, {}, 'Method not allowed');
+  } catch (e) {
+    console.error('[TUS] Error:', e.message, e.stack);
+    return respond(500, {}, e.message);
+  }
+};
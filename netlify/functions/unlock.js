@@ -0,0 +1,185 @@
+/**
+ * netlify/functions/unlock.js
+ * ★ パスワード保護されたファイル / グループの解除
+ *
+ * POST { id, password } → { success, token, expiresAt }
+ *   id: グループ ID（g_xxx）または fileId（カンマ区切り可）
+ *
+ * パスワードは HTTPS で一度だけ送り、サーバー側で scrypt ハッシュと照合する（lib/passwords.js）。
+ * 返すトークンは短命の署名付きトークンで、view / proxy-download / download に
+ * ?token= または Authorization: Bearer で渡す（lib/tokens.js）。
+ */
+
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { createGroupStore } = require('../lib/groups');
+const { verifyPassword, hashPassword } = require('../lib/passwords');
+const { signAccessToken } = require('../lib/tokens');
+
+const storage = getStorage();
+const fileStore = createFileStore(storage);
+const groupStore = createGroupStore(storage);
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const MAX_IDS = 10;
+const FAILURE_DELAY_MS = 500; // 総当たり対策（scrypt の計算時間に加えて）
+
+function safeJsonParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 旧形式（ソルト無し SHA-256）のハッシュを scrypt に置き換える。失敗しても解除は成功扱い
+ */
+async function upgradeHash(kind, id, oldHash, password) {
+  try {
+    const passwordHash = await hashPassword(password);
+    const mutate = record => (record.passwordHash === oldHash ? { ...record, passwordHash } : null);
+
+    if (kind === 'group') {
+      await groupStore.updateGroup(id, mutate, `Upgrade password hash: ${id}`);
+    } else {
+      await fileStore.updateFileRecord(id, mutate, `Upgrade password hash: ${id}`);
+    }
+    console.log('[UNLOCK] Password hash upgraded:', id);
+  } catch (e) {
+    console.warn('[UNLOCK] Password hash upgrade failed:', id, e.message);
+  }
+}
+
+/**
+ * id → パスワード付きのレコード一覧 [{ kind, id, passwordHash }]
+ */
+async function protectedRecords(idParam) {
+  if (idParam.startsWith('g_')) {
+    const found = await groupStore.findGroup(idParam);
+    if (!found || found.group.deletedAt) return null;
+    return found.group.passwordHash
+      ? [{ kind: 'group', id: found.group.groupId, passwordHash: found.group.passwordHash }]
+      : [];
+  }
+
+  const fileIds = idParam.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+  if (fileIds.length === 0 || fileIds.length > MAX_IDS || !fileIds.every(id => ID_PATTERN.test(id))) {
+    return null;
+  }
+
+  const files = (await fileStore.findFilesById(fileIds, { fresh: true })).filter(f => !f.deletedAt);
+  if (files.length === 0) return null;
+
+  return files
+    .filter(f => f.passwordHash)
+    .map(f => ({ kind: 'file', id: f.fileId, passwordHash: f.passwordHash }));
+}
+
+exports.handler = async (event) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 204,
+      headers: {
+        ...headers,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      },
+      body: ''
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    if (!storage.isConfigured()) {
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Server not configured' })
+      };
+    }
+
+    const { id, password } = safeJsonParse(event.body || '{}', {});
+    const idParam = typeof id === 'string' ? id.trim() : '';
+
+    if (!idParam || typeof password !== 'string' || !password) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Missing id or password' })
+      };
+    }
+
+    console.log('[UNLOCK] Request - id:', idParam);
+
+    const records = await protectedRecords(idParam);
+    if (!records) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Not found' })
+      };
+    }
+
+    if (records.length === 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Not password protected' })
+      };
+    }
+
+    // ★ すべてのレコードのパスワードが一致した場合のみ解除
+    const results = [];
+    for (const record of records) {
+      results.push({ record, ...(await verifyPassword(password, record.passwordHash)) });
+    }
+
+    if (!results.every(r => r.valid)) {
+      console.log('[UNLOCK] Invalid password for', idParam);
+      await sleep(FAILURE_DELAY_MS);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Invalid password', requiresPassword: true })
+      };
+    }
+
+    for (const { record } of results.filter(r => r.needsRehash)) {
+      await upgradeHash(record.kind, record.id, record.passwordHash, password);
+    }
+
+    const { token, expiresAt } = signAccessToken(records.map(r => r.id));
+    console.log('[UNLOCK] Unlocked:', records.map(r => r.id));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, token, expiresAt })
+    };
+  } catch (e) {
+    console.error('[UNLOCK] Error:', e.message);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: e.message })
+    };
+  }
+};
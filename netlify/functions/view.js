@@ -1,98 +1,33 @@
 
-const https = require('https');
-
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const GITHUB_OWNER = process.env.GITHUB_OWNER;
-const GITHUB_REPO = process.env.GITHUB_REPO;
-
-const INDEX_PATH = 'github.index.json';
-const GROUPS_PATH = 'groups.json';
-const SHARD_PREFIX = 'github.';
-const SHARD_SUFFIX = '.json';
-
-function safeJsonParse(s, fallback) {
-  try {
-    return JSON.parse(s);
-  } catch {
-    return fallback;
-  }
-}
-
-function githubApi(method, path, body) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.github.com',
-      path,
-      method,
-      headers: {
-        'Authorization': `token ${GITHUB_TOKEN}`,
-        'User-Agent': 'Netlify',
-        'Accept': 'application/vnd.github+json',
-        'Content-Type': 'application/json',
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => (data += chunk));
-      res.on('end', () => {
-        let json = null;
-        try {
-          json = data ? JSON.parse(data) : {};
-        } catch {}
-
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(json || {});
-        } else {
-          const msg = (json && json.message) ? json.message : data;
-          reject(new Error(`GitHub API Error ${res.statusCode}: ${msg}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    if (body) req.write(JSON.stringify(body));
-    req.end();
-  });
-}
-
-async function getContent(pathInRepo) {
-  const res = await githubApi(
-    'GET',
-    `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(pathInRepo)}`
-  );
-
-  const text = res?.content
-    ? Buffer.from(res.content, 'base64').toString('utf8')
-    : '';
-
-  return {
-    sha: res?.sha || null,
-    text,
-    json: text ? safeJsonParse(text, null) : null,
-  };
-}
+const { getStorage } = require('../lib/storage');
+const { createFileStore } = require('../lib/files');
+const { createGroupStore } = require('../lib/groups');
+const { createFolderStore } = require('../lib/folders');
+const { expiryStatus, expiryMessage } = require('../lib/expiry');
+const { accessTokenGrants, accessTokenFromRequest, signDownloadHandle } = require('../lib/tokens');
+const { getStatsStore } = require('../lib/stats-store');
+const { createStatsRecorder } = require('../lib/stats');
+
+// ★ GitHub / ローカルなどのストレージバックエンド（STORAGE_BACKEND で切り替え）
+const storage = getStorage();
+const fileStore = createFileStore(storage);
+const groupStore = createGroupStore(storage);
+const folderStore = createFolderStore(storage);
 
 // ===================== Group Management =====================
 async function getGroupFileIds(groupId) {
   try {
     console.log('[GROUP] Fetching group:', groupId);
 
-    const { json: groups } = await getContent(GROUPS_PATH);
-    
-    if (!Array.isArray(groups)) {
-      console.warn('[GROUP] Groups file is not an array');
-      return null;
-    }
+    const found = await groupStore.findGroup(groupId);
 
-    const group = groups.find(g => g && g.groupId === groupId);
-    
-    if (!group) {
+    if (!found) {
       console.warn('[GROUP] Group not found:', groupId);
       return null;
     }
 
-    console.log('[GROUP] Found group with', group.fileIds.length, 'files');
+    const group = found.group;
+    console.log('[GROUP] Found group with', group.fileIds.length, 'files in', found.path);
     console.log('[GROUP] fileIds:', group.fileIds);
     return group;
   } catch (e) {
@@ -106,61 +41,11 @@ async function findFilesById(fileIds) {
   console.log('[VIEW] Searching for files:', fileIds);
 
   try {
-    const { json: indexData } = await getContent(INDEX_PATH);
-    
-    if (!indexData || !Array.isArray(indexData.shards)) {
-      console.log('[VIEW] No index found');
-      return [];
-    }
-
-    const shards = indexData.shards || [];
-    console.log('[VIEW] Total shards to search:', shards.length);
-    
-    const foundFilesMap = new Map();  // ★ Mapを使って順序を保持
-
-    // Search through all shards
-    for (const shard of shards) {
-      try {
-        console.log('[VIEW] Reading shard:', shard.path);
-        const { json: shardData } = await getContent(shard.path);
-        
-        if (!Array.isArray(shardData)) {
-          console.warn('[VIEW] Shard is not an array:', shard.path);
-          continue;
-        }
+    // ★ fileId → シャードの検索インデックス経由で 1〜2 回の読み込みで解決（lib/files.js）
+    const foundFiles = await fileStore.findFilesById(fileIds, { fresh: true });
 
-        console.log('[VIEW] Shard contains', shardData.length, 'files');
-
-        // Check each file in shard
-        for (const file of shardData) {
-          if (file && file.fileId && fileIds.includes(file.fileId)) {
-            console.log('[VIEW] Found file in', shard.path, ':', {
-              fileId: file.fileId,
-              fileName: file.fileName,
-              fileSize: file.fileSize,
-              downloadUrl: file.downloadUrl?.substring(0, 60) + '...'
-            });
-            foundFilesMap.set(file.fileId, file);  // ★ Mapに保存
-          }
-        }
-      } catch (e) {
-        console.warn('[VIEW] Error reading shard', shard.path, ':', e.message);
-        continue;
-      }
-    }
-
-    // ★ 元の順序を保持してファイルを取得
-    const foundFiles = [];
     for (const fileId of fileIds) {
-      if (foundFilesMap.has(fileId)) {
-        const file = foundFilesMap.get(fileId);
-        console.log('[VIEW] Returning file:', {
-          fileId: file.fileId,
-          fileName: file.fileName,
-          downloadUrl: file.downloadUrl
-        });
-        foundFiles.push(file);
-      } else {
+      if (!foundFiles.some(f => f.fileId === fileId)) {
         console.warn('[VIEW] File not found in any shard:', fileId);
       }
     }
@@ -175,31 +60,164 @@ async function findFilesById(fileIds) {
 }
 
 // ===================== Password Validation =====================
-function validatePassword(filePasswordHash, providedHash) {
-  if (!filePasswordHash) {
+// ★ パスワードは unlock で照合し、ここでは unlock が発行したアクセストークンだけを確認する
+// （保存済みのハッシュを直接渡しても解除できない）
+function validateAccess(record, id, accessToken) {
+  if (!record.passwordHash) {
     return { valid: true, message: 'OK' };
   }
 
-  if (!providedHash) {
+  if (!accessToken) {
     return { valid: false, message: 'Password required' };
   }
 
-  if (filePasswordHash === providedHash) {
+  if (accessTokenGrants(accessToken, id)) {
     return { valid: true, message: 'OK' };
   }
 
-  return { valid: false, message: 'Invalid password' };
+  return { valid: false, message: 'Invalid or expired access token' };
+}
+
+// ===================== Expiry =====================
+/**
+ * 削除済み・期限切れ・ダウンロード上限のレコード → 410 の理由（有効なら null）
+ */
+function goneReason(record) {
+  if (record.deletedAt) return 'deleted';
+  return expiryStatus(record);
+}
+
+function goneResponse(headers, reason) {
+  return {
+    statusCode: 410,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: reason === 'deleted' ? 'File deleted' : expiryMessage(reason),
+      reason,
+      deleted: reason === 'deleted',
+      expired: reason !== 'deleted'
+    })
+  };
+}
+
+// ===================== Folder View =====================
+/**
+ * 公開用のファイル（パスワード付きはハンドルを出さず、/d/<fileId> で解除してもらう）
+ */
+function folderFileEntry(file) {
+  const { passwordHash, deleteTokenHash, downloadUrl, ...clean } = file;
+  if (passwordHash) {
+    return { fileId: file.fileId, fileName: file.fileName, fileSize: file.fileSize || 0, requiresPassword: true };
+  }
+  const handle = signDownloadHandle({ fileId: file.fileId, groupId: null });
+  return {
+    ...clean,
+    sha256: clean.sha256 || null,
+    downloadHandle: handle.token,
+    downloadHandleExpiresAt: handle.expiresAt
+  };
+}
+
+/**
+ * カバー画像（有効でパスワードの無いファイルのみ）→ { fileId, fileName, downloadHandle } | null
+ */
+function coverEntry(fileId, filesById) {
+  const file = fileId ? filesById.get(fileId) : null;
+  if (!file || goneReason(file) || file.passwordHash) return null;
+  const { fileName, downloadHandle, downloadHandleExpiresAt } = folderFileEntry(file);
+  return { fileId, fileName, downloadHandle, downloadHandleExpiresAt };
+}
+
+/**
+ * ★ /d/<folderId>: パンくず・子フォルダ・グループ・ファイルを 1 回で返す
+ * グループは getGroupFileIds、ファイルとカバー画像は findFilesById で解決する。
+ * 削除済み・期限切れの中身は表示しない。
+ */
+async function folderResponse(folderId, headers) {
+  const found = await folderStore.findFolder(folderId);
+  if (!found) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Folder not found' })
+    };
+  }
+  const folder = found.folder;
+  if (folder.deletedAt) {
+    return goneResponse(headers, 'deleted');
+  }
+
+  const ancestors = await folderStore.getAncestors(folder);
+  const subfolders = [];
+  const foundFolders = await folderStore.findFolders(folder.folderIds || []);
+  for (const childId of folder.folderIds || []) {
+    const child = foundFolders.get(childId);
+    if (child && !child.folder.deletedAt) subfolders.push(child.folder);
+  }
+
+  const groups = [];
+  for (const groupId of folder.groupIds || []) {
+    const group = await getGroupFileIds(groupId);
+    if (group && !goneReason(group)) groups.push(group);
+  }
+
+  // ★ フォルダのファイル・カバー画像をまとめて 1 回で検索
+  const coverIds = [folder.coverFileId, ...subfolders.map(f => f.coverFileId)].filter(Boolean);
+  const lookupIds = [...new Set([...(folder.fileIds || []), ...coverIds])];
+  const files = lookupIds.length ? await findFilesById(lookupIds) : [];
+  const filesById = new Map(files.map(f => [f.fileId, f]));
+
+  const liveFiles = (folder.fileIds || [])
+    .map(id => filesById.get(id))
+    .filter(f => f && !goneReason(f));
+
+  console.log('[VIEW] Folder', folderId, '- folders:', subfolders.length, 'groups:', groups.length, 'files:', liveFiles.length);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      folder: {
+        folderId: folder.folderId,
+        name: folder.name,
+        description: folder.description || null,
+        cover: coverEntry(folder.coverFileId, filesById),
+        createdAt: folder.createdAt || null,
+        updatedAt: folder.updatedAt || null
+      },
+      // ルート → 現在のフォルダ
+      breadcrumbs: [...ancestors, folder].map(f => ({ folderId: f.folderId, name: f.name })),
+      folders: subfolders.map(f => ({
+        folderId: f.folderId,
+        name: f.name,
+        description: f.description || null,
+        cover: coverEntry(f.coverFileId, filesById),
+        itemCount: (f.fileIds || []).length + (f.groupIds || []).length + (f.folderIds || []).length
+      })),
+      groups: groups.map(g => ({
+        groupId: g.groupId,
+        title: g.title || null,
+        description: g.description || null,
+        fileCount: g.fileIds.length,
+        hasPassword: Boolean(g.passwordHash)
+      })),
+      files: liveFiles.map(folderFileEntry)
+    })
+  };
 }
 
 // ===================== Main Handler =====================
 exports.handler = async (event) => {
   const headers = {
     'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*'
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store' // ダウンロードハンドルは期限付き
   };
 
   try {
-    if (!GITHUB_TOKEN || !GITHUB_OWNER || !GITHUB_REPO) {
+    if (!storage.isConfigured()) {
       return {
         statusCode: 500,
         headers,
@@ -209,9 +227,9 @@ exports.handler = async (event) => {
 
     const url = new URL(event.rawUrl || `http://localhost${event.rawPath || ''}`);
     const idParam = url.searchParams.get('id');
-    const pwdParam = url.searchParams.get('pwd');
+    const accessToken = accessTokenFromRequest(event.headers || {}, url.searchParams.get('token'));
 
-    console.log('[VIEW] Request - id:', idParam, 'pwd:', pwdParam ? '***' : 'none');
+    console.log('[VIEW] Request - id:', idParam, 'token:', accessToken ? '***' : 'none');
 
     if (!idParam) {
       return {
@@ -221,8 +239,15 @@ exports.handler = async (event) => {
       };
     }
 
+    // ===================== Handle Folder ID (d_xxxxx) =====================
+    if (idParam.startsWith('d_')) {
+      console.log('[VIEW] Processing folder ID:', idParam);
+      return await folderResponse(idParam, headers);
+    }
+
     // ===================== Handle Group ID (g_xxxxx) =====================
     let fileIds = [];
+    let viewGroup = null;
 
     if (idParam.startsWith('g_')) {
       console.log('[VIEW] Processing group ID:', idParam);
@@ -236,13 +261,21 @@ exports.handler = async (event) => {
         };
       }
 
+      // ★ 削除済み・期限切れ・ダウンロード上限のグループは 410
+      const groupGone = goneReason(group);
+      if (groupGone) {
+        console.log('[VIEW] Group is gone:', idParam, groupGone);
+        return goneResponse(headers, groupGone);
+      }
+
+      viewGroup = group;
       fileIds = group.fileIds;
       console.log('[VIEW] Group contains', fileIds.length, 'files:', fileIds);
 
       // Check group-level password protection
       if (group.passwordHash) {
-        const validation = validatePassword(group.passwordHash, pwdParam);
-        
+        const validation = validateAccess(group, group.groupId, accessToken);
+
         if (!validation.valid && validation.message === 'Password required') {
           return {
             statusCode: 403,
@@ -256,15 +289,15 @@ exports.handler = async (event) => {
           };
         }
 
-        if (!validation.valid && validation.message === 'Invalid password') {
+        if (!validation.valid) {
           return {
             statusCode: 403,
             headers,
             body: JSON.stringify({
               success: false,
-              error: 'Invalid password',
+              error: validation.message,
               requiresPassword: true,
-              message: 'Invalid password'
+              message: validation.message
             })
           };
         }
@@ -292,11 +325,20 @@ exports.handler = async (event) => {
       };
     }
 
+    // ===================== Deleted / Expired Files =====================
+    // ★ delete-file で削除されたレコード（tombstone）・期限切れ・ダウンロード上限は 410 Gone
+    // （ウォームなインスタンスではシャードのキャッシュ分、最大 1 分ほど反映が遅れる）
+    const liveFiles = files.filter(f => !goneReason(f));
+    if (liveFiles.length === 0) {
+      console.log('[VIEW] All requested files are gone:', fileIds);
+      return goneResponse(headers, goneReason(files[0]));
+    }
+
     // ===================== Validate Passwords =====================
-    const filesWithPasswordCheck = files.map(file => {
+    const filesWithPasswordCheck = liveFiles.map(file => {
       if (file.passwordHash && !idParam.startsWith('g_')) {
-        const validation = validatePassword(file.passwordHash, pwdParam);
-        
+        const validation = validateAccess(file, file.fileId, accessToken);
+
         if (!validation.valid) {
           return { ...file, passwordError: validation.message };
         }
@@ -322,37 +364,49 @@ exports.handler = async (event) => {
       };
     }
 
-    // Check for invalid passwords
-    const invalidPassword = filesWithPasswordCheck.find(f => f.passwordError === 'Invalid password');
+    // Check for invalid / expired access tokens
+    const invalidToken = filesWithPasswordCheck.find(f => f.passwordError);
     
-    if (invalidPassword) {
-      console.log('[VIEW] Invalid password for', invalidPassword.fileId);
+    if (invalidToken) {
+      console.log('[VIEW] Invalid access token for', invalidToken.fileId);
       return {
         statusCode: 403,
         headers,
         body: JSON.stringify({
           success: false,
-          error: 'Invalid password',
+          error: invalidToken.passwordError,
           requiresPassword: true,
-          message: 'Invalid password'
+          message: invalidToken.passwordError
         })
       };
     }
 
     // ===================== Clean and Return =====================
+    // ★ アセットの URL（downloadUrl）は返さず、proxy-download / download だけが使える
+    // 署名付き・期限付きのハンドルに置き換える（解除後に URL が出回るのを防ぐ）
     const cleanFiles = filesWithPasswordCheck.map(f => {
-      const { passwordHash, passwordError, ...clean } = f;
-      return clean;
+      const { passwordHash, deleteTokenHash, passwordError, downloadUrl, ...clean } = f;
+      const handle = signDownloadHandle({ fileId: f.fileId, groupId: viewGroup ? viewGroup.groupId : null });
+      return {
+        ...clean,
+        // ★ ダウンロード側で検証できるよう SHA-256 を常に返す（古いレコードは null）
+        sha256: clean.sha256 || null,
+        downloadHandle: handle.token,
+        downloadHandleExpiresAt: handle.expiresAt
+      };
     });
 
     console.log('[VIEW] Returning', cleanFiles.length, 'files');
+
+    // ★ 閲覧数を記録（レスポンスは記録を待たない。失敗しても表示は続ける）
+    createStatsRecorder(getStatsStore(event)).recordViews(cleanFiles.map(f => f.fileId), event.headers);
     
     // ★ 返すファイル情報を詳細ログ
     cleanFiles.forEach((f, idx) => {
       console.log('[VIEW] Response file[' + idx + ']:', {
         fileId: f.fileId,
         fileName: f.fileName,
-        downloadUrl: f.downloadUrl?.substring(0, 80) + '...'
+        handleExpiresAt: f.downloadHandleExpiresAt
       });
     });
 
@@ -361,7 +415,16 @@ exports.handler = async (event) => {
       headers,
       body: JSON.stringify({
         success: true,
-        files: cleanFiles
+        files: cleanFiles,
+        // ★ グループの期限・回数制限（download に group を渡して数える）
+        group: viewGroup ? {
+          groupId: viewGroup.groupId,
+          title: viewGroup.title || null,             // ★ update-group で設定
+          description: viewGroup.description || null,
+          expiresAt: viewGroup.expiresAt || null,
+          maxDownloads: viewGroup.maxDownloads || null,
+          downloadCount: viewGroup.downloadCount || 0
+        } : null
       })
     };
   } catch (e) {
@@ -0,0 +1,70 @@
+/**
+ * netlify/lib/asset-fetch.js
+ * ★ proxy-download / download 共通のアセット取得
+ *
+ * 取得するのはストレージのリリースアセット（storage.isAssetUrl）だけで、
+ * リダイレクトも storage.isAssetRedirect を満たす先にしか辿らない。
+ * クライアントから受け取った URL をそのまま取得しない（SSRF / オープンプロキシ対策）。
+ */
+
+const http = require('http');
+const https = require('https');
+
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Avfile-Proxy/1.0';
+
+function forbidden(message) {
+  const err = new Error(message);
+  err.statusCode = 403;
+  return err;
+}
+
+function requestOnce(url, { method, headers, timeout }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'http:' ? http : https;
+    const req = client.request(url, {
+      method,
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+      timeout
+    }, resolve);
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error(`${method} request timeout`));
+    });
+    req.end();
+  });
+}
+
+/**
+ * アセットを開く → http.IncomingMessage（リダイレクトは解決済み。本文は呼び出し側で読む）
+ * options: { method = 'GET', headers = {}, timeout = 30000 }
+ */
+async function openAsset(storage, assetUrl, { method = 'GET', headers = {}, timeout = 30000 } = {}) {
+  if (!storage.isAssetUrl(assetUrl)) {
+    throw forbidden('Asset URL is not allowed');
+  }
+
+  let url = new URL(assetUrl);
+  for (let redirects = 0; ; redirects++) {
+    const res = await requestOnce(url, { method, headers, timeout });
+
+    if (res.statusCode < 300 || res.statusCode >= 400 || !res.headers.location) {
+      return res;
+    }
+
+    res.resume();
+    if (redirects >= MAX_REDIRECTS) {
+      throw forbidden('Too many redirects');
+    }
+
+    const next = new URL(res.headers.location, url);
+    if (!storage.isAssetRedirect(next.href)) {
+      console.warn('[ASSET] Blocked redirect to:', next.hostname);
+      throw forbidden('Redirect target is not allowed');
+    }
+    url = next;
+  }
+}
+
+module.exports = { openAsset, MAX_REDIRECTS };
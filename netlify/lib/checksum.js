@@ -0,0 +1,36 @@
+/**
+ * netlify/lib/checksum.js
+ * ★ SHA-256 による整合性チェック（チャンク・ファイル全体）
+ *
+ * クライアントは 16 進小文字の SHA-256 を送る（X-Chunk-Sha256 / X-File-Sha256 / sha256）。
+ * 確定したファイル全体のダイジェストはシャードのレコードに sha256 として保存し、view で返す。
+ */
+
+const crypto = require('crypto');
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * 16 進の SHA-256 を正規化（不正な値は null）
+ */
+function normalizeSha256(value) {
+  if (!value) return null;
+  const hex = String(value).trim().toLowerCase();
+  return SHA256_PATTERN.test(hex) ? hex : null;
+}
+
+/**
+ * expected が指定されていれば buffer と照合する
+ * → { ok, actual, expected }（expected が無い場合は常に ok）
+ */
+function verifySha256(buffer, expected) {
+  const actual = sha256Hex(buffer);
+  const normalized = normalizeSha256(expected);
+  return { ok: !normalized || normalized === actual, actual, expected: normalized };
+}
+
+module.exports = { sha256Hex, normalizeSha256, verifySha256, SHA256_PATTERN };
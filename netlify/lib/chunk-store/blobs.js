@@ -0,0 +1,73 @@
+/**
+ * netlify/lib/chunk-store/blobs.js
+ * ★ Netlify Blobs を使うチャンクセッションストア
+ *
+ * どのインスタンスにチャンクが届いても同じセッションを参照できる。
+ *   <uploadId>/session        セッション情報（JSON）
+ *   <uploadId>/chunk_000001   チャンク本体
+ */
+
+const STORE_NAME = 'avfile-upload-chunks';
+
+function chunkKey(uploadId, index) {
+  return `${uploadId}/chunk_${String(index).padStart(6, '0')}`;
+}
+
+function createBlobsChunkStore({ event, name = STORE_NAME } = {}) {
+  // @netlify/blobs は Netlify 上でのみ必要なので遅延読み込み
+  const { getStore, connectLambda } = require('@netlify/blobs');
+  if (event && event.blobs) {
+    connectLambda(event);
+  }
+  const store = getStore({ name, consistency: 'strong' });
+
+  async function getSession(uploadId) {
+    return (await store.get(`${uploadId}/session`, { type: 'json' })) || null;
+  }
+
+  async function getSessionVersion(uploadId) {
+    const res = await store.getWithMetadata(`${uploadId}/session`, { type: 'json' });
+    return res && res.data ? { session: res.data, version: res.etag } : null;
+  }
+
+  // ★ ifMatch: 読み込んだときの etag と一致する場合だけ保存（同時 PATCH の後勝ちを防ぐ）
+  async function saveSession(uploadId, session, { ifMatch = null } = {}) {
+    const res = await store.setJSON(`${uploadId}/session`, session, ifMatch ? { onlyIfMatch: ifMatch } : {});
+    return !res || res.modified !== false;
+  }
+
+  async function saveChunk(uploadId, index, buffer) {
+    await store.set(chunkKey(uploadId, index), buffer);
+  }
+
+  async function readChunk(uploadId, index) {
+    const data = await store.get(chunkKey(uploadId, index), { type: 'arrayBuffer' });
+    return data ? Buffer.from(data) : null;
+  }
+
+  async function listChunks(uploadId) {
+    const { blobs } = await store.list({ prefix: `${uploadId}/chunk_` });
+    return blobs
+      .map(b => parseInt(b.key.split('chunk_')[1], 10))
+      .filter(n => !Number.isNaN(n))
+      .sort((a, b) => a - b);
+  }
+
+  async function deleteChunks(uploadId) {
+    const { blobs } = await store.list({ prefix: `${uploadId}/chunk_` });
+    for (const blob of blobs) {
+      await store.delete(blob.key);
+    }
+  }
+
+  async function deleteSession(uploadId) {
+    const { blobs } = await store.list({ prefix: `${uploadId}/` });
+    for (const blob of blobs) {
+      await store.delete(blob.key);
+    }
+  }
+
+  return { name: 'blobs', getSession, getSessionVersion, saveSession, saveChunk, readChunk, listChunks, deleteChunks, deleteSession };
+}
+
+module.exports = { createBlobsChunkStore };
@@ -0,0 +1,38 @@
+/**
+ * netlify/lib/chunk-store/index.js
+ * ★ チャンクアップロードのセッション保存先の切り替え
+ *
+ * CHUNK_STORE 環境変数で選択する
+ *   - blobs: Netlify Blobs（本番。インスタンスをまたいでセッションを共有）
+ *   - local: ローカルディスク（LOCAL_CHUNK_DIR）
+ * 未指定の場合は STORAGE_BACKEND=local なら local、それ以外は blobs。
+ *
+ * すべてのストアは以下のインターフェースを実装する:
+ *   getSession(uploadId)               -> セッション情報 | null
+ *   getSessionVersion(uploadId)        -> { session, version } | null（version は条件付き保存用）
+ *   saveSession(uploadId, session, { ifMatch })
+ *                                      -> 保存できたか（ifMatch の version と一致しない場合は保存せず false）
+ *   saveChunk(uploadId, index, buffer)
+ *   readChunk(uploadId, index)         -> Buffer | null
+ *   listChunks(uploadId)               -> 受信済みチャンク番号（昇順）
+ *   deleteChunks(uploadId)             -> チャンクのみ削除（セッション情報は残す）
+ *   deleteSession(uploadId)
+ */
+
+const { createBlobsChunkStore } = require('./blobs');
+const { createLocalChunkStore } = require('./local');
+
+function getChunkStore(event) {
+  const defaultStore = (process.env.STORAGE_BACKEND || '').toLowerCase() === 'local' ? 'local' : 'blobs';
+  const name = (process.env.CHUNK_STORE || defaultStore).toLowerCase();
+
+  if (name === 'local') {
+    return createLocalChunkStore({ root: process.env.LOCAL_CHUNK_DIR });
+  }
+  if (name === 'blobs') {
+    return createBlobsChunkStore({ event });
+  }
+  throw new Error(`Unknown CHUNK_STORE: ${name}`);
+}
+
+module.exports = { getChunkStore };
@@ -0,0 +1,100 @@
+/**
+ * netlify/lib/chunk-store/local.js
+ * ★ ローカルディスクを使うチャンクセッションストア（開発・テスト用）
+ *
+ *   <root>/<uploadId>/session.json
+ *   <root>/<uploadId>/chunk_000001
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function createLocalChunkStore({ root } = {}) {
+  const baseDir = root || path.join(os.tmpdir(), 'avfile-chunks');
+
+  function sessionDir(uploadId) {
+    // uploadId はクライアントから来るのでディレクトリ名として安全な文字だけ許可
+    if (!/^[A-Za-z0-9_-]+$/.test(String(uploadId))) {
+      throw new Error(`Invalid uploadId: ${uploadId}`);
+    }
+    return path.join(baseDir, uploadId);
+  }
+
+  function chunkFile(uploadId, index) {
+    return path.join(sessionDir(uploadId), `chunk_${String(index).padStart(6, '0')}`);
+  }
+
+  function sessionFile(uploadId) {
+    return path.join(sessionDir(uploadId), 'session.json');
+  }
+
+  function versionOf(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  async function getSession(uploadId) {
+    const loaded = await getSessionVersion(uploadId);
+    return loaded ? loaded.session : null;
+  }
+
+  async function getSessionVersion(uploadId) {
+    const file = sessionFile(uploadId);
+    if (!fs.existsSync(file)) return null;
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      return { session: JSON.parse(text), version: versionOf(text) };
+    } catch {
+      return null;
+    }
+  }
+
+  // ★ 読み込み → 比較 → 書き込みは同期処理なので、同じプロセス内では割り込まれない
+  async function saveSession(uploadId, session, { ifMatch = null } = {}) {
+    const file = sessionFile(uploadId);
+    if (ifMatch) {
+      const current = fs.existsSync(file) ? versionOf(fs.readFileSync(file, 'utf8')) : null;
+      if (current !== ifMatch) return false;
+    }
+    fs.mkdirSync(sessionDir(uploadId), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(session));
+    return true;
+  }
+
+  async function saveChunk(uploadId, index, buffer) {
+    fs.mkdirSync(sessionDir(uploadId), { recursive: true });
+    // 途中で落ちても壊れたチャンクが残らないように一時ファイル経由で書く
+    const file = chunkFile(uploadId, index);
+    fs.writeFileSync(`${file}.tmp`, buffer);
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  async function readChunk(uploadId, index) {
+    const file = chunkFile(uploadId, index);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+
+  async function listChunks(uploadId) {
+    const dir = sessionDir(uploadId);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => /^chunk_\d+$/.test(name))
+      .map(name => parseInt(name.slice(6), 10))
+      .sort((a, b) => a - b);
+  }
+
+  async function deleteChunks(uploadId) {
+    for (const index of await listChunks(uploadId)) {
+      fs.rmSync(chunkFile(uploadId, index), { force: true });
+    }
+  }
+
+  async function deleteSession(uploadId) {
+    fs.rmSync(sessionDir(uploadId), { recursive: true, force: true });
+  }
+
+  return { name: 'local', getSession, getSessionVersion, saveSession, saveChunk, readChunk, listChunks, deleteChunks, deleteSession };
+}
+
+module.exports = { createLocalChunkStore };
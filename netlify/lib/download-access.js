@@ -0,0 +1,134 @@
+/**
+ * netlify/lib/download-access.js
+ * ★ proxy-download / download / download-group 共通のアクセスチェック
+ *
+ * handle（view が発行した署名付きダウンロードハンドル）または fileId からシャードのレコードを引き、
+ * 削除済み・期限切れ・ダウンロード回数上限を確認する。
+ * 取得する URL はレコードの downloadUrl のみで、このストレージのアセット（storage.isAssetUrl）に限る。
+ * group を指定した場合はグループ側の期限・回数制限も確認する。
+ * パスワード付きのファイル / グループは unlock が発行したアクセストークンが必要
+ * （ハンドルは view での確認後に発行されるので、ハンドルがあればトークンは不要）。
+ */
+
+const { expiryStatus, expiryMessage } = require('./expiry');
+const { accessTokenGrants, verifyDownloadHandle } = require('./tokens');
+
+function deny(status, error, reason = null) {
+  return { ok: false, status, error, reason };
+}
+
+function checkRecord(record, label) {
+  if (record.deletedAt) return deny(410, `${label} deleted`, 'deleted');
+  const status = expiryStatus(record);
+  if (status) return deny(410, expiryMessage(status), status);
+  return null;
+}
+
+/**
+ * → { ok: true, file, group, downloadUrl } | { ok: false, status, error, reason }
+ *
+ * consume: true のとき maxDownloads が付いたファイル・グループのダウンロード回数を 1 増やす
+ */
+async function checkDownloadAccess({ fileId, groupId, token, handle }, { fileStore, groupStore, storage, consume = false }) {
+  let unlocked = false;
+  if (handle) {
+    const resolved = verifyDownloadHandle(handle);
+    if (!resolved) return deny(403, 'Invalid or expired download handle', 'handle');
+    ({ fileId, groupId } = resolved);
+    unlocked = true;
+  }
+
+  if (!fileId) {
+    return deny(400, 'Missing handle or fileId parameter');
+  }
+
+  let [file] = await fileStore.findFilesById([fileId], { fresh: true });
+  if (!file) return deny(404, 'File not found');
+
+  const denied = checkRecord(file, 'File');
+  if (denied) return denied;
+
+  // ★ レコードの URL もクライアントが登録したものなので、取得前にアセットの URL か確認する
+  if (!storage.isAssetUrl(file.downloadUrl)) {
+    console.warn('[ACCESS] Record has a non-asset downloadUrl:', file.fileId);
+    return deny(403, 'Asset URL is not allowed', 'asset');
+  }
+
+  let group = null;
+  if (groupId) {
+    const found = await groupStore.findGroup(groupId);
+    if (!found) return deny(404, 'Group not found');
+    group = found.group;
+
+    const denied = checkRecord(group, 'Group');
+    if (denied) return denied;
+
+    if (!(group.fileIds || []).includes(file.fileId)) {
+      return deny(400, 'File is not part of this group');
+    }
+
+    if (group.passwordHash && !unlocked && !accessTokenGrants(token, group.groupId)) {
+      return deny(403, 'Password required', 'password');
+    }
+  }
+
+  // ★ パスワード付きファイルはファイル自身か、それを含むグループのトークンが必要
+  if (file.passwordHash && !unlocked) {
+    const granted = accessTokenGrants(token, file.fileId) || (group && accessTokenGrants(token, group.groupId));
+    if (!granted) return deny(403, 'Password required', 'password');
+  }
+
+  if (consume) {
+    if (file.maxDownloads) {
+      const res = await fileStore.consumeDownload(file.fileId);
+      if (!res.allowed) return deny(410, expiryMessage(res.status), res.status);
+      file = res.record;
+    }
+    if (group && group.maxDownloads) {
+      const res = await groupStore.consumeDownload(group.groupId);
+      if (!res.allowed) return deny(410, expiryMessage(res.status), res.status);
+      group = res.group;
+    }
+  }
+
+  return { ok: true, file, group, downloadUrl: file.downloadUrl };
+}
+
+/**
+ * ★ グループ全体へのアクセス（download-group 用。view と同じ確認）
+ * → { ok: true, group } | { ok: false, status, error, reason }
+ */
+async function checkGroupAccess({ groupId, token }, { groupStore }) {
+  const found = await groupStore.findGroup(groupId);
+  if (!found) return deny(404, 'Group not found');
+  const group = found.group;
+
+  const denied = checkRecord(group, 'Group');
+  if (denied) return denied;
+
+  if (group.passwordHash && !accessTokenGrants(token, group.groupId)) {
+    return deny(403, 'Password required', 'password');
+  }
+
+  return { ok: true, group };
+}
+
+/**
+ * maxDownloads が付いたグループのダウンロード回数を 1 増やす
+ * → { ok: true, group } | { ok: false, status, error, reason }
+ */
+async function consumeGroupDownload(group, { groupStore }) {
+  if (!group.maxDownloads) return { ok: true, group };
+  const res = await groupStore.consumeDownload(group.groupId);
+  if (!res.allowed) return deny(410, expiryMessage(res.status), res.status);
+  return { ok: true, group: res.group };
+}
+
+/**
+ * ファイル単体の状態（削除済み・期限切れ・回数上限）→ 拒否理由 | null
+ */
+function fileDenial(file) {
+  return checkRecord(file, 'File');
+}
+
+module.exports = { checkDownloadAccess, checkGroupAccess, consumeGroupDownload, fileDenial };
@@ -0,0 +1,83 @@
+/**
+ * netlify/lib/expiry.js
+ * ★ 期限付きリンク（expiresAt）とダウンロード回数制限（maxDownloads）
+ *
+ * ファイルレコード・グループの両方に付けられる:
+ *   expiresAt       ISO 文字列。これを過ぎると view / proxy-download / download は 410
+ *   maxDownloads    download で数えた回数（downloadCount）がこの値に達すると 410
+ *
+ * 期限切れ・上限到達のレコードは purge-expired（スケジュール実行）がリリースごと削除する。
+ */
+
+const MAX_EXPIRY_MS = 365 * 24 * 3600000; // 1 year
+const MAX_DOWNLOADS_LIMIT = 1000000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * クライアントの指定（expiresAt / expiresIn 秒 / maxDownloads）を検証して
+ * レコードに保存するフィールドだけを返す（未指定の項目は含まない）
+ */
+function normalizeExpiry(input = {}, now = Date.now()) {
+  const result = {};
+
+  let expiresAtMs = null;
+  if (input.expiresAt) {
+    expiresAtMs = Date.parse(input.expiresAt);
+    if (Number.isNaN(expiresAtMs)) throw badRequest('Invalid expiresAt');
+  } else if (input.expiresIn !== undefined && input.expiresIn !== null && input.expiresIn !== '') {
+    const seconds = Number(input.expiresIn);
+    if (!Number.isFinite(seconds) || seconds <= 0) throw badRequest('Invalid expiresIn');
+    expiresAtMs = now + seconds * 1000;
+  }
+
+  if (expiresAtMs !== null) {
+    if (expiresAtMs <= now) throw badRequest('expiresAt must be in the future');
+    if (expiresAtMs - now > MAX_EXPIRY_MS) throw badRequest('expiresAt is too far in the future');
+    result.expiresAt = new Date(expiresAtMs).toISOString();
+  }
+
+  if (input.maxDownloads !== undefined && input.maxDownloads !== null && input.maxDownloads !== '') {
+    const max = Number(input.maxDownloads);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_DOWNLOADS_LIMIT) {
+      throw badRequest('maxDownloads must be an integer between 1 and ' + MAX_DOWNLOADS_LIMIT);
+    }
+    result.maxDownloads = max;
+    result.downloadCount = 0;
+  }
+
+  return result;
+}
+
+/**
+ * → null（有効） | 'expired' | 'download-limit'
+ */
+function expiryStatus(record, now = Date.now()) {
+  if (!record) return null;
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) return 'expired';
+  if (record.maxDownloads && (record.downloadCount || 0) >= record.maxDownloads) return 'download-limit';
+  return null;
+}
+
+const EXPIRY_MESSAGES = {
+  'expired': 'Link expired',
+  'download-limit': 'Download limit reached',
+  'deleted': 'File deleted',
+  'not-found': 'File not found',
+};
+
+function expiryMessage(status) {
+  return EXPIRY_MESSAGES[status] || 'Link expired';
+}
+
+module.exports = {
+  normalizeExpiry,
+  expiryStatus,
+  expiryMessage,
+  MAX_EXPIRY_MS,
+  MAX_DOWNLOADS_LIMIT,
+};
@@ -0,0 +1,443 @@
+/**
+ * netlify/lib/files.js
+ * ★ ファイルレコード（f_xxx）の保存・検索
+ *
+ * github.index.json + github.NNNN.json にシャード分割して保存し、
+ * github.lookup.<bucket>.json で fileId → シャードを引く。
+ * github-upload / view / tus など複数の関数から共通で使う。
+ */
+
+const { withConflictRetry } = require('./storage');
+const { sha256Hex, normalizeSha256 } = require('./checksum');
+const { generateToken, hashToken } = require('./tokens');
+const { normalizeExpiry, expiryStatus } = require('./expiry');
+const { createShardSet } = require('./shards');
+const { createFileLookup, rebuildLookup } = require('./lookup');
+
+const INDEX_PATH = 'github.index.json';
+const SHARD_PREFIX = 'github.';
+const SHARD_CACHE_TTL = 60 * 1000; // 1 minute
+
+// ★ delete-file / view などと同じ ID の形式（これ以外の ID で登録すると削除・所有できなくなる）
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const MAX_FILE_NAME_LENGTH = 255;
+
+// ★ クライアント側で暗号化されたアセット（js/file-crypto.js）。鍵はサーバーに届かない
+const ENCRYPTION_SCHEMES = ['avfe-1'];
+const ENCRYPTION_KEY_SOURCES = ['fragment', 'password'];
+
+/**
+ * ★ 既に使われている fileId（別のシャードにあるものも含む）で登録しようとした場合のエラー
+ */
+function duplicateFileError(fileId) {
+  const err = new Error(`File already exists: ${fileId}`);
+  err.statusCode = 409;
+  err.code = 'DUPLICATE_ID';
+  return err;
+}
+
+function badRecord(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * fileId / fileName / fileSize を検証（不正な値は statusCode 400。レコードを書く前に呼ぶ）
+ */
+function normalizeFileFields({ fileId, fileName, fileSize }) {
+  if (typeof fileId !== 'string' || !FILE_ID_PATTERN.test(fileId)) {
+    throw badRecord('fileId must be 1-100 characters of A-Z, a-z, 0-9, _ or -');
+  }
+  if (typeof fileName !== 'string' || !fileName.trim() || fileName.length > MAX_FILE_NAME_LENGTH || /[\u0000-\u001f\u007f]/.test(fileName)) {
+    throw badRecord(`fileName must be 1-${MAX_FILE_NAME_LENGTH} characters without control characters`);
+  }
+  const size = Number(fileSize);
+  if (!Number.isSafeInteger(size) || size < 0) {
+    throw badRecord('fileSize must be a non-negative integer');
+  }
+  return { fileId, fileName, fileSize: size };
+}
+
+/**
+ * encryption: { scheme, keySource } を検証（未指定は null、不正な値は statusCode 400）
+ */
+function normalizeEncryption(encryption) {
+  if (!encryption) return null;
+
+  if (!ENCRYPTION_SCHEMES.includes(encryption.scheme) || !ENCRYPTION_KEY_SOURCES.includes(encryption.keySource)) {
+    const err = new Error('Invalid encryption metadata');
+    err.statusCode = 400;
+    throw err;
+  }
+  return { scheme: encryption.scheme, keySource: encryption.keySource };
+}
+
+function createFileStore(storage) {
+  const shards = createShardSet(storage, {
+    indexPath: INDEX_PATH,
+    prefix: SHARD_PREFIX,
+    label: 'INDEX',
+  });
+  const lookup = createFileLookup(storage);
+
+  // ★ ウォームなインスタンスではシャードの読み込み結果を再利用する
+  const shardCache = new Map();
+
+  // ===================== Write =====================
+  async function addFileToShardedJson(fileData) {
+    const fields = normalizeFileFields(fileData || {});
+
+    // ★ downloadUrl はこのリポジトリのリリースアセットのみ（proxy-download / download が取得する先）
+    if (typeof fileData.downloadUrl !== 'string' || !storage.isAssetUrl(fileData.downloadUrl)) {
+      const err = new Error('downloadUrl must be a release asset of this repository');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const fileRecord = {
+      ...fields,
+      downloadUrl: fileData.downloadUrl,
+      uploadedAt: new Date().toISOString(),
+    };
+
+    // ★ 確定済みファイル全体の SHA-256（ダウンロード側での検証用）
+    const sha256 = normalizeSha256(fileData.sha256);
+    if (sha256) {
+      fileRecord.sha256 = sha256;
+    }
+
+    // ★ 暗号化モードでアップロードされたアセット（ビューアーで復号する）
+    const encryption = normalizeEncryption(fileData.encryption);
+    if (encryption) {
+      fileRecord.encryption = encryption;
+    }
+
+    // Add password hash if provided
+    if (fileData.passwordHash) {
+      fileRecord.passwordHash = fileData.passwordHash;
+      console.log('[ADD_FILE] Password hash added');
+    }
+
+    // ★ 期限付きリンク / ダウンロード回数制限（不正な値は statusCode 400 のエラー）
+    Object.assign(fileRecord, normalizeExpiry(fileData));
+
+    // ★ 削除トークン: 本体はアップロードした人にだけ返し、レコードにはハッシュを保存
+    const deleteToken = generateToken();
+    fileRecord.deleteTokenHash = hashToken(deleteToken);
+
+    // ★ fileId は全シャードで一意（書き込み先のシャードだけを見ると、ローテーション後に
+    // 既存の fileId でパスワード・削除トークンの違うレコードを登録できてしまう）
+    const [existing] = await findFilesById([fileRecord.fileId]);
+    if (existing) {
+      console.warn('[ADD_FILE] File ID already exists:', fileRecord.fileId, 'in', existing.shard);
+      throw duplicateFileError(fileRecord.fileId);
+    }
+
+    // ★ 競合（sha 不一致）時はシャードを読み直して追記をやり直す
+    const result = await withConflictRetry(async () => {
+      const shard = await shards.getWritableShard();
+
+      const present = shard.items.find(f => f && f.fileId === fileRecord.fileId);
+      if (present) {
+        // 前回の書き込みが実は成功していた場合（自分の書き込み）だけは二重登録せずに成功扱い
+        if (present.deleteTokenHash !== fileRecord.deleteTokenHash) {
+          return { duplicate: true };
+        }
+        console.log('[ADD_FILE] Record already present:', fileRecord.fileId);
+        return { success: true, shard: shard.path, shardNumber: shard.n, rotated: shard.rotated, deleteToken };
+      }
+
+      const record = { ...fileRecord, shard: shard.path };
+
+      // ★ downloadUrl検証ログ
+      console.log('[ADD_FILE] Saving file record:', {
+        fileId: record.fileId,
+        fileName: record.fileName,
+        downloadUrl: record.downloadUrl?.substring(0, 80) + '...',
+        shardPath: shard.path
+      });
+
+      shard.items.push(record);
+
+      console.log('[ADD_FILE] Shard now has', shard.items.length, 'files');
+
+      await storage.putContent(
+        shard.path,
+        shard.items,
+        `Add file: ${fileData.fileName} -> ${shard.path}`,
+        shard.sha
+      );
+
+      return { success: true, shard: shard.path, shardNumber: shard.n, rotated: shard.rotated, deleteToken };
+    }, { label: 'ADD_FILE' });
+
+    // ★ 409 は withConflictRetry がリトライしてしまうので、ループの外で投げる
+    if (result.duplicate) {
+      console.warn('[ADD_FILE] File ID already exists:', fileRecord.fileId);
+      throw duplicateFileError(fileRecord.fileId);
+    }
+
+    // ★ fileId → シャードの検索インデックスを更新
+    // 失敗してもレコード自体は保存済み（検索は全シャード走査にフォールバックする）
+    try {
+      await lookup.assign({ [fileRecord.fileId]: result.shard });
+    } catch (e) {
+      console.warn('[ADD_FILE] Lookup update failed:', e.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * ★ バイナリをリリースアセットとして保存し、レコードを追加する（サーバー側で完結するアップロード用）
+   */
+  async function publishFile({ fileId, fileName, buffer, passwordHash = null }) {
+    const release = await storage.createRelease(`file_${fileId}`, fileName, '');
+    console.log('[PUBLISH] Release created:', release.tag_name);
+
+    const asset = await storage.uploadAsset(release.upload_url, buffer, fileName);
+    console.log('[PUBLISH] Asset uploaded:', asset.name, asset.size);
+
+    const sha256 = sha256Hex(buffer);
+    const saved = await addFileToShardedJson({
+      fileId,
+      fileName,
+      fileSize: asset.size || buffer.length,
+      downloadUrl: asset.browser_download_url,
+      sha256,
+      passwordHash,
+    });
+
+    return { fileId, fileName, fileSize: asset.size || buffer.length, downloadUrl: asset.browser_download_url, sha256, ...saved };
+  }
+
+  // ===================== Read =====================
+  async function readShard(path, { fresh = false } = {}) {
+    const cached = shardCache.get(path);
+    if (!fresh && cached && cached.expires > Date.now()) {
+      return cached.files;
+    }
+
+    const { json } = await storage.getContent(path);
+    const files = Array.isArray(json) ? json : null;
+    if (!files) {
+      console.warn('[FILES] Shard is not an array:', path);
+      return [];
+    }
+
+    shardCache.set(path, { files, expires: Date.now() + SHARD_CACHE_TTL });
+    return files;
+  }
+
+  /**
+   * シャード内から fileIds を探す（キャッシュに無ければ最新を読み直す。fresh ならキャッシュを使わない）
+   */
+  async function findInShard(path, fileIds, foundFilesMap, { refresh = true, fresh = false } = {}) {
+    let shardData = await readShard(path, { fresh });
+    if (refresh && !fresh && fileIds.some(id => !shardData.some(f => f && f.fileId === id))) {
+      shardData = await readShard(path, { fresh: true });
+    }
+
+    for (const file of shardData) {
+      if (file && file.fileId && fileIds.includes(file.fileId)) {
+        foundFilesMap.set(file.fileId, file);
+      }
+    }
+  }
+
+  /**
+   * ★ 検索インデックスに無い古いレコード用: 全シャードを走査
+   */
+  async function scanAllShards(fileIds, foundFilesMap, { fresh = false } = {}) {
+    const existing = await shards.readIndex();
+    if (!existing) {
+      console.log('[FILES] No index found');
+      return;
+    }
+
+    const shardList = existing.index.shards || [];
+    console.log('[FILES] Scanning all', shardList.length, 'shards for', fileIds.length, 'file(s)');
+
+    for (const shard of shardList) {
+      try {
+        await findInShard(shard.path, fileIds, foundFilesMap, { refresh: false, fresh });
+      } catch (e) {
+        console.warn('[FILES] Error reading shard', shard.path, ':', e.message);
+      }
+      if (fileIds.every(id => foundFilesMap.has(id))) break;
+    }
+  }
+
+  /**
+   * fileIds のレコードを返す（見つからない ID は除外、順序は保持）
+   * ★ view / ダウンロードなど、レコードの状態（削除・期限・パスワード）で配信を判断する場合は
+   *   fresh: true で最新のシャードを読む（別インスタンスでの削除がキャッシュ期間中に見えないため）
+   */
+  async function findFilesById(fileIds, { fresh = false } = {}) {
+    const foundFilesMap = new Map();
+
+    // ★ fileId → シャードの検索インデックスで読むシャードを絞り込む
+    let located = new Map();
+    try {
+      located = await lookup.resolve(fileIds);
+    } catch (e) {
+      console.warn('[FILES] Lookup failed, falling back to scan:', e.message);
+    }
+
+    const byShard = new Map();
+    for (const [fileId, path] of located) {
+      if (!byShard.has(path)) byShard.set(path, []);
+      byShard.get(path).push(fileId);
+    }
+
+    for (const [path, ids] of byShard) {
+      try {
+        await findInShard(path, ids, foundFilesMap, { fresh });
+      } catch (e) {
+        console.warn('[FILES] Error reading shard', path, ':', e.message);
+      }
+    }
+
+    const unresolved = fileIds.filter(id => !foundFilesMap.has(id));
+    if (unresolved.length > 0) {
+      await scanAllShards(unresolved, foundFilesMap, { fresh });
+    }
+
+    return fileIds.filter(id => foundFilesMap.has(id)).map(id => foundFilesMap.get(id));
+  }
+
+  /**
+   * ★ 新しいシャードから順に、新しい順でレコードを最大 limit 件返す
+   */
+  async function listRecentFiles(limit) {
+    const existing = await shards.readIndex();
+    if (!existing) return [];
+
+    const shardList = [...(existing.index.shards || [])].sort((a, b) => b.n - a.n);
+    const result = [];
+    for (const shard of shardList) {
+      try {
+        const files = await readShard(shard.path);
+        for (let i = files.length - 1; i >= 0 && result.length < limit; i--) {
+          if (files[i] && files[i].fileId) result.push(files[i]);
+        }
+      } catch (e) {
+        console.warn('[FILES] Error reading shard', shard.path, ':', e.message);
+      }
+      if (result.length >= limit) break;
+    }
+    return result;
+  }
+
+  /**
+   * fileId のレコードがあるシャードのパス（無ければ null）
+   */
+  async function locateFile(fileId) {
+    try {
+      const path = (await lookup.resolve([fileId])).get(fileId);
+      if (path) return path;
+    } catch (e) {
+      console.warn('[FILES] Lookup failed, falling back to scan:', e.message);
+    }
+
+    for (const shard of await shards.readAllShards()) {
+      if (shard.items.some(f => f && f.fileId === fileId)) return shard.path;
+    }
+    return null;
+  }
+
+  /**
+   * ★ レコードを書き換える（mutate は新しいレコードを返す。競合時はシャードを読み直してリトライ）
+   * mutate が null を返した場合は書き込まない
+   * → 更新後（または現在）のレコード | null（見つからない場合）
+   */
+  async function updateFileRecord(fileId, mutate, message) {
+    const path = await locateFile(fileId);
+    if (!path) return null;
+
+    return await withConflictRetry(async () => {
+      const { sha, json } = await storage.getContent(path);
+      const files = Array.isArray(json) ? json : [];
+      const idx = files.findIndex(f => f && f.fileId === fileId);
+      if (idx === -1) return null;
+
+      const updated = mutate({ ...files[idx] });
+      if (!updated) return files[idx];
+      files[idx] = updated;
+      await storage.putContent(path, files, message || `Update file: ${fileId}`, sha);
+
+      shardCache.set(path, { files, expires: Date.now() + SHARD_CACHE_TTL });
+      return updated;
+    }, { label: 'UPDATE_FILE' });
+  }
+
+  /**
+   * ★ 削除済みの印（tombstone）に置き換える。ファイル名・URL などは残さない
+   */
+  function toTombstone(record, reason) {
+    return {
+      fileId: record.fileId,
+      shard: record.shard,
+      uploadedAt: record.uploadedAt,
+      deletedAt: new Date().toISOString(),
+      ...(reason ? { deletedReason: reason } : {}),
+    };
+  }
+
+  async function tombstoneFile(fileId, reason = null) {
+    return await updateFileRecord(fileId, record => toTombstone(record, reason), `Delete file: ${fileId}`);
+  }
+
+  /**
+   * 同じシャード内の複数レコードをまとめて tombstone にする（書き込みは 1 回）
+   * → tombstone にした fileId の配列
+   */
+  async function tombstoneFiles(path, fileIds, reason = null) {
+    const targets = new Set(fileIds);
+
+    return await withConflictRetry(async () => {
+      const { sha, json } = await storage.getContent(path);
+      const files = Array.isArray(json) ? json : [];
+      const changed = [];
+
+      for (let i = 0; i < files.length; i++) {
+        const f = files[i];
+        if (f && targets.has(f.fileId) && !f.deletedAt) {
+          files[i] = toTombstone(f, reason);
+          changed.push(f.fileId);
+        }
+      }
+      if (changed.length === 0) return changed;
+
+      await storage.putContent(path, files, `Delete ${changed.length} file(s) from ${path}`, sha);
+      shardCache.set(path, { files, expires: Date.now() + SHARD_CACHE_TTL });
+      return changed;
+    }, { label: 'TOMBSTONE' });
+  }
+
+  /**
+   * ★ ダウンロード 1 回分を消費する（maxDownloads が無いレコードは書き込まない）
+   * → { allowed, status, record }
+   */
+  async function consumeDownload(fileId) {
+    let status = null;
+    const record = await updateFileRecord(fileId, current => {
+      status = current.deletedAt ? 'deleted' : expiryStatus(current);
+      if (status || !current.maxDownloads) return null;
+      return { ...current, downloadCount: (current.downloadCount || 0) + 1 };
+    }, `Count download: ${fileId}`);
+
+    if (!record) return { allowed: false, status: 'not-found', record: null };
+    return { allowed: !status, status, record };
+  }
+
+  async function rebuild() {
+    await shards.ensureIndex();
+    return await rebuildLookup(shards, lookup, 'fileId');
+  }
+
+  return { shards, lookup, addFileToShardedJson, publishFile, findFilesById, listRecentFiles, updateFileRecord, tombstoneFile, tombstoneFiles, consumeDownload, rebuild };
+}
+
+module.exports = { createFileStore, INDEX_PATH };
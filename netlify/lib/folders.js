@@ -0,0 +1,200 @@
+/**
+ * netlify/lib/folders.js
+ * ★ フォルダ（名前付きのコレクション d_xxx）の保存・検索
+ *
+ * グループと同じく folders.index.json + folders.NNNN.json にシャード分割して保存し、
+ * folders.lookup.<bucket>.json で folderId → シャードを引く。
+ *
+ * フォルダレコード:
+ *   { folderId, name, description?, parentId, fileIds, groupIds, folderIds, coverFileId?,
+ *     ownerTokenHash, createdAt, updatedAt?, deletedAt? }
+ * 親子関係は子の parentId と親の folderIds の両方に持つ（表示時に親から 1 回で子を引くため）。
+ */
+
+const { withConflictRetry } = require('./storage');
+const { createShardSet } = require('./shards');
+const { createFolderLookup, rebuildLookup } = require('./lookup');
+
+const FOLDERS_INDEX_PATH = 'folders.index.json';
+const FOLDERS_SHARD_PREFIX = 'folders.';
+const MAX_FOLDER_DEPTH = 20;  // ルートを含めた階層の上限（パンくずの走査もここで打ち切る）
+
+/**
+ * ★ 既に使われている folderId（別のシャードにあるものも含む）で作成しようとした場合のエラー
+ */
+function duplicateFolderError(folderId) {
+  const err = new Error(`Folder already exists: ${folderId}`);
+  err.statusCode = 409;
+  err.code = 'DUPLICATE_ID';
+  return err;
+}
+
+function createFolderStore(storage) {
+  const shards = createShardSet(storage, {
+    indexPath: FOLDERS_INDEX_PATH,
+    prefix: FOLDERS_SHARD_PREFIX,
+    label: 'FOLDER_INDEX',
+  });
+  const lookup = createFolderLookup(storage);
+
+  async function readShardFolders(path) {
+    try {
+      const { sha, json } = await storage.getContent(path);
+      return { sha, folders: Array.isArray(json) ? json : [] };
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+      return { sha: null, folders: [] };
+    }
+  }
+
+  /**
+   * folderId の配列 → Map<folderId, { folder, path, sha }>（見つからない ID は含まれない）
+   */
+  async function findFolders(folderIds) {
+    const found = new Map();
+    if (folderIds.length === 0) return found;
+
+    // ★ 検索インデックスでシャードを絞り込み、シャードごとに 1 回だけ読む
+    const byPath = new Map();
+    try {
+      const located = await lookup.resolve(folderIds);
+      for (const [folderId, path] of located) {
+        if (!byPath.has(path)) byPath.set(path, []);
+        byPath.get(path).push(folderId);
+      }
+    } catch (e) {
+      console.warn('[FOLDER] Lookup failed, falling back to scan:', e.message);
+    }
+
+    for (const [path, ids] of byPath) {
+      const { sha, folders } = await readShardFolders(path);
+      for (const folder of folders) {
+        if (folder && ids.includes(folder.folderId)) found.set(folder.folderId, { folder, path, sha });
+      }
+    }
+
+    // ★ 検索インデックスに無い場合は全シャードを走査
+    const missing = folderIds.filter(id => !found.has(id));
+    if (missing.length && (await shards.readIndex())) {
+      for (const shard of await shards.readAllShards()) {
+        for (const folder of shard.items) {
+          if (folder && missing.includes(folder.folderId)) {
+            found.set(folder.folderId, { folder, path: shard.path, sha: shard.sha });
+          }
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * folderId からフォルダを探す → { folder, path, sha } | null
+   */
+  async function findFolder(folderId) {
+    return (await findFolders([folderId])).get(folderId) || null;
+  }
+
+  /**
+   * フォルダを追記する（競合時はシャードを読み直してリトライ）
+   */
+  async function addFolder(newFolder) {
+    const { rebuilt } = await shards.ensureIndex();
+    if (rebuilt) {
+      await rebuildLookup(shards, lookup, 'folderId');
+    }
+
+    // ★ 他のシャードにある folderId とも重複させない
+    if (await findFolder(newFolder.folderId)) {
+      console.warn('[FOLDER] Folder ID already exists:', newFolder.folderId);
+      throw duplicateFolderError(newFolder.folderId);
+    }
+
+    const result = await withConflictRetry(async () => {
+      const shard = await shards.getWritableShard();
+
+      const present = shard.items.find(f => f && f.folderId === newFolder.folderId);
+      if (present) {
+        // 前回の書き込みが実は成功していた場合（自分の書き込み）だけは二重登録せずに成功扱い
+        if (present.ownerTokenHash !== newFolder.ownerTokenHash) {
+          return { duplicate: true };
+        }
+        console.log('[FOLDER] Folder already present:', newFolder.folderId);
+        return { shard: shard.path };
+      }
+
+      shard.items.push(newFolder);
+      await storage.putContent(
+        shard.path,
+        shard.items,
+        `Create folder: ${newFolder.folderId} -> ${shard.path}`,
+        shard.sha
+      );
+
+      return { shard: shard.path };
+    }, { label: 'FOLDER' });
+
+    // 同時に別のリクエストが同じ folderId で作成していた場合
+    if (result.duplicate) {
+      console.warn('[FOLDER] Folder ID already exists:', newFolder.folderId);
+      throw duplicateFolderError(newFolder.folderId);
+    }
+
+    try {
+      await lookup.assign({ [newFolder.folderId]: result.shard });
+    } catch (e) {
+      console.warn('[FOLDER] Lookup update failed:', e.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * ★ フォルダを書き換える（mutate が null を返した場合は書き込まない）
+   * → 更新後（または現在）のフォルダ | null（見つからない場合）
+   */
+  async function updateFolder(folderId, mutate, message) {
+    const found = await findFolder(folderId);
+    if (!found) return null;
+
+    return await withConflictRetry(async () => {
+      const { sha, folders } = await readShardFolders(found.path);
+      const idx = folders.findIndex(f => f && f.folderId === folderId);
+      if (idx === -1) return null;
+
+      const updated = mutate({ ...folders[idx] });
+      if (!updated) return folders[idx];
+      folders[idx] = updated;
+      await storage.putContent(found.path, folders, message || `Update folder: ${folderId}`, sha);
+      return updated;
+    }, { label: 'FOLDER' });
+  }
+
+  /**
+   * 親をたどってルートからの祖先一覧を返す（自分自身は含まない）
+   * 見つからない・削除済みの親、循環、MAX_FOLDER_DEPTH を超えたところで打ち切る
+   */
+  async function getAncestors(folder) {
+    const ancestors = [];
+    const seen = new Set([folder.folderId]);
+    let parentId = folder.parentId;
+
+    while (parentId && !seen.has(parentId) && ancestors.length < MAX_FOLDER_DEPTH) {
+      const found = await findFolder(parentId);
+      if (!found || found.folder.deletedAt) break;
+      seen.add(parentId);
+      ancestors.unshift(found.folder);
+      parentId = found.folder.parentId;
+    }
+    return ancestors;
+  }
+
+  async function rebuild() {
+    await shards.ensureIndex();
+    return await rebuildLookup(shards, lookup, 'folderId');
+  }
+
+  return { shards, lookup, findFolder, findFolders, addFolder, updateFolder, getAncestors, rebuild };
+}
+
+module.exports = { createFolderStore, FOLDERS_INDEX_PATH, MAX_FOLDER_DEPTH };
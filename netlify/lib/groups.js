@@ -0,0 +1,210 @@
+/**
+ * netlify/lib/groups.js
+ * ★ グループ（複数ファイルの共有リンク g_xxx）の保存・検索
+ *
+ * groups.index.json + groups.NNNN.json にシャード分割して保存し、
+ * groups.lookup.<bucket>.json で groupId → シャードを引く。
+ * インデックスが無い場合は旧形式の groups.json から自動移行する。
+ */
+
+const { withConflictRetry } = require('./storage');
+const { createShardSet } = require('./shards');
+const { createGroupLookup, rebuildLookup } = require('./lookup');
+const { expiryStatus } = require('./expiry');
+
+const GROUPS_INDEX_PATH = 'groups.index.json';
+const GROUPS_SHARD_PREFIX = 'groups.';
+const GROUPS_LEGACY_PATH = 'groups.json';
+
+/**
+ * ★ 既に使われている groupId（別のシャードにあるものも含む）で作成しようとした場合のエラー
+ */
+function duplicateGroupError(groupId) {
+  const err = new Error(`Group already exists: ${groupId}`);
+  err.statusCode = 409;
+  err.code = 'DUPLICATE_ID';
+  return err;
+}
+
+function createGroupStore(storage) {
+  const shards = createShardSet(storage, {
+    indexPath: GROUPS_INDEX_PATH,
+    prefix: GROUPS_SHARD_PREFIX,
+    legacyPath: GROUPS_LEGACY_PATH,
+    label: 'GROUP_INDEX',
+  });
+  const lookup = createGroupLookup(storage);
+
+  async function readShardGroups(path) {
+    try {
+      const { sha, json } = await storage.getContent(path);
+      return { sha, groups: Array.isArray(json) ? json : [] };
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+      return { sha: null, groups: [] };
+    }
+  }
+
+  /**
+   * groupId からグループを探す → { group, path, sha } | null
+   */
+  async function findGroup(groupId) {
+    // ★ 検索インデックスで 1 シャードに絞り込む
+    try {
+      const located = await lookup.resolve([groupId]);
+      const path = located.get(groupId);
+      if (path) {
+        const { sha, groups } = await readShardGroups(path);
+        const group = groups.find(g => g && g.groupId === groupId);
+        if (group) return { group, path, sha };
+      }
+    } catch (e) {
+      console.warn('[GROUP] Lookup failed, falling back to scan:', e.message);
+    }
+
+    // ★ 検索インデックスに無い場合は全シャードを走査
+    const index = await shards.readIndex();
+    if (index) {
+      for (const shard of await shards.readAllShards()) {
+        const group = shard.items.find(g => g && g.groupId === groupId);
+        if (group) return { group, path: shard.path, sha: shard.sha };
+      }
+      return null;
+    }
+
+    // ★ 未移行の場合は旧形式の groups.json を読む
+    const legacy = await readShardGroups(GROUPS_LEGACY_PATH);
+    const group = legacy.groups.find(g => g && g.groupId === groupId);
+    return group ? { group, path: GROUPS_LEGACY_PATH, sha: legacy.sha } : null;
+  }
+
+  /**
+   * グループを追記する（競合時はシャードを読み直してリトライ）
+   */
+  async function addGroup(newGroup) {
+    const { rebuilt } = await shards.ensureIndex();
+    if (rebuilt) {
+      // 移行・再構築直後は検索インデックスも作り直す
+      await rebuildLookup(shards, lookup, 'groupId');
+    }
+
+    // ★ groupId は全シャードで一意にする（既存のグループを作り直してオーナートークン・ファイルを差し替えられないように）
+    if (await findGroup(newGroup.groupId)) {
+      console.warn('[GROUP] Group ID already exists:', newGroup.groupId);
+      throw duplicateGroupError(newGroup.groupId);
+    }
+
+    const result = await withConflictRetry(async () => {
+      const shard = await shards.getWritableShard();
+
+      const present = shard.items.find(g => g && g.groupId === newGroup.groupId);
+      if (present) {
+        // 前回の書き込みが実は成功していた場合（自分の書き込み）だけは二重登録せずに成功扱い
+        if (present.ownerTokenHash !== newGroup.ownerTokenHash) {
+          return { duplicate: true };
+        }
+        console.log('[GROUP] Group already present:', newGroup.groupId);
+        return { shard: shard.path };
+      }
+
+      shard.items.push(newGroup);
+      await storage.putContent(
+        shard.path,
+        shard.items,
+        `Create group: ${newGroup.groupId} -> ${shard.path}`,
+        shard.sha
+      );
+
+      return { shard: shard.path };
+    }, { label: 'GROUP' });
+
+    // 同時に別のリクエストが同じ groupId で作成していた場合
+    if (result.duplicate) {
+      console.warn('[GROUP] Group ID already exists:', newGroup.groupId);
+      throw duplicateGroupError(newGroup.groupId);
+    }
+
+    try {
+      await lookup.assign({ [newGroup.groupId]: result.shard });
+    } catch (e) {
+      console.warn('[GROUP] Lookup update failed:', e.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * ★ グループを書き換える（mutate が null を返した場合は書き込まない）
+   * → 更新後（または現在）のグループ | null（見つからない場合）
+   */
+  async function updateGroup(groupId, mutate, message) {
+    const found = await findGroup(groupId);
+    if (!found) return null;
+
+    return await withConflictRetry(async () => {
+      const { sha, groups } = await readShardGroups(found.path);
+      const idx = groups.findIndex(g => g && g.groupId === groupId);
+      if (idx === -1) return null;
+
+      const updated = mutate({ ...groups[idx] });
+      if (!updated) return groups[idx];
+      groups[idx] = updated;
+      await storage.putContent(found.path, groups, message || `Update group: ${groupId}`, sha);
+      return updated;
+    }, { label: 'GROUP' });
+  }
+
+  /**
+   * 同じシャード内の複数グループをまとめて削除済み（tombstone）にする
+   */
+  async function tombstoneGroups(path, groupIds, reason = null) {
+    const targets = new Set(groupIds);
+
+    return await withConflictRetry(async () => {
+      const { sha, groups } = await readShardGroups(path);
+      const changed = [];
+
+      for (let i = 0; i < groups.length; i++) {
+        const g = groups[i];
+        if (g && targets.has(g.groupId) && !g.deletedAt) {
+          groups[i] = {
+            groupId: g.groupId,
+            createdAt: g.createdAt,
+            deletedAt: new Date().toISOString(),
+            ...(reason ? { deletedReason: reason } : {}),
+          };
+          changed.push(g.groupId);
+        }
+      }
+      if (changed.length === 0) return changed;
+
+      await storage.putContent(path, groups, `Delete ${changed.length} group(s) from ${path}`, sha);
+      return changed;
+    }, { label: 'GROUP' });
+  }
+
+  /**
+   * ★ グループのダウンロード 1 回分を消費する（maxDownloads が無いグループは書き込まない）
+   * → { allowed, status, group }
+   */
+  async function consumeDownload(groupId) {
+    let status = null;
+    const group = await updateGroup(groupId, current => {
+      status = current.deletedAt ? 'deleted' : expiryStatus(current);
+      if (status || !current.maxDownloads) return null;
+      return { ...current, downloadCount: (current.downloadCount || 0) + 1 };
+    }, `Count download: ${groupId}`);
+
+    if (!group) return { allowed: false, status: 'not-found', group: null };
+    return { allowed: !status, status, group };
+  }
+
+  async function rebuild() {
+    await shards.ensureIndex();
+    return await rebuildLookup(shards, lookup, 'groupId');
+  }
+
+  return { shards, lookup, findGroup, addGroup, updateGroup, tombstoneGroups, consumeDownload, rebuild };
+}
+
+module.exports = { createGroupStore, GROUPS_INDEX_PATH, GROUPS_LEGACY_PATH };
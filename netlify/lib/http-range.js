@@ -0,0 +1,86 @@
+/**
+ * netlify/lib/http-range.js
+ * ★ HTTP Range リクエスト（RFC 9110）の解釈
+ *
+ * 対応する形式:
+ *   bytes=0-499      先頭から
+ *   bytes=500-       開始位置から末尾まで
+ *   bytes=-500       末尾 500 バイト（サフィックス）
+ *   bytes=0-1,2-3    複数範囲は結合して 206。結合できない場合は先頭の範囲だけを 206 で返す（multipart は返さない）
+ * If-Range は強い ETag の一致、または Last-Modified と完全一致する日付のときだけ範囲を返す。
+ */
+
+/**
+ * → { type: 'full' }                       Range 無し / 無視する
+ *   { type: 'range', start, end }          206 で返す範囲（end を含む）
+ *   { type: 'unsatisfiable' }              416
+ */
+function parseRange(rangeHeader, size) {
+  if (!rangeHeader) return { type: 'full' };
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(rangeHeader);
+  if (!match) return { type: 'full' };  // 未知の単位は無視
+
+  const ranges = [];
+  for (const spec of match[1].split(',')) {
+    const parts = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return { type: 'full' };  // 構文エラーは無視
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // サフィックス: 末尾 N バイト
+      const length = parseInt(parts[2], 10);
+      if (length === 0) continue;
+      start = Math.max(0, size - length);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? Infinity : parseInt(parts[2], 10);
+      if (end < start) return { type: 'full' };
+      end = Math.min(end, size - 1);
+    }
+
+    if (start < size) ranges.push({ start, end });
+  }
+
+  if (ranges.length === 0) return { type: 'unsatisfiable' };
+
+  // ★ 重なり・隣接する範囲を結合
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const r of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (r.start <= last.end + 1) {
+      last.end = Math.max(last.end, r.end);
+    } else {
+      merged.push(r);
+    }
+  }
+
+  // 結合できない複数範囲は先頭の範囲だけ（全体を 200 で返すと、範囲を期待したクライアントが誤読する）
+  return { type: 'range', start: merged[0].start, end: merged[0].end };
+}
+
+/**
+ * If-Range の条件を満たすか（満たさなければ Range を無視して全体を返す）
+ */
+function ifRangeMatches(ifRange, { etag, lastModified }) {
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // 弱い ETag は If-Range では一致とみなさない
+    return Boolean(etag) && !etag.startsWith('W/') && value === etag;
+  }
+
+  if (!lastModified) return false;
+  const requested = Date.parse(value);
+  return !Number.isNaN(requested) && requested === Date.parse(lastModified);
+}
+
+function contentRange({ start, end }, size) {
+  return `bytes ${start}-${end}/${size}`;
+}
+
+module.exports = { parseRange, ifRangeMatches, contentRange };
@@ -0,0 +1,166 @@
+/**
+ * netlify/lib/lookup.js
+ * ★ ID → シャードパスの検索インデックス（プレフィックスでバケット分割）
+ *
+ * 全シャードを走査せずに 1〜2 回の読み込みでレコードの場所を特定するためのもの。
+ *   github.lookup.<bucket>.json = { "f_abc123xyz": "github.0001.json", ... }
+ *   groups.lookup.<bucket>.json = { "g_abc123xyz": "groups.0001.json", ... }
+ *   folders.lookup.<bucket>.json = { "d_abc123xyz": "folders.0001.json", ... }
+ * バケットは ID のプレフィックス（f_ / g_ / d_ を除いた先頭2文字）で決まる。
+ *
+ * 読み込み結果はウォームなインスタンスの間キャッシュし、
+ * キャッシュに見つからない ID のみ最新を読み直す。
+ */
+
+const { withConflictRetry } = require('./storage');
+
+const FILE_LOOKUP_PREFIX = 'github.lookup.';
+const GROUP_LOOKUP_PREFIX = 'groups.lookup.';
+const FOLDER_LOOKUP_PREFIX = 'folders.lookup.';
+const LOOKUP_SUFFIX = '.json';
+const LOOKUP_CACHE_TTL = 60 * 1000; // 1 minute
+
+function bucketKey(id) {
+  const key = String(id || '').toLowerCase().replace(/^[a-z]_/, '');
+  return (key.slice(0, 2) || '__').replace(/[^a-z0-9]/g, '_').padEnd(2, '_');
+}
+
+function createLookup(storage, { prefix = FILE_LOOKUP_PREFIX, label = 'LOOKUP', ttl = LOOKUP_CACHE_TTL } = {}) {
+  const cache = new Map();
+
+  function bucketPath(id) {
+    return `${prefix}${bucketKey(id)}${LOOKUP_SUFFIX}`;
+  }
+
+  function groupByBucket(ids) {
+    const buckets = new Map();
+    for (const id of ids) {
+      const path = bucketPath(id);
+      if (!buckets.has(path)) buckets.set(path, []);
+      buckets.get(path).push(id);
+    }
+    return buckets;
+  }
+
+  async function readBucket(path, { fresh = false } = {}) {
+    const cached = cache.get(path);
+    if (!fresh && cached && cached.expires > Date.now()) {
+      return cached.map;
+    }
+
+    let sha = null;
+    let map = {};
+    try {
+      const res = await storage.getContent(path);
+      sha = res.sha;
+      if (res.json && typeof res.json === 'object' && !Array.isArray(res.json)) {
+        map = res.json;
+      }
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+    }
+
+    cache.set(path, { map, sha, expires: Date.now() + ttl });
+    return map;
+  }
+
+  /**
+   * ID の配列を解決して Map<id, value> を返す（見つからない ID は含まれない）
+   */
+  async function resolve(ids) {
+    const found = new Map();
+
+    for (const [path, bucketIds] of groupByBucket(ids)) {
+      let map = await readBucket(path);
+      if (bucketIds.some(id => !Object.hasOwn(map, id))) {
+        // キャッシュが古い可能性があるので最新を読み直す
+        map = await readBucket(path, { fresh: true });
+      }
+
+      for (const id of bucketIds) {
+        // ★ in だと constructor などプロトタイプのキーにも一致するので hasOwn で判定
+        if (Object.hasOwn(map, id)) found.set(id, map[id]);
+      }
+    }
+
+    console.log(`[${label}] Resolved`, found.size, '/', ids.length, 'ids');
+    return found;
+  }
+
+  /**
+   * { id: value } をまとめて書き込む（バケットごとに 1 回、競合時はリトライ）
+   */
+  async function assign(entries) {
+    const ids = Object.keys(entries);
+
+    for (const [path, bucketIds] of groupByBucket(ids)) {
+      await withConflictRetry(async () => {
+        let sha = null;
+        let map = {};
+        try {
+          const res = await storage.getContent(path);
+          sha = res.sha;
+          if (res.json && typeof res.json === 'object' && !Array.isArray(res.json)) {
+            map = res.json;
+          }
+        } catch (e) {
+          if (e.statusCode !== 404) throw e;
+        }
+
+        if (bucketIds.every(id => Object.hasOwn(map, id) && map[id] === entries[id])) {
+          cache.set(path, { map, sha, expires: Date.now() + ttl });
+          return;
+        }
+
+        for (const id of bucketIds) {
+          map[id] = entries[id];
+        }
+
+        await storage.putContent(path, map, `Update lookup: ${path} (${bucketIds.length})`, sha);
+        cache.set(path, { map, sha: null, expires: Date.now() + ttl });
+      }, { label });
+    }
+  }
+
+  return { bucketPath, resolve, assign };
+}
+
+function createFileLookup(storage) {
+  return createLookup(storage, { prefix: FILE_LOOKUP_PREFIX, label: 'FILE_LOOKUP' });
+}
+
+function createGroupLookup(storage) {
+  return createLookup(storage, { prefix: GROUP_LOOKUP_PREFIX, label: 'GROUP_LOOKUP' });
+}
+
+function createFolderLookup(storage) {
+  return createLookup(storage, { prefix: FOLDER_LOOKUP_PREFIX, label: 'FOLDER_LOOKUP' });
+}
+
+/**
+ * シャードセット全体から検索インデックスを再構築する（移行用）
+ */
+async function rebuildLookup(shardSet, lookup, idKey) {
+  const shards = await shardSet.readAllShards();
+  const entries = {};
+
+  for (const shard of shards) {
+    for (const item of shard.items) {
+      if (item && item[idKey]) entries[item[idKey]] = shard.path;
+    }
+  }
+
+  await lookup.assign(entries);
+  return { items: Object.keys(entries).length, shards: shards.length };
+}
+
+module.exports = {
+  createLookup,
+  createFileLookup,
+  createGroupLookup,
+  createFolderLookup,
+  rebuildLookup,
+  FILE_LOOKUP_PREFIX,
+  GROUP_LOOKUP_PREFIX,
+  FOLDER_LOOKUP_PREFIX,
+};
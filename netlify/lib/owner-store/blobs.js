@@ -0,0 +1,36 @@
+/**
+ * netlify/lib/owner-store/blobs.js
+ * ★ Netlify Blobs を使うオーナーストア
+ *
+ *   <ownerId>                      所有ファイル・グループの一覧（JSON。旧形式・読み込みのみ）
+ *   <ownerId>/<field>/<entry>      所有 1 件ごとのキー（field: fileIds / groupIds / folderIds）
+ */
+
+const STORE_NAME = 'avfile-owners';
+
+function createBlobsOwnerStore({ event, name = STORE_NAME } = {}) {
+  // @netlify/blobs は Netlify 上でのみ必要なので遅延読み込み
+  const { getStore, connectLambda } = require('@netlify/blobs');
+  if (event && event.blobs) {
+    connectLambda(event);
+  }
+  const store = getStore({ name, consistency: 'strong' });
+
+  async function getOwner(ownerId) {
+    return (await store.get(ownerId, { type: 'json' })) || null;
+  }
+
+  async function listItems(ownerId, field) {
+    const prefix = `${ownerId}/${field}/`;
+    const { blobs } = await store.list({ prefix });
+    return blobs.map(b => b.key.slice(prefix.length));
+  }
+
+  async function addItem(ownerId, field, entry, value) {
+    await store.setJSON(`${ownerId}/${field}/${entry}`, value);
+  }
+
+  return { name: 'blobs', getOwner, listItems, addItem };
+}
+
+module.exports = { createBlobsOwnerStore };
@@ -0,0 +1,32 @@
+/**
+ * netlify/lib/owner-store/index.js
+ * ★ オーナー（アップロードした人）ごとの所有ファイル一覧の保存先の切り替え
+ *
+ * OWNER_STORE 環境変数で選択する
+ *   - blobs: Netlify Blobs（本番。公開リポジトリのシャードに所有関係を残さない）
+ *   - local: ローカルディスク（LOCAL_OWNER_DIR）
+ * 未指定の場合は STORAGE_BACKEND=local なら local、それ以外は blobs。
+ *
+ * すべてのストアは以下のインターフェースを実装する:
+ *   getOwner(ownerId)                      -> 旧形式のレコード { ownerId, fileIds, groupIds, ... } | null
+ *   listItems(ownerId, field)              -> 所有 1 件ごとのキー名の配列（field: fileIds / groupIds / folderIds）
+ *   addItem(ownerId, field, entry, value)  -> 所有 1 件を別キーで保存（同時に追加しても互いに上書きしない）
+ */
+
+const { createBlobsOwnerStore } = require('./blobs');
+const { createLocalOwnerStore } = require('./local');
+
+function getOwnerStore(event) {
+  const defaultStore = (process.env.STORAGE_BACKEND || '').toLowerCase() === 'local' ? 'local' : 'blobs';
+  const name = (process.env.OWNER_STORE || defaultStore).toLowerCase();
+
+  if (name === 'local') {
+    return createLocalOwnerStore({ root: process.env.LOCAL_OWNER_DIR });
+  }
+  if (name === 'blobs') {
+    return createBlobsOwnerStore({ event });
+  }
+  throw new Error(`Unknown OWNER_STORE: ${name}`);
+}
+
+module.exports = { getOwnerStore };
@@ -0,0 +1,58 @@
+/**
+ * netlify/lib/owner-store/local.js
+ * ★ ローカルディスクを使うオーナーストア（開発・テスト用）
+ *
+ *   <root>/<ownerId>.json                  旧形式（読み込みのみ）
+ *   <root>/<ownerId>/<field>/<entry>.json  所有 1 件ごとのファイル
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function createLocalOwnerStore({ root } = {}) {
+  const baseDir = root || path.join(os.tmpdir(), 'avfile-owners');
+
+  function checkName(kind, value) {
+    if (!/^[A-Za-z0-9_-]+$/.test(String(value))) {
+      throw new Error(`Invalid ${kind}: ${value}`);
+    }
+    return String(value);
+  }
+
+  function ownerFile(ownerId) {
+    return path.join(baseDir, `${checkName('ownerId', ownerId)}.json`);
+  }
+
+  function itemDir(ownerId, field) {
+    return path.join(baseDir, checkName('ownerId', ownerId), checkName('field', field));
+  }
+
+  async function getOwner(ownerId) {
+    const file = ownerFile(ownerId);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async function listItems(ownerId, field) {
+    const dir = itemDir(ownerId, field);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length));
+  }
+
+  async function addItem(ownerId, field, entry, value) {
+    const dir = itemDir(ownerId, field);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${checkName('entry', entry)}.json`), JSON.stringify(value));
+  }
+
+  return { name: 'local', getOwner, listItems, addItem };
+}
+
+module.exports = { createLocalOwnerStore };
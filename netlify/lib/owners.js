@@ -0,0 +1,111 @@
+/**
+ * netlify/lib/owners.js
+ * ★ オーナーキーによるファイル・グループ・フォルダの所有管理（「My files」用）
+ *
+ * オーナーキーはブラウザで生成する秘密の値（ok_ + 32 バイトの base64url。js/storage.js）。
+ * サーバーにはキーの SHA-256（ownerId）だけを保存し、所有関係はオーナーストアに置く
+ * （公開リポジトリのシャードには書かないので、同じ人のアップロードを他人が辿れない）。
+ * キーを知っていれば、どの端末からでも一覧・名前変更・削除ができる。
+ */
+
+const { hashToken } = require('./tokens');
+
+const OWNER_KEY_PATTERN = /^ok_[A-Za-z0-9_-]{43}$/;
+const MAX_OWNED_IDS = 5000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function isOwnerKey(ownerKey) {
+  return typeof ownerKey === 'string' && OWNER_KEY_PATTERN.test(ownerKey);
+}
+
+/**
+ * オーナーキー → ownerId（不正な形式は statusCode 400）
+ */
+function ownerIdFromKey(ownerKey) {
+  if (!isOwnerKey(ownerKey)) {
+    throw badRequest('Invalid owner key');
+  }
+  return hashToken(ownerKey);
+}
+
+function createOwnerRegistry(store) {
+  // ★ 所有は 1 件ずつ別のキー（<連番>-<id>）で保存する。
+  //   1 つのレコードを読み込み → 追記 → 保存すると、同じオーナーキーの同時アップロード
+  //   （アップロードキューの並列 add-file）で後勝ちになり、先に登録した分が消えるため
+  function entryName(seq, id) {
+    return `${seq}-${id}`;
+  }
+
+  function idFromEntry(entry) {
+    return entry.slice(entry.indexOf('-') + 1);
+  }
+
+  // 旧形式（1 つのレコードに配列で保存）の一覧 + 1 件ずつのキーの一覧（登録順）
+  async function list(ownerId, field, legacy) {
+    const entries = (await store.listItems(ownerId, field)).sort();
+    return [...new Set([...((legacy && legacy[field]) || []), ...entries.map(idFromEntry)])];
+  }
+
+  async function add(ownerKey, field, ids) {
+    const ownerId = ownerIdFromKey(ownerKey);
+    const current = await list(ownerId, field, await store.getOwner(ownerId));
+    const fresh = [...new Set(ids)].filter(id => !current.includes(id));
+    if (!fresh.length) return current;
+    if (current.length + fresh.length > MAX_OWNED_IDS) {
+      throw badRequest(`Too many ${field} for this owner key (max ${MAX_OWNED_IDS})`);
+    }
+
+    const addedAt = new Date().toISOString();
+    const stamp = String(Date.now()).padStart(13, '0');
+    for (let i = 0; i < fresh.length; i++) {
+      const seq = `${stamp}${String(i).padStart(4, '0')}`;
+      await store.addItem(ownerId, field, entryName(seq, fresh[i]), { id: fresh[i], addedAt });
+    }
+    console.log('[OWNERS] Added', fresh.length, field, 'to', ownerId.slice(0, 8));
+    return [...current, ...fresh];
+  }
+
+  /**
+   * → { ownerId, fileIds, groupIds, folderIds }（登録が無ければ空の一覧）
+   */
+  async function getOwned(ownerKey) {
+    const ownerId = ownerIdFromKey(ownerKey);
+    const legacy = await store.getOwner(ownerId);
+    const [fileIds, groupIds, folderIds] = await Promise.all(
+      ['fileIds', 'groupIds', 'folderIds'].map(field => list(ownerId, field, legacy))
+    );
+    return { ownerId, fileIds, groupIds, folderIds };
+  }
+
+  async function ownsFile(ownerKey, fileId) {
+    if (!isOwnerKey(ownerKey)) return false;
+    return (await getOwned(ownerKey)).fileIds.includes(fileId);
+  }
+
+  async function ownsGroup(ownerKey, groupId) {
+    if (!isOwnerKey(ownerKey)) return false;
+    return (await getOwned(ownerKey)).groupIds.includes(groupId);
+  }
+
+  async function ownsFolder(ownerKey, folderId) {
+    if (!isOwnerKey(ownerKey)) return false;
+    return (await getOwned(ownerKey)).folderIds.includes(folderId);
+  }
+
+  return {
+    addFiles: (ownerKey, fileIds) => add(ownerKey, 'fileIds', fileIds),
+    addGroups: (ownerKey, groupIds) => add(ownerKey, 'groupIds', groupIds),
+    addFolders: (ownerKey, folderIds) => add(ownerKey, 'folderIds', folderIds),
+    getOwned,
+    ownsFile,
+    ownsGroup,
+    ownsFolder
+  };
+}
+
+module.exports = { createOwnerRegistry, ownerIdFromKey, isOwnerKey, MAX_OWNED_IDS };
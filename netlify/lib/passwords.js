@@ -0,0 +1,104 @@
+/**
+ * netlify/lib/passwords.js
+ * ★ パスワードのハッシュ化・照合（ソルト付き scrypt）
+ *
+ * シャード / groups.json は公開リポジトリに置かれるため、保存するのは
+ * `scrypt$N$r$p$<salt>$<hash>` 形式のハッシュのみ。平文パスワードは unlock /
+ * アップロード時に HTTPS で一度だけ受け取り、保存もログ出力もしない。
+ *
+ * 旧形式（クライアントで計算した 64 桁 hex の SHA-256）も照合できるが、
+ * needsRehash を返すので unlock 成功時に scrypt へ置き換える。
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 32;
+const SALT_BYTES = 16;
+const MAX_PASSWORD_LENGTH = 256;
+
+const LEGACY_SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw badRequest('Password must be a non-empty string');
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw badRequest(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function derive(password, salt, { N, r, p }) {
+  return await scrypt(password.normalize('NFC'), salt, KEY_LENGTH, { N, r, p });
+}
+
+/**
+ * 平文パスワード → 保存用ハッシュ文字列
+ */
+async function hashPassword(password) {
+  validatePassword(password);
+
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const params = { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P };
+  const key = await derive(password, salt, params);
+
+  return ['scrypt', params.N, params.r, params.p, salt.toString('base64url'), key.toString('base64url')].join('$');
+}
+
+function parseScryptHash(stored) {
+  const parts = String(stored).split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return null;
+
+  const [N, r, p] = parts.slice(1, 4).map(n => parseInt(n, 10));
+  if (![N, r, p].every(Number.isInteger)) return null;
+
+  return { N, r, p, salt: Buffer.from(parts[4], 'base64url'), key: Buffer.from(parts[5], 'base64url') };
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * → { valid, needsRehash }
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !password || password.length > MAX_PASSWORD_LENGTH || !stored) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const parsed = parseScryptHash(stored);
+  if (parsed) {
+    const key = await derive(password, parsed.salt, parsed);
+    const needsRehash = parsed.N !== SCRYPT_N || parsed.r !== SCRYPT_R || parsed.p !== SCRYPT_P;
+    return { valid: safeEqual(key, parsed.key), needsRehash };
+  }
+
+  // ★ 旧形式: ソルト無し SHA-256（hex）
+  if (LEGACY_SHA256_PATTERN.test(String(stored))) {
+    const actual = crypto.createHash('sha256').update(password, 'utf8').digest();
+    return { valid: safeEqual(actual, Buffer.from(stored, 'hex')), needsRehash: true };
+  }
+
+  return { valid: false, needsRehash: false };
+}
+
+/**
+ * 保存済みハッシュとして受け入れられる形式か（インポート時の検証用）
+ */
+function isPasswordHash(stored) {
+  return Boolean(stored) && (Boolean(parseScryptHash(stored)) || LEGACY_SHA256_PATTERN.test(String(stored)));
+}
+
+module.exports = { hashPassword, verifyPassword, isPasswordHash, MAX_PASSWORD_LENGTH };
@@ -0,0 +1,218 @@
+/**
+ * netlify/lib/shards.js
+ * ★ インデックス + 連番シャードによる JSON 配列の分割保存
+ *
+ *   <indexPath>              { version, current, shards: [{ n, path, createdAt }] }
+ *   <prefix>0001.json ...    レコードの配列（SHARD_MAX_ITEMS / SHARD_MAX_CHARS でローテーション）
+ *
+ * ファイルレコード（github.NNNN.json）とグループ（groups.NNNN.json）で共通。
+ * legacyPath を指定すると、インデックスが無い場合にフラットな JSON 配列から移行する。
+ */
+
+const SHARD_SUFFIX = '.json';
+const SHARD_MAX_ITEMS = 8000;
+const SHARD_MAX_CHARS = 2_500_000;
+
+function createShardSet(storage, {
+  indexPath,
+  prefix,
+  legacyPath = null,
+  label = 'INDEX',
+  maxItems = SHARD_MAX_ITEMS,
+  maxChars = SHARD_MAX_CHARS,
+} = {}) {
+  const { getContent, putContent } = storage;
+
+  function shardPath(n) {
+    return `${prefix}${String(n).padStart(4, '0')}${SHARD_SUFFIX}`;
+  }
+
+  function shardIsFull(items) {
+    if (!Array.isArray(items)) return false;
+    if (items.length >= maxItems) return true;
+    const chars = JSON.stringify(items).length;
+    if (chars >= maxChars) return true;
+    return false;
+  }
+
+  async function readIndex() {
+    try {
+      const { sha, json } = await getContent(indexPath);
+      if (json && typeof json.current === 'number' && Array.isArray(json.shards)) {
+        return { sha, index: json };
+      }
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+    }
+    return null;
+  }
+
+  /**
+   * フラットな JSON 配列（groups.json など）をシャードに分割して移行する
+   */
+  async function migrateLegacy() {
+    if (!legacyPath) return null;
+
+    let items = null;
+    try {
+      const { json } = await getContent(legacyPath);
+      items = Array.isArray(json) ? json : null;
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+    }
+    if (!items) return null;
+
+    console.log(`[${label}] Migrating`, items.length, 'items from', legacyPath);
+
+    const chunks = [[]];
+    for (const item of items) {
+      const current = chunks[chunks.length - 1];
+      if (shardIsFull(current)) {
+        chunks.push([item]);
+      } else {
+        current.push(item);
+      }
+    }
+
+    const now = new Date().toISOString();
+    const shards = [];
+    for (let i = 0; i < chunks.length; i++) {
+      const n = i + 1;
+      await putContent(shardPath(n), chunks[i], `Migrate ${legacyPath} -> ${shardPath(n)}`);
+      shards.push({ n, path: shardPath(n), createdAt: now });
+    }
+
+    return { version: 1, current: shards.length, shards, migratedFrom: legacyPath };
+  }
+
+  async function ensureIndex() {
+    const existing = await readIndex();
+    if (existing) {
+      console.log(`[${label}] Found existing index:`, { current: existing.index.current, shardCount: existing.index.shards.length });
+      return existing;
+    }
+    console.log(`[${label}] Index not found, checking for existing shards...`);
+
+    // ★ 既存の <prefix>00XX.json を探してインデックスを再構築
+    let existingShards = [];
+    for (let n = 1; n <= 100; n++) {  // 最大100個のシャードをチェック
+      const path = shardPath(n);
+      try {
+        const { json: shardData } = await getContent(path);
+        if (Array.isArray(shardData)) {
+          console.log(`[${label}] Found existing shard:`, path, 'items:', shardData.length);
+          existingShards.push({ n, path, items: shardData.length });
+        }
+      } catch (e) {
+        // シャードが見つからない = ここまでということ
+        break;
+      }
+    }
+
+    // ★ 既存のシャードが見つかった場合は、それを使用
+    if (existingShards.length > 0) {
+      console.log(`[${label}] Rebuilding index from`, existingShards.length, 'existing shards');
+      const now = new Date().toISOString();
+      const index = {
+        version: 1,
+        current: existingShards[existingShards.length - 1].n,  // 最後のシャードを current に
+        shards: existingShards.map(s => ({ n: s.n, path: s.path, createdAt: now }))
+      };
+
+      await putContent(indexPath, index, 'Rebuild index from existing shards');
+      console.log(`[${label}] Index rebuilt:`, { current: index.current, shards: index.shards.length });
+      return { sha: null, index, rebuilt: true };
+    }
+
+    // ★ フラットなファイルからの移行
+    const migrated = await migrateLegacy();
+    if (migrated) {
+      await putContent(indexPath, migrated, `Create shards index (migrated from ${legacyPath})`);
+      console.log(`[${label}] Migration complete:`, { current: migrated.current, shards: migrated.shards.length });
+      return { sha: null, index: migrated, rebuilt: true };
+    }
+
+    // ★ シャードも見つからない = 完全に新規
+    console.log(`[${label}] No existing shards found, creating new`);
+    const now = new Date().toISOString();
+    const fresh = {
+      version: 1,
+      current: 1,
+      shards: [{ n: 1, path: shardPath(1), createdAt: now }]
+    };
+
+    await putContent(indexPath, fresh, `Create shards index: ${indexPath}`);
+    await putContent(shardPath(1), [], `Create shard: ${shardPath(1)}`);
+    return { sha: null, index: fresh, rebuilt: true };
+  }
+
+  /**
+   * 追記先のシャードを取得（満杯ならローテーション）
+   * インデックス・シャードの書き込みは sha 付きなので、競合時は withConflictRetry で呼び直すこと
+   */
+  async function getWritableShard() {
+    const { sha: indexSha, index } = await ensureIndex();
+
+    let n = index.current || 1;
+    let path = shardPath(n);
+
+    let shardSha = null;
+    let items = [];
+    try {
+      const res = await getContent(path);
+      shardSha = res.sha;
+      items = Array.isArray(res.json) ? res.json : [];
+    } catch (e) {
+      shardSha = null;
+      items = [];
+    }
+
+    // Check if current shard is full
+    if (!shardIsFull(items)) {
+      return { n, path, sha: shardSha, items, rotated: false };
+    }
+
+    // Rotate to next shard
+    n += 1;
+    path = shardPath(n);
+
+    const now = new Date().toISOString();
+    index.current = n;
+    if (!Array.isArray(index.shards)) {
+      index.shards = [];
+    }
+    if (!index.shards.find(s => s && s.n === n)) {
+      index.shards.push({ n, path, createdAt: now });
+    }
+
+    await putContent(indexPath, index, `Rotate shard -> ${path}`, indexSha);
+    await putContent(path, [], `Create shard: ${path}`);
+
+    return { n, path, sha: null, items: [], rotated: true };
+  }
+
+  /**
+   * 全シャードを読み込む（検索インデックスの再構築・一括処理用）
+   */
+  async function readAllShards() {
+    const existing = await readIndex();
+    if (!existing) return [];
+
+    const result = [];
+    for (const shard of existing.index.shards || []) {
+      try {
+        const { sha, json } = await getContent(shard.path);
+        if (Array.isArray(json)) {
+          result.push({ n: shard.n, path: shard.path, sha, items: json });
+        }
+      } catch (e) {
+        console.warn(`[${label}] Error reading shard`, shard.path, ':', e.message);
+      }
+    }
+    return result;
+  }
+
+  return { shardPath, shardIsFull, readIndex, ensureIndex, getWritableShard, readAllShards };
+}
+
+module.exports = { createShardSet, SHARD_MAX_ITEMS, SHARD_MAX_CHARS };
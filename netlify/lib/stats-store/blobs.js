@@ -0,0 +1,33 @@
+/**
+ * netlify/lib/stats-store/blobs.js
+ * ★ Netlify Blobs を使う統計ストア
+ *
+ *   <fileId>   ファイルごとの集計（JSON）
+ */
+
+const STORE_NAME = 'avfile-file-stats';
+
+function createBlobsStatsStore({ event, name = STORE_NAME } = {}) {
+  // @netlify/blobs は Netlify 上でのみ必要なので遅延読み込み
+  const { getStore, connectLambda } = require('@netlify/blobs');
+  if (event && event.blobs) {
+    connectLambda(event);
+  }
+  const store = getStore({ name, consistency: 'strong' });
+
+  async function getStats(fileId) {
+    return (await store.get(fileId, { type: 'json' })) || null;
+  }
+
+  async function saveStats(fileId, stats) {
+    await store.setJSON(fileId, stats);
+  }
+
+  async function deleteStats(fileId) {
+    await store.delete(fileId);
+  }
+
+  return { name: 'blobs', getStats, saveStats, deleteStats };
+}
+
+module.exports = { createBlobsStatsStore };
@@ -0,0 +1,32 @@
+/**
+ * netlify/lib/stats-store/index.js
+ * ★ ダウンロード・閲覧統計の保存先の切り替え
+ *
+ * STATS_STORE 環境変数で選択する
+ *   - blobs: Netlify Blobs（本番。統計は書き込みが多いので GitHub のシャードには置かない）
+ *   - local: ローカルディスク（LOCAL_STATS_DIR）
+ * 未指定の場合は STORAGE_BACKEND=local なら local、それ以外は blobs。
+ *
+ * すべてのストアは以下のインターフェースを実装する:
+ *   getStats(fileId)            -> 集計 | null
+ *   saveStats(fileId, stats)
+ *   deleteStats(fileId)
+ */
+
+const { createBlobsStatsStore } = require('./blobs');
+const { createLocalStatsStore } = require('./local');
+
+function getStatsStore(event) {
+  const defaultStore = (process.env.STORAGE_BACKEND || '').toLowerCase() === 'local' ? 'local' : 'blobs';
+  const name = (process.env.STATS_STORE || defaultStore).toLowerCase();
+
+  if (name === 'local') {
+    return createLocalStatsStore({ root: process.env.LOCAL_STATS_DIR });
+  }
+  if (name === 'blobs') {
+    return createBlobsStatsStore({ event });
+  }
+  throw new Error(`Unknown STATS_STORE: ${name}`);
+}
+
+module.exports = { getStatsStore };
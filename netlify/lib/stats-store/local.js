@@ -0,0 +1,46 @@
+/**
+ * netlify/lib/stats-store/local.js
+ * ★ ローカルディスクを使う統計ストア（開発・テスト用）
+ *
+ *   <root>/<fileId>.json
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function createLocalStatsStore({ root } = {}) {
+  const baseDir = root || path.join(os.tmpdir(), 'avfile-stats');
+
+  function statsFile(fileId) {
+    if (!/^[A-Za-z0-9_-]+$/.test(String(fileId))) {
+      throw new Error(`Invalid fileId: ${fileId}`);
+    }
+    return path.join(baseDir, `${fileId}.json`);
+  }
+
+  async function getStats(fileId) {
+    const file = statsFile(fileId);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async function saveStats(fileId, stats) {
+    fs.mkdirSync(baseDir, { recursive: true });
+    const file = statsFile(fileId);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(stats));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  async function deleteStats(fileId) {
+    fs.rmSync(statsFile(fileId), { force: true });
+  }
+
+  return { name: 'local', getStats, saveStats, deleteStats };
+}
+
+module.exports = { createLocalStatsStore };
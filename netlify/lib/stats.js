@@ -0,0 +1,172 @@
+/**
+ * netlify/lib/stats.js
+ * ★ ファイルごとの閲覧・ダウンロード統計（view / proxy-download / download が記録）
+ *
+ * 集計の形式:
+ *   { fileId, views, downloads, bytesServed,
+ *     referrers: { <ホスト名 | "(direct)"> : 回数 },
+ *     countries: { <国コード | "(unknown)"> : 回数 },
+ *     daily: { "YYYY-MM-DD": { views, downloads, bytesServed } },
+ *     firstSeenAt, lastSeenAt }
+ *
+ * 個人を特定できる情報（IP・完全な Referer URL）は保存しない。
+ * 書き込みは読み込み → 加算 → 保存なので、同時リクエストでは取りこぼすことがある（目安の数値）。
+ * 記録に失敗してもリクエスト自体は失敗させない。
+ */
+
+const MAX_BUCKET_KEYS = 50;  // referrers / countries の種類の上限（超えた分は "(other)"）
+const DAILY_DAYS = 30;       // 日別の集計を残す日数
+const OTHER_KEY = '(other)';
+const STATS_CONCURRENCY = 8;  // 複数ファイルの記録・読み込みを同時に行う数
+
+function headerValue(headers, name) {
+  const h = headers || {};
+  return h[name] || h[name.toLowerCase()] || null;
+}
+
+/**
+ * Referer → ホスト名のみ（パス・クエリは保存しない）
+ */
+function referrerBucket(headers) {
+  const referer = headerValue(headers, 'Referer');
+  if (!referer) return '(direct)';
+  try {
+    return new URL(referer).hostname || '(direct)';
+  } catch {
+    return '(invalid)';
+  }
+}
+
+/**
+ * Netlify のジオロケーション（x-country / x-nf-geo）→ 国コード
+ */
+function countryBucket(headers) {
+  const country = headerValue(headers, 'x-country');
+  if (country && /^[A-Za-z]{2}$/.test(country)) return country.toUpperCase();
+
+  const geo = headerValue(headers, 'x-nf-geo');
+  if (geo) {
+    try {
+      const code = JSON.parse(Buffer.from(geo, 'base64').toString('utf8'))?.country?.code;
+      if (code && /^[A-Za-z]{2}$/.test(code)) return code.toUpperCase();
+    } catch {
+      // 不正なヘッダーは無視
+    }
+  }
+  return '(unknown)';
+}
+
+function increment(buckets, key) {
+  // ★ in だと constructor などプロトタイプのキーも「既にある」扱いになり、上限を素通りする
+  const name = Object.hasOwn(buckets, key) || Object.keys(buckets).length < MAX_BUCKET_KEYS ? key : OTHER_KEY;
+  buckets[name] = (Object.hasOwn(buckets, name) ? buckets[name] : 0) + 1;
+}
+
+/**
+ * items を最大 limit 件ずつ並列に処理（結果は items の順）
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function emptyStats(fileId) {
+  return {
+    fileId,
+    views: 0,
+    downloads: 0,
+    bytesServed: 0,
+    referrers: {},
+    countries: {},
+    daily: {},
+    firstSeenAt: null,
+    lastSeenAt: null
+  };
+}
+
+function pruneDaily(daily, now) {
+  const cutoff = new Date(now.getTime() - DAILY_DAYS * 24 * 3600000).toISOString().slice(0, 10);
+  for (const day of Object.keys(daily)) {
+    if (day < cutoff) delete daily[day];
+  }
+}
+
+function createStatsRecorder(store) {
+  /**
+   * 1 件の記録を加算して保存
+   * hit: { views, downloads, bytesServed, headers }
+   */
+  async function record(fileId, { views = 0, downloads = 0, bytesServed = 0, headers = {} }) {
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    const stats = { ...emptyStats(fileId), ...((await store.getStats(fileId)) || {}) };
+
+    stats.views += views;
+    stats.downloads += downloads;
+    stats.bytesServed += bytesServed;
+
+    // ★ 参照元・国は閲覧とダウンロード開始のときだけ数える（Range の続きは数えない）
+    if (views || downloads) {
+      increment(stats.referrers, referrerBucket(headers));
+      increment(stats.countries, countryBucket(headers));
+    }
+
+    const today = stats.daily[day] || { views: 0, downloads: 0, bytesServed: 0 };
+    stats.daily[day] = {
+      views: today.views + views,
+      downloads: today.downloads + downloads,
+      bytesServed: today.bytesServed + bytesServed
+    };
+    pruneDaily(stats.daily, now);
+
+    stats.firstSeenAt = stats.firstSeenAt || now.toISOString();
+    stats.lastSeenAt = now.toISOString();
+
+    await store.saveStats(fileId, stats);
+  }
+
+  async function safeRecord(fileId, hit) {
+    try {
+      await record(fileId, hit);
+    } catch (e) {
+      console.warn('[STATS] Failed to record stats for', fileId, e.message);
+    }
+  }
+
+  /**
+   * view で表示されたファイルの閲覧数を加算
+   */
+  async function recordViews(fileIds, headers) {
+    await mapWithConcurrency(fileIds, STATS_CONCURRENCY, fileId => safeRecord(fileId, { views: 1, headers }));
+  }
+
+  /**
+   * 配信したバイト数を加算。counted: ダウンロード 1 回として数えるか（全体 or 先頭からの取得）
+   */
+  async function recordDownload(fileId, { bytes = 0, counted = true, headers = {} } = {}) {
+    await safeRecord(fileId, { downloads: counted ? 1 : 0, bytesServed: bytes, headers });
+  }
+
+  async function getFileStats(fileId) {
+    return (await store.getStats(fileId)) || emptyStats(fileId);
+  }
+
+  /**
+   * 複数ファイルの統計を並列に読み込む → fileIds と同じ順の配列
+   */
+  async function getFilesStats(fileIds) {
+    return await mapWithConcurrency(fileIds, STATS_CONCURRENCY, getFileStats);
+  }
+
+  return { recordViews, recordDownload, getFileStats, getFilesStats };
+}
+
+module.exports = { createStatsRecorder };
@@ -0,0 +1,279 @@
+/**
+ * netlify/lib/storage/github.js
+ * ★ GitHub Releases + Contents API を使うストレージアダプター
+ *
+ * - メタデータ: リポジトリ内の JSON ファイル（Contents API）
+ * - バイナリ: Release Asset
+ */
+
+const https = require('https');
+
+// ★ リリースアセットのダウンロードがリダイレクトされる先（これ以外には辿らない）
+const ASSET_REDIRECT_HOSTS = [
+  'objects.githubusercontent.com',
+  'github-releases.githubusercontent.com',
+  'release-assets.githubusercontent.com',
+];
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function safeJsonParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+
+function createGithubStorage({ token, owner, repo } = {}) {
+  function githubApi(method, path, body) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        hostname: 'api.github.com',
+        path,
+        method,
+        headers: {
+          'Authorization': `token ${token}`,
+          'User-Agent': 'Netlify',
+          'Accept': 'application/vnd.github+json',
+          'Content-Type': 'application/json',
+        }
+      };
+
+      const req = https.request(options, (res) => {
+        let data = '';
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          let json = null;
+          try {
+            json = data ? JSON.parse(data) : {};
+          } catch (e) {
+            // ignore parse errors
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(json || {});
+          } else {
+            const msg = json && json.message ? json.message : data;
+            const err = new Error(`GitHub API Error ${res.statusCode}: ${msg}`);
+            err.statusCode = res.statusCode;
+            reject(err);
+          }
+        });
+      });
+
+      req.on('error', reject);
+      if (body) {
+        req.write(JSON.stringify(body));
+      }
+      req.end();
+    });
+  }
+
+  function contentsPath(pathInRepo) {
+    return `/repos/${owner}/${repo}/contents/${encodeURIComponent(pathInRepo)}`;
+  }
+
+  // ===================== Metadata Store =====================
+  async function getContent(pathInRepo) {
+    const res = await githubApi('GET', contentsPath(pathInRepo));
+
+    const text = res?.content
+      ? Buffer.from(res.content, 'base64').toString('utf8')
+      : '';
+
+    return {
+      sha: res?.sha || null,
+      text,
+      json: text ? safeJsonParse(text, null) : null,
+    };
+  }
+
+  async function putContent(pathInRepo, jsonObj, message, sha = null) {
+    const payload = {
+      message,
+      content: Buffer.from(JSON.stringify(jsonObj, null, 2), 'utf8').toString('base64'),
+    };
+    if (sha) {
+      payload.sha = sha;
+    }
+
+    return await githubApi('PUT', contentsPath(pathInRepo), payload);
+  }
+
+  // ===================== Blob Store =====================
+  async function createRelease(tag, title, description) {
+    const result = await githubApi('POST', `/repos/${owner}/${repo}/releases`, {
+      tag_name: tag,
+      name: title || tag,
+      body: description || '',
+      draft: false,
+      prerelease: false
+    });
+
+    return {
+      id: result.id,
+      upload_url: result.upload_url,
+      tag_name: result.tag_name
+    };
+  }
+
+  function uploadAsset(uploadUrl, buffer, fileName) {
+    return new Promise((resolve, reject) => {
+      try {
+        // ★ トークンを付けて送るので、このリポジトリのリリースのアップロード URL 以外には送らない
+        if (!isUploadUrl(uploadUrl)) {
+          const err = new Error('uploadUrl must be a release upload URL of this repository');
+          err.statusCode = 400;
+          throw err;
+        }
+        const cleanUrl = uploadUrl.split('{')[0];
+        const url = new URL(cleanUrl);
+        url.searchParams.set('name', fileName);
+
+        const options = {
+          hostname: url.hostname,
+          path: url.pathname + url.search,
+          method: 'POST',
+          headers: {
+            'Authorization': `token ${token}`,
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': buffer.length,
+          }
+        };
+
+        const req = https.request(options, (res) => {
+          let data = '';
+          res.on('data', (chunk) => {
+            data += chunk;
+          });
+          res.on('end', () => {
+            try {
+              const json = JSON.parse(data || '{}');
+              if (res.statusCode >= 400) {
+                const err = new Error(json.message || data);
+                err.statusCode = res.statusCode;
+                reject(err);
+              } else {
+                resolve(json);
+              }
+            } catch (e) {
+              reject(new Error(`Parse error: ${data}`));
+            }
+          });
+        });
+
+        req.on('error', reject);
+        req.write(buffer);
+        req.end();
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  async function getRelease(releaseId) {
+    return await githubApi('GET', `/repos/${owner}/${repo}/releases/${releaseId}`);
+  }
+
+  async function getReleaseByTag(tag) {
+    return await githubApi('GET', `/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+  }
+
+  /**
+   * リリース（アセットごと）とタグを削除する。既に無い場合はエラーにしない
+   */
+  async function deleteRelease(tag) {
+    let release = null;
+    try {
+      release = await getReleaseByTag(tag);
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+    }
+
+    if (release) {
+      await githubApi('DELETE', `/repos/${owner}/${repo}/releases/${release.id}`);
+    }
+
+    // リリースを削除してもタグは残るので別途削除（存在しない場合は 422）
+    try {
+      await githubApi('DELETE', `/repos/${owner}/${repo}/git/refs/tags/${encodeURIComponent(tag)}`);
+    } catch (e) {
+      if (e.statusCode !== 404 && e.statusCode !== 422) throw e;
+    }
+
+    return { deleted: Boolean(release) };
+  }
+
+  async function listReleases(perPage = 10) {
+    return await githubApi('GET', `/repos/${owner}/${repo}/releases?per_page=${perPage}`);
+  }
+
+  // ===================== Asset URLs =====================
+  /**
+   * 設定された owner/repo のリリースのアップロード URL か（uploads.github.com/repos/<owner>/<repo>/releases/<id>/assets）
+   * クライアントから受け取った URL に GITHUB_TOKEN を付けて送らないための確認
+   */
+  function isUploadUrl(uploadUrl) {
+    const url = parseUrl(String(uploadUrl || '').split('{')[0]);
+    if (!url || !owner || !repo) return false;
+
+    const pattern = new RegExp(`^/repos/${escapeRegExp(owner)}/${escapeRegExp(repo)}/releases/\\d+/assets$`, 'i');
+    return url.protocol === 'https:' &&
+      url.hostname === 'uploads.github.com' &&
+      !url.port && !url.username && !url.password &&
+      pattern.test(url.pathname);
+  }
+
+  /**
+   * 設定された owner/repo のリリースアセットの URL か（proxy-download / download の取得先の制限）
+   */
+  function isAssetUrl(assetUrl) {
+    const url = parseUrl(assetUrl);
+    if (!url || !owner || !repo) return false;
+
+    const prefix = `/${owner}/${repo}/releases/download/`.toLowerCase();
+    return url.protocol === 'https:' &&
+      url.hostname === 'github.com' &&
+      !url.port && !url.username && !url.password &&
+      url.pathname.toLowerCase().startsWith(prefix);
+  }
+
+  /**
+   * アセットのダウンロードで辿ってよいリダイレクト先か（GitHub のアセット配信ホストのみ）
+   */
+  function isAssetRedirect(location) {
+    const url = parseUrl(location);
+    return Boolean(url) && url.protocol === 'https:' && !url.port && ASSET_REDIRECT_HOSTS.includes(url.hostname);
+  }
+
+  return {
+    name: 'github',
+    isConfigured: () => Boolean(token && owner && repo),
+    getContent,
+    putContent,
+    createRelease,
+    uploadAsset,
+    getRelease,
+    getReleaseByTag,
+    deleteRelease,
+    listReleases,
+    isUploadUrl,
+    isAssetUrl,
+    isAssetRedirect,
+  };
+}
+
+module.exports = { createGithubStorage };
@@ -0,0 +1,71 @@
+/**
+ * netlify/lib/storage/index.js
+ * ★ ストレージバックエンドの切り替え
+ *
+ * STORAGE_BACKEND 環境変数でアダプターを選択する（デフォルト: github）
+ *   - github: GitHub Releases（バイナリ）+ リポジトリ内 JSON（メタデータ）
+ *   - local:  ローカルディスク（LOCAL_STORAGE_DIR, LOCAL_STORAGE_PUBLIC_URL ※必須: releases ディレクトリを配信する http(s) の URL）
+ *
+ * すべてのアダプターは以下のインターフェースを実装する:
+ *
+ *   メタデータストア
+ *     getContent(path)                       -> { sha, text, json }（存在しない場合 statusCode 404 のエラー）
+ *     putContent(path, json, message, sha)   -> sha 不一致時は statusCode 409 のエラー
+ *
+ *   バイナリストア（リリースアセット）
+ *     createRelease(tag, title, description) -> { id, upload_url, tag_name }
+ *     uploadAsset(uploadUrl, buffer, name)   -> { id, name, size, browser_download_url }
+ *     getRelease(releaseId)                  -> リリース情報
+ *     getReleaseByTag(tag)                   -> リリース情報（存在しない場合 statusCode 404 のエラー）
+ *     listReleases(perPage)                  -> リリース情報の配列
+ *     deleteRelease(tag)                     -> リリース・アセット・タグを削除 → { deleted }（無ければ deleted: false）
+ *
+ *   アセット URL の判定（proxy-download / download が取得してよい URL か）
+ *     isUploadUrl(url)                       -> このストレージのリリースのアップロード URL か（uploadAsset も確認する）
+ *     isAssetUrl(url)                        -> このストレージのリリースアセットの URL か
+ *     isAssetRedirect(url)                   -> アセット取得時に辿ってよいリダイレクト先か
+ *
+ *   isConfigured()                           -> 必要な設定が揃っているか
+ *
+ * 同時書き込みの競合は withConflictRetry() で吸収する（retry.js）
+ */
+
+const { createGithubStorage } = require('./github');
+const { createLocalStorage } = require('./local');
+const { withConflictRetry, isConflictError } = require('./retry');
+
+const adapters = {
+  github: () => createGithubStorage({
+    token: process.env.GITHUB_TOKEN,
+    owner: process.env.GITHUB_OWNER,
+    repo: process.env.GITHUB_REPO,
+  }),
+  local: () => createLocalStorage({
+    root: process.env.LOCAL_STORAGE_DIR,
+    publicUrl: process.env.LOCAL_STORAGE_PUBLIC_URL,
+  }),
+};
+
+let instance = null;
+
+function getStorage() {
+  if (instance) return instance;
+
+  const backend = (process.env.STORAGE_BACKEND || 'github').toLowerCase();
+  const factory = adapters[backend];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+
+  instance = factory();
+  console.log('[STORAGE] Using backend:', instance.name);
+  return instance;
+}
+
+module.exports = {
+  getStorage,
+  createGithubStorage,
+  createLocalStorage,
+  withConflictRetry,
+  isConflictError,
+};
@@ -0,0 +1,260 @@
+/**
+ * netlify/lib/storage/local.js
+ * ★ ローカルファイルシステムを使うストレージアダプター（開発・テスト用）
+ *
+ * GitHub アダプターと同じインターフェース・同じエラー形式（err.statusCode）を返す。
+ *
+ * ディレクトリ構成:
+ *   <root>/meta/<path>                 メタデータ JSON（github.index.json など）
+ *   <root>/releases/<tag>/release.json        リリース情報
+ *   <root>/releases/<tag>/assets/<asset>      アセット本体（release.json と同じ名前のアセットで上書きしないよう分ける）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+function safeJsonParse(s, fallback) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(`Local Storage Error ${statusCode}: ${message}`);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// git の blob sha と同じ計算方法（GitHub の sha と形式を揃える）
+function blobSha(text) {
+  const buf = Buffer.from(text, 'utf8');
+  return crypto
+    .createHash('sha1')
+    .update(`blob ${buf.length}\0`)
+    .update(buf)
+    .digest('hex');
+}
+
+function createLocalStorage({ root, publicUrl } = {}) {
+  const baseDir = root || path.join(os.tmpdir(), 'avfile-storage');
+  const metaDir = path.join(baseDir, 'meta');
+  const releasesDir = path.join(baseDir, 'releases');
+  // ★ アセットは download / proxy-download が HTTP で取得するので、公開 URL が必須
+  //   （file:// にフォールバックすると isAssetUrl がすべてのアセットを弾いてしまう）
+  let publicBase;
+  try {
+    publicBase = new URL(publicUrl);
+  } catch {
+    publicBase = null;
+  }
+  if (!publicBase || !['http:', 'https:'].includes(publicBase.protocol)) {
+    throw new Error('LOCAL_STORAGE_PUBLIC_URL must be set to the http(s) URL that serves the releases directory for STORAGE_BACKEND=local');
+  }
+  const downloadBase = publicBase.href.replace(/\/+$/, '');
+
+  // パストラバーサル防止
+  function resolveInside(dir, relPath) {
+    const full = path.resolve(dir, relPath);
+    if (full !== dir && !full.startsWith(dir + path.sep)) {
+      throw httpError(400, `Invalid path: ${relPath}`);
+    }
+    return full;
+  }
+
+  function releaseDir(tag) {
+    return resolveInside(releasesDir, String(tag));
+  }
+
+  function readRelease(tag) {
+    const file = path.join(releaseDir(tag), 'release.json');
+    if (!fs.existsSync(file)) {
+      throw httpError(404, `Release not found: ${tag}`);
+    }
+    return safeJsonParse(fs.readFileSync(file, 'utf8'), null);
+  }
+
+  function uploadUrlFor(tag) {
+    return `local://releases/${encodeURIComponent(tag)}/assets{?name,label}`;
+  }
+
+  function writeRelease(release) {
+    const dir = releaseDir(release.tag_name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'release.json'), JSON.stringify(release, null, 2));
+  }
+
+  // ===================== Metadata Store =====================
+  async function getContent(pathInRepo) {
+    const file = resolveInside(metaDir, pathInRepo);
+    if (!fs.existsSync(file)) {
+      throw httpError(404, `Not Found: ${pathInRepo}`);
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    return {
+      sha: blobSha(text),
+      text,
+      json: text ? safeJsonParse(text, null) : null,
+    };
+  }
+
+  async function putContent(pathInRepo, jsonObj, message, sha = null) {
+    const file = resolveInside(metaDir, pathInRepo);
+    const exists = fs.existsSync(file);
+
+    // GitHub Contents API と同じ楽観ロックの挙動
+    if (exists) {
+      const currentSha = blobSha(fs.readFileSync(file, 'utf8'));
+      if (!sha) {
+        throw httpError(422, `"sha" wasn't supplied: ${pathInRepo}`);
+      }
+      if (sha !== currentSha) {
+        throw httpError(409, `${pathInRepo} does not match ${sha}`);
+      }
+    }
+
+    const text = JSON.stringify(jsonObj, null, 2);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+
+    console.log('[LOCAL_STORAGE] Wrote', pathInRepo, '-', message);
+    return { content: { path: pathInRepo, sha: blobSha(text) } };
+  }
+
+  // ===================== Blob Store =====================
+  async function createRelease(tag, title, description) {
+    if (fs.existsSync(path.join(releaseDir(tag), 'release.json'))) {
+      throw httpError(422, `Release tag already exists: ${tag}`);
+    }
+
+    const release = {
+      id: Date.now(),
+      tag_name: tag,
+      name: title || tag,
+      body: description || '',
+      created_at: new Date().toISOString(),
+      assets: [],
+    };
+    writeRelease(release);
+
+    return {
+      id: release.id,
+      upload_url: uploadUrlFor(tag),
+      tag_name: release.tag_name
+    };
+  }
+
+  function parseUploadUrl(uploadUrl) {
+    return String(uploadUrl || '').split('{')[0].match(/^local:\/\/releases\/([^/]+)\/assets$/);
+  }
+
+  async function uploadAsset(uploadUrl, buffer, fileName) {
+    const match = parseUploadUrl(uploadUrl);
+    if (!match) {
+      throw httpError(400, `Invalid upload url: ${uploadUrl}`);
+    }
+
+    const tag = decodeURIComponent(match[1]);
+    const release = readRelease(tag);
+    const assetsDir = path.join(releaseDir(tag), 'assets');
+    const assetPath = resolveInside(assetsDir, fileName);
+    if (path.dirname(assetPath) !== assetsDir) {
+      throw httpError(400, `Invalid asset name: ${fileName}`);
+    }
+    fs.mkdirSync(assetsDir, { recursive: true });
+    fs.writeFileSync(assetPath, buffer);
+
+    const asset = {
+      id: Date.now(),
+      name: fileName,
+      size: buffer.length,
+      browser_download_url: `${downloadBase}/${encodeURIComponent(tag)}/assets/${encodeURIComponent(fileName)}`,
+    };
+    release.assets = (release.assets || []).filter(a => a.name !== fileName);
+    release.assets.push(asset);
+    writeRelease(release);
+
+    return asset;
+  }
+
+  async function getRelease(releaseId) {
+    const releases = await listReleases(Infinity);
+    const release = releases.find(r => String(r.id) === String(releaseId));
+    if (!release) {
+      throw httpError(404, `Release not found: ${releaseId}`);
+    }
+    return release;
+  }
+
+  async function getReleaseByTag(tag) {
+    return { ...readRelease(tag), upload_url: uploadUrlFor(tag) };
+  }
+
+  async function deleteRelease(tag) {
+    const dir = releaseDir(tag);
+    if (dir === releasesDir) {
+      throw httpError(400, `Invalid release tag: ${tag}`);
+    }
+    const exists = fs.existsSync(path.join(dir, 'release.json'));
+    fs.rmSync(dir, { recursive: true, force: true });
+    return { deleted: exists };
+  }
+
+  async function listReleases(perPage = 10) {
+    if (!fs.existsSync(releasesDir)) return [];
+
+    return fs.readdirSync(releasesDir)
+      .map(tag => {
+        try {
+          return readRelease(tag);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, perPage);
+  }
+
+  // ===================== Asset URLs =====================
+  function isUploadUrl(uploadUrl) {
+    return Boolean(parseUploadUrl(uploadUrl));
+  }
+
+  function isAssetUrl(assetUrl) {
+    let url;
+    try {
+      url = new URL(assetUrl);
+    } catch {
+      return false;
+    }
+    return ['http:', 'https:'].includes(url.protocol) && url.href.startsWith(downloadBase + '/');
+  }
+
+  // ローカルのアセットはリダイレクトしない
+  function isAssetRedirect() {
+    return false;
+  }
+
+  return {
+    name: 'local',
+    isConfigured: () => true,
+    getContent,
+    putContent,
+    createRelease,
+    uploadAsset,
+    getRelease,
+    getReleaseByTag,
+    deleteRelease,
+    listReleases,
+    isUploadUrl,
+    isAssetUrl,
+    isAssetRedirect,
+  };
+}
+
+module.exports = { createLocalStorage };
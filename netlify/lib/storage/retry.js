@@ -0,0 +1,66 @@
+/**
+ * netlify/lib/storage/retry.js
+ * ★ 楽観ロック（sha）の競合時に再読み込み → 再適用 → リトライする
+ *
+ * 同時アップロードで同じシャードに書き込むと、片方は sha 不一致で失敗する:
+ *   - 409: sha が最新ではない
+ *   - 422: 既存ファイルに sha なしで書き込んだ（同時にファイルが作られた）
+ * attempt() は毎回「読み込みから」やり直す関数を渡すこと。
+ */
+
+const DEFAULT_RETRIES = 5;
+const DEFAULT_BASE_DELAY = 200; // ms
+const DEFAULT_MAX_DELAY = 3000; // ms
+
+function isConflictError(e) {
+  if (!e) return false;
+  if (e.statusCode === 409) return true;
+  if (e.statusCode === 422 && /sha/i.test(e.message || '')) return true;
+  return false;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 競合エラーの場合のみ指数バックオフ（ジッター付き）でリトライする
+ * リトライを使い切った場合は code: 'WRITE_CONFLICT' のエラーを投げる
+ */
+async function withConflictRetry(attempt, options = {}) {
+  const {
+    label = 'WRITE',
+    retries = DEFAULT_RETRIES,
+    baseDelay = DEFAULT_BASE_DELAY,
+    maxDelay = DEFAULT_MAX_DELAY,
+  } = options;
+
+  let lastError = null;
+
+  for (let i = 0; i <= retries; i++) {
+    try {
+      return await attempt(i);
+    } catch (e) {
+      if (!isConflictError(e)) {
+        throw e;
+      }
+
+      lastError = e;
+      if (i === retries) break;
+
+      const delay = Math.min(maxDelay, baseDelay * Math.pow(2, i)) * (0.5 + Math.random() / 2);
+      console.warn(`[${label}] Write conflict (attempt ${i + 1}/${retries + 1}), retrying in ${Math.round(delay)}ms:`, e.message);
+      await sleep(delay);
+    }
+  }
+
+  console.error(`[${label}] Giving up after ${retries + 1} attempts:`, lastError?.message);
+  const err = new Error(`Write conflict: gave up after ${retries + 1} attempts`);
+  err.statusCode = 409;
+  err.code = 'WRITE_CONFLICT';
+  err.attempts = retries + 1;
+  err.cause = lastError;
+  throw err;
+}
+
+module.exports = { withConflictRetry, isConflictError };
@@ -0,0 +1,156 @@
+/**
+ * netlify/lib/tokens.js
+ * ★ 秘密トークン（削除トークンなど）の発行・照合
+ *
+ * トークン本体は発行時に一度だけクライアントへ返し、サーバー側には SHA-256 ハッシュのみ保存する。
+ *
+ * アクセストークン（パスワード解除後に発行）とダウンロードハンドル（view が発行）は保存せず、
+ * HMAC 署名で検証する:
+ *   <base64url(JSON { typ, ..., exp })>.<base64url(HMAC-SHA256)>
+ * typ が異なるトークンは互いに使えない。署名鍵は ACCESS_TOKEN_SECRET（未設定時は GITHUB_TOKEN から導出）。
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_BYTES = 24;
+
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token), 'utf8').digest('hex');
+}
+
+/**
+ * token のハッシュが storedHash と一致するか（タイミング攻撃対策で定数時間比較）
+ */
+function tokenMatches(token, storedHash) {
+  if (!token || !storedHash) return false;
+
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(String(storedHash), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ===================== Signed Tokens =====================
+const ACCESS_TOKEN_TTL = 3600; // seconds
+const DOWNLOAD_HANDLE_TTL = 3600; // seconds
+
+let signingKey = null;
+
+function getSigningKey() {
+  if (signingKey) return signingKey;
+
+  const secret = process.env.ACCESS_TOKEN_SECRET || process.env.GITHUB_TOKEN;
+  if (secret) {
+    signingKey = crypto.createHmac('sha256', 'avfile-access-token').update(secret).digest();
+  } else {
+    // ローカル開発用: プロセスごとの鍵（再起動・別インスタンスではトークンが無効になる）
+    console.warn('[TOKENS] ACCESS_TOKEN_SECRET is not set - using an ephemeral signing key');
+    signingKey = crypto.randomBytes(32);
+  }
+  return signingKey;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSigningKey()).update(payload).digest('base64url');
+}
+
+function signPayload(typ, data, ttlSeconds) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ typ, ...data, exp }), 'utf8').toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * 署名・種類・有効期限を検証 → ペイロード（無効なら null）
+ */
+function verifyPayload(token, typ) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (!data || data.typ !== typ || !(data.exp > Date.now() / 1000)) return null;
+  return data;
+}
+
+// ===================== Access Tokens =====================
+/**
+ * ids（groupId / fileId）の閲覧を許可する短命トークンを発行
+ * → { token, expiresAt }
+ */
+function signAccessToken(ids, ttlSeconds = ACCESS_TOKEN_TTL) {
+  return signPayload('access', { ids }, ttlSeconds);
+}
+
+/**
+ * → 許可された id の配列（無効なら null）
+ */
+function verifyAccessToken(token) {
+  const data = verifyPayload(token, 'access');
+  return data && Array.isArray(data.ids) ? data.ids : null;
+}
+
+/**
+ * トークンが id の閲覧を許可しているか
+ */
+function accessTokenGrants(token, id) {
+  const ids = verifyAccessToken(token);
+  return Boolean(ids && id && ids.includes(id));
+}
+
+// ===================== Download Handles =====================
+/**
+ * view が返すダウンロードハンドル（アセットの URL の代わり）。
+ * proxy-download / download だけがこれを fileId（+ groupId）に戻せる
+ * → { token, expiresAt }
+ */
+function signDownloadHandle({ fileId, groupId = null }, ttlSeconds = DOWNLOAD_HANDLE_TTL) {
+  return signPayload('download', { fileId, ...(groupId ? { groupId } : {}) }, ttlSeconds);
+}
+
+/**
+ * → { fileId, groupId }（無効・期限切れなら null）
+ */
+function verifyDownloadHandle(handle) {
+  const data = verifyPayload(handle, 'download');
+  if (!data || typeof data.fileId !== 'string') return null;
+  return { fileId: data.fileId, groupId: typeof data.groupId === 'string' ? data.groupId : null };
+}
+
+/**
+ * リクエストからアクセストークンを取り出す（Authorization: Bearer を優先、
+ * <video src> など独自ヘッダーを付けられない場合は ?token=）
+ */
+function accessTokenFromRequest(headers = {}, queryToken = null) {
+  const auth = headers.authorization || headers.Authorization || '';
+  const match = auth.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : (queryToken || null);
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  tokenMatches,
+  signAccessToken,
+  verifyAccessToken,
+  accessTokenGrants,
+  accessTokenFromRequest,
+  signDownloadHandle,
+  verifyDownloadHandle,
+  ACCESS_TOKEN_TTL,
+  DOWNLOAD_HANDLE_TTL,
+};
@@ -0,0 +1,238 @@
+/**
+ * netlify/lib/zip-stream.js
+ * ★ ZIP をストリーミングで組み立てる（download-group 用）
+ *
+ * 無圧縮（store）で、各エントリの本文を読みながら CRC-32 を計算し、
+ * サイズと CRC はデータディスクリプタ（本文の後ろ）に書く。全体をメモリに載せない。
+ * 4 GiB 以上のエントリ・オフセット、65535 を超えるエントリ数は ZIP64 で表す。
+ */
+
+const { Readable } = require('stream');
+
+const ZIP64_LIMIT = 0xffffffff;
+const ENTRY_COUNT_LIMIT = 0xffff;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const MAX_ENTRY_NAME_LENGTH = 200;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32（続きから計算できるよう前回の値を渡す。初回は 0）
+ */
+function crc32(crc, buf) {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buf.length; i++) {
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(d.getUTCFullYear(), 1980);
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+  };
+}
+
+/**
+ * ZIP64 拡張フィールド（tag 0x0001）。値は 8 バイトずつ
+ */
+function zip64Extra(values) {
+  const buf = Buffer.alloc(4 + values.length * 8);
+  buf.writeUInt16LE(0x0001, 0);
+  buf.writeUInt16LE(values.length * 8, 2);
+  values.forEach((v, i) => buf.writeBigUInt64LE(BigInt(v), 4 + i * 8));
+  return buf;
+}
+
+function localHeader(entry) {
+  // ★ サイズが分からない / 4 GiB 以上になりうるエントリはローカルヘッダーから ZIP64 にする
+  const extra = entry.zip64 ? zip64Extra([0, 0]) : Buffer.alloc(0);
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(entry.zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+  header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+  header.writeUInt16LE(0, 8);  // store
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  header.writeUInt32LE(0, 14);  // CRC・サイズはデータディスクリプタに書く
+  header.writeUInt32LE(entry.zip64 ? ZIP64_LIMIT : 0, 18);
+  header.writeUInt32LE(entry.zip64 ? ZIP64_LIMIT : 0, 22);
+  header.writeUInt16LE(entry.name.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+  return Buffer.concat([header, entry.name, extra]);
+}
+
+function dataDescriptor(entry) {
+  const buf = Buffer.alloc(entry.zip64 ? 24 : 16);
+  buf.writeUInt32LE(0x08074b50, 0);
+  buf.writeUInt32LE(entry.crc, 4);
+  if (entry.zip64) {
+    buf.writeBigUInt64LE(BigInt(entry.size), 8);
+    buf.writeBigUInt64LE(BigInt(entry.size), 16);
+  } else {
+    buf.writeUInt32LE(entry.size, 8);
+    buf.writeUInt32LE(entry.size, 12);
+  }
+  return buf;
+}
+
+function centralHeader(entry) {
+  // ★ ローカルヘッダーが ZIP64 のエントリは、セントラルディレクトリ側もサイズを ZIP64 で持つ
+  const largeSize = entry.zip64 || entry.size >= ZIP64_LIMIT;
+  const largeOffset = entry.offset >= ZIP64_LIMIT;
+  const values = [];
+  if (largeSize) values.push(entry.size, entry.size);  // 元のサイズ, 圧縮後のサイズ
+  if (largeOffset) values.push(entry.offset);
+  const extra = values.length ? zip64Extra(values) : Buffer.alloc(0);
+  const version = entry.zip64 || values.length ? VERSION_ZIP64 : VERSION_DEFAULT;
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(version, 4);
+  header.writeUInt16LE(version, 6);
+  header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(largeSize ? ZIP64_LIMIT : entry.size, 20);
+  header.writeUInt32LE(largeSize ? ZIP64_LIMIT : entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  // comment / disk / 属性は 0
+  header.writeUInt32LE(largeOffset ? ZIP64_LIMIT : entry.offset, 42);
+  return Buffer.concat([header, entry.name, extra]);
+}
+
+function endOfCentralDirectory(count, cdSize, cdOffset) {
+  const parts = [];
+
+  if (count >= ENTRY_COUNT_LIMIT || cdSize >= ZIP64_LIMIT || cdOffset >= ZIP64_LIMIT) {
+    // ★ ZIP64 終端レコード + ロケーター
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE(VERSION_ZIP64, 12);
+    record.writeUInt16LE(VERSION_ZIP64, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(cdSize), 40);
+    record.writeBigUInt64LE(BigInt(cdOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(cdOffset + cdSize), 8);
+    locator.writeUInt32LE(1, 16);
+    parts.push(record, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(count, ENTRY_COUNT_LIMIT), 8);
+  end.writeUInt16LE(Math.min(count, ENTRY_COUNT_LIMIT), 10);
+  end.writeUInt32LE(Math.min(cdSize, ZIP64_LIMIT), 12);
+  end.writeUInt32LE(Math.min(cdOffset, ZIP64_LIMIT), 16);
+  parts.push(end);
+  return Buffer.concat(parts);
+}
+
+/**
+ * ZIP 内のファイル名（パス区切り・制御文字を除き、重複には " (2)" などを付ける）
+ */
+function uniqueEntryNames(names) {
+  const used = new Set();
+  return names.map(raw => {
+    const clean = String(raw || '')
+      .replace(/[\/\\\u0000-\u001f\u007f]/g, '_')
+      .replace(/^\.+/, '')
+      .trim()
+      .slice(0, MAX_ENTRY_NAME_LENGTH) || 'file';
+
+    let name = clean;
+    const dot = clean.lastIndexOf('.');
+    const [base, ext] = dot > 0 ? [clean.slice(0, dot), clean.slice(dot)] : [clean, ''];
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base} (${n})${ext}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * entries: [{ name, size?, modifiedAt?, open: async () => Readable | null }]
+ *   open は本文のストリームを返す。null を返したエントリは ZIP に含めない
+ *   size は事前に分かっているサイズ（4 GiB 未満と分かっていれば ZIP64 を使わない）
+ * onEntryEnd(entry, { bytes }): エントリを書き終えたとき
+ * → Readable（ZIP 本体）
+ */
+function createZipStream(entries, { onEntryEnd } = {}) {
+  async function* generate() {
+    let offset = 0;
+    const written = [];
+
+    for (const entry of entries) {
+      const source = await entry.open();
+      if (!source) continue;
+
+      const record = {
+        name: Buffer.from(entry.name, 'utf8'),
+        dos: dosDateTime(entry.modifiedAt ? new Date(entry.modifiedAt) : new Date()),
+        zip64: !(Number.isFinite(entry.size) && entry.size >= 0 && entry.size < ZIP64_LIMIT),
+        offset,
+        crc: 0,
+        size: 0
+      };
+
+      const header = localHeader(record);
+      yield header;
+      offset += header.length;
+
+      for await (const chunk of source) {
+        record.crc = crc32(record.crc, chunk);
+        record.size += chunk.length;
+        if (!record.zip64 && record.size >= ZIP64_LIMIT) {
+          throw new Error(`Entry exceeds 4 GiB without ZIP64: ${entry.name}`);
+        }
+        yield chunk;
+      }
+      offset += record.size;
+
+      const descriptor = dataDescriptor(record);
+      yield descriptor;
+      offset += descriptor.length;
+
+      written.push(record);
+      if (onEntryEnd) await onEntryEnd(entry, { bytes: record.size });
+    }
+
+    const cdOffset = offset;
+    let cdSize = 0;
+    for (const record of written) {
+      const header = centralHeader(record);
+      yield header;
+      cdSize += header.length;
+    }
+    yield endOfCentralDirectory(written.length, cdSize, cdOffset);
+  }
+
+  return Readable.from(generate(), { objectMode: false });
+}
+
+module.exports = { createZipStream, uniqueEntryNames, crc32 };
@@ -0,0 +1,37 @@
+/**
+ * test/files.test.js
+ * ★ 別インスタンス（別の createFileStore）での削除が、fresh な検索ではすぐに見えることを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalStorage } = require('../netlify/lib/storage');
+const { createFileStore } = require('../netlify/lib/files');
+
+test('fresh lookups see a tombstone written by another instance', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avfile-files-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const publicUrl = 'http://127.0.0.1:8888/releases';
+  const storage = createLocalStorage({ root, publicUrl });
+
+  const writer = createFileStore(storage);
+  const reader = createFileStore(storage);
+
+  await writer.addFileToShardedJson({
+    fileId: 'f_cache1',
+    fileName: 'a.txt',
+    fileSize: 1,
+    downloadUrl: `${publicUrl}/file_f_cache1/a.txt`
+  });
+
+  // 読み込み側のキャッシュを温めてから、書き込み側で削除する
+  assert.equal((await reader.findFilesById(['f_cache1']))[0].deletedAt, undefined);
+  await writer.tombstoneFile('f_cache1');
+
+  const [fresh] = await reader.findFilesById(['f_cache1'], { fresh: true });
+  assert.ok(fresh.deletedAt);
+});
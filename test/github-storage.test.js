@@ -0,0 +1,26 @@
+/**
+ * test/github-storage.test.js
+ * ★ GITHUB_TOKEN を付けて送るアップロード先が、このリポジトリのリリースに限られることを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGithubStorage } = require('../netlify/lib/storage');
+
+const storage = createGithubStorage({ token: 'test-token', owner: 'owner', repo: 'repo' });
+
+test('isUploadUrl accepts only this repository\'s release upload URLs', () => {
+  assert.equal(storage.isUploadUrl('https://uploads.github.com/repos/owner/repo/releases/123/assets{?name,label}'), true);
+  assert.equal(storage.isUploadUrl('https://attacker.example/repos/owner/repo/releases/123/assets'), false);
+  assert.equal(storage.isUploadUrl('https://uploads.github.com/repos/other/repo/releases/123/assets'), false);
+  assert.equal(storage.isUploadUrl('https://uploads.github.com:8443/repos/owner/repo/releases/123/assets'), false);
+  assert.equal(storage.isUploadUrl('http://uploads.github.com/repos/owner/repo/releases/123/assets'), false);
+});
+
+test('uploadAsset refuses other hosts before sending the token', async () => {
+  await assert.rejects(
+    storage.uploadAsset('https://attacker.example/upload', Buffer.from('x'), 'x.txt'),
+    err => err.statusCode === 400
+  );
+});
@@ -0,0 +1,24 @@
+/**
+ * test/http-range.test.js
+ * ★ Range ヘッダーの解釈（lib/http-range.js）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRange } = require('../netlify/lib/http-range');
+
+test('single, open-ended and suffix ranges', () => {
+  assert.deepEqual(parseRange('bytes=0-99', 1000), { type: 'range', start: 0, end: 99 });
+  assert.deepEqual(parseRange('bytes=900-', 1000), { type: 'range', start: 900, end: 999 });
+  assert.deepEqual(parseRange('bytes=-100', 1000), { type: 'range', start: 900, end: 999 });
+  assert.deepEqual(parseRange('bytes=1000-', 1000), { type: 'unsatisfiable' });
+});
+
+test('overlapping ranges are merged', () => {
+  assert.deepEqual(parseRange('bytes=0-99,100-199', 1000), { type: 'range', start: 0, end: 199 });
+});
+
+test('ranges that cannot be merged serve the first range instead of the full body', () => {
+  assert.deepEqual(parseRange('bytes=500-599,0-9', 1000), { type: 'range', start: 0, end: 9 });
+});
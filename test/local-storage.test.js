@@ -0,0 +1,114 @@
+/**
+ * test/local-storage.test.js
+ * ★ ローカルストレージアダプターで release → upload → add-file の一連の流れが通ることを確認する
+ *
+ * 実行: npm test（node --test）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avfile-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(root, 'storage');
+process.env.LOCAL_STORAGE_PUBLIC_URL = 'http://127.0.0.1:8888/releases';
+process.env.LOCAL_CHUNK_DIR = path.join(root, 'chunks');
+process.env.LOCAL_STATS_DIR = path.join(root, 'stats');
+process.env.LOCAL_OWNER_DIR = path.join(root, 'owners');
+
+const { createLocalStorage } = require('../netlify/lib/storage');
+const upload = require('../netlify/functions/github-upload');
+
+async function call(body) {
+  const res = await upload.handler({
+    httpMethod: 'POST',
+    headers: {},
+    rawUrl: 'http://127.0.0.1:8888/.netlify/functions/github-upload',
+    body: JSON.stringify(body)
+  });
+  return { statusCode: res.statusCode, body: JSON.parse(res.body) };
+}
+
+test.after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('local adapter requires an http(s) public URL', () => {
+  assert.throws(() => createLocalStorage({ root }), /LOCAL_STORAGE_PUBLIC_URL/);
+  assert.throws(() => createLocalStorage({ root, publicUrl: `file://${root}` }), /LOCAL_STORAGE_PUBLIC_URL/);
+});
+
+test('create-release → upload-asset → add-file', async () => {
+  const release = await call({ action: 'create-release', releaseTag: 'file_f_local1' });
+  assert.equal(release.statusCode, 200);
+
+  const asset = await call({
+    action: 'upload-asset',
+    uploadUrl: release.body.data.upload_url,
+    fileName: 'hello.txt',
+    fileBase64: Buffer.from('hello').toString('base64')
+  });
+  assert.equal(asset.statusCode, 200);
+  assert.ok(asset.body.data.download_url.startsWith('http://127.0.0.1:8888/releases/'));
+
+  const added = await call({
+    action: 'add-file',
+    fileData: {
+      fileId: 'f_local1',
+      fileName: 'hello.txt',
+      fileSize: 5,
+      downloadUrl: asset.body.data.download_url
+    }
+  });
+  assert.equal(added.statusCode, 200);
+  assert.equal(added.body.success, true);
+  assert.ok(added.body.deleteToken);
+});
+
+test('add-file rejects invalid record fields before writing', async () => {
+  const release = await call({ action: 'create-release', releaseTag: 'file_f_local2' });
+  const asset = await call({
+    action: 'upload-asset',
+    uploadUrl: release.body.data.upload_url,
+    fileName: 'hello.txt',
+    fileBase64: Buffer.from('hello').toString('base64')
+  });
+  const fileData = { fileName: 'hello.txt', fileSize: 5, downloadUrl: asset.body.data.download_url };
+
+  for (const bad of [{}, { fileId: 'f_bad/1' }, { fileId: 'f_local2', fileName: '' }, { fileId: 'f_local2', fileSize: -1 }]) {
+    const res = await call({ action: 'add-file', fileData: { ...fileData, ...bad } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.deleteToken, undefined);
+  }
+
+  const added = await call({ action: 'add-file', fileData: { ...fileData, fileId: 'f_local2' } });
+  assert.equal(added.statusCode, 200);
+});
+
+test('upload-asset rejects upload URLs outside the storage', async () => {
+  const res = await call({
+    action: 'upload-asset',
+    uploadUrl: 'https://attacker.example/releases/1/assets',
+    fileName: 'hello.txt',
+    fileBase64: Buffer.from('hello').toString('base64')
+  });
+  assert.equal(res.statusCode, 400);
+});
+
+test('an asset named release.json does not overwrite the release metadata', async () => {
+  const release = await call({ action: 'create-release', releaseTag: 'file_f_local3' });
+  const asset = await call({
+    action: 'upload-asset',
+    uploadUrl: release.body.data.upload_url,
+    fileName: 'release.json',
+    fileBase64: Buffer.from('{}').toString('base64')
+  });
+  assert.equal(asset.statusCode, 200);
+
+  const byTag = await call({ action: 'get-release-by-tag', releaseTag: 'file_f_local3' });
+  assert.equal(byTag.statusCode, 200);
+  assert.equal(byTag.body.data.tag_name, 'file_f_local3');
+});
@@ -0,0 +1,42 @@
+/**
+ * test/owners.test.js
+ * ★ 同じオーナーキーへの同時登録で、先に登録した分が消えないことを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalOwnerStore } = require('../netlify/lib/owner-store/local');
+const { createOwnerRegistry, ownerIdFromKey } = require('../netlify/lib/owners');
+
+const ownerKey = 'ok_' + 'A'.repeat(43);
+
+test('concurrent addFiles keep every file', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avfile-owners-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const registry = createOwnerRegistry(createLocalOwnerStore({ root }));
+
+  await Promise.all([
+    registry.addFiles(ownerKey, ['f_one']),
+    registry.addFiles(ownerKey, ['f_two'])
+  ]);
+
+  const owned = await registry.getOwned(ownerKey);
+  assert.deepEqual(owned.fileIds.slice().sort(), ['f_one', 'f_two']);
+  assert.equal(await registry.ownsFile(ownerKey, 'f_one'), true);
+});
+
+test('legacy owner records are still read', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avfile-owners-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const ownerId = ownerIdFromKey(ownerKey);
+  fs.writeFileSync(path.join(root, `${ownerId}.json`), JSON.stringify({ ownerId, fileIds: ['f_old'], groupIds: [], folderIds: [] }));
+  const registry = createOwnerRegistry(createLocalOwnerStore({ root }));
+
+  await registry.addFiles(ownerKey, ['f_old', 'f_new']);
+
+  assert.deepEqual((await registry.getOwned(ownerKey)).fileIds, ['f_old', 'f_new']);
+});
@@ -0,0 +1,52 @@
+/**
+ * test/stats.test.js
+ * ★ 複数ファイルの統計の記録・読み込みが並列（上限付き）で行われることを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStatsRecorder } = require('../netlify/lib/stats');
+
+function slowStore() {
+  const saved = new Map();
+  let active = 0;
+  let maxActive = 0;
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+  return {
+    saved,
+    maxActive: () => maxActive,
+    async getStats(fileId) {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await tick();
+      active--;
+      return saved.get(fileId) || null;
+    },
+    async saveStats(fileId, stats) {
+      await tick();
+      saved.set(fileId, stats);
+    }
+  };
+}
+
+test('recordViews updates files in parallel with a bounded concurrency', async () => {
+  const store = slowStore();
+  const fileIds = Array.from({ length: 20 }, (_, i) => `f_${i}`);
+
+  await createStatsRecorder(store).recordViews(fileIds, {});
+
+  assert.equal(store.saved.size, 20);
+  assert.ok(store.maxActive() > 1);
+  assert.ok(store.maxActive() <= 8);
+});
+
+test('getFilesStats keeps the order of fileIds', async () => {
+  const store = slowStore();
+  const recorder = createStatsRecorder(store);
+  await recorder.recordViews(['f_b'], {});
+
+  const stats = await recorder.getFilesStats(['f_a', 'f_b']);
+
+  assert.deepEqual(stats.map(s => [s.fileId, s.views]), [['f_a', 0], ['f_b', 1]]);
+});
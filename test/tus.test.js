@@ -0,0 +1,65 @@
+/**
+ * test/tus.test.js
+ * ★ 同じ Upload-Offset への同時 PATCH は 1 件だけが追記し、削除トークンは完了させた PATCH にだけ付くことを確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avfile-tus-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(root, 'storage');
+process.env.LOCAL_STORAGE_PUBLIC_URL = 'http://127.0.0.1:8888/releases';
+process.env.LOCAL_CHUNK_DIR = path.join(root, 'chunks');
+
+const tus = require('../netlify/functions/tus');
+
+const ENDPOINT = 'http://127.0.0.1:8888/.netlify/functions/tus';
+
+function request(method, url, headers = {}, body = '') {
+  return tus.handler({
+    httpMethod: method,
+    rawUrl: url,
+    headers: { 'Tus-Resumable': '1.0.0', ...headers },
+    body: Buffer.from(body).toString('base64'),
+    isBase64Encoded: true
+  });
+}
+
+function patch(url, offset, body) {
+  return request('PATCH', url, {
+    'Content-Type': 'application/offset+octet-stream',
+    'Upload-Offset': String(offset)
+  }, body);
+}
+
+test.after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('concurrent PATCHes at the same offset: one appends, the other gets 409', async () => {
+  const created = await request('POST', ENDPOINT, {
+    'Upload-Length': '10',
+    'Upload-Metadata': `filename ${Buffer.from('a.txt').toString('base64')}`
+  });
+  assert.equal(created.statusCode, 201);
+  const url = `http://127.0.0.1:8888${created.headers.Location}`;
+
+  const results = await Promise.all([patch(url, 0, 'aaaaa'), patch(url, 0, 'bbbbb')]);
+  assert.deepEqual(results.map(r => r.statusCode).sort(), [204, 409]);
+
+  const head = await request('HEAD', url);
+  assert.equal(head.headers['Upload-Offset'], '5');
+
+  const done = await patch(url, 5, 'ccccc');
+  assert.equal(done.statusCode, 204);
+  assert.ok(done.headers['Avfile-File-Id']);
+  assert.ok(done.headers['Avfile-Delete-Token']);
+
+  const after = await request('HEAD', url);
+  assert.equal(after.headers['Avfile-File-Id'], done.headers['Avfile-File-Id']);
+  assert.equal(after.headers['Avfile-Delete-Token'], undefined);
+});